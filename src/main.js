@@ -1,18 +1,135 @@
-const { app, BrowserWindow, globalShortcut, ipcMain } = require('electron');
+const {
+  app,
+  BrowserWindow,
+  dialog,
+  globalShortcut,
+  ipcMain,
+} = require('electron');
+const { randomUUID } = require('crypto');
 const path = require('path');
 const ClipboardMonitor = require('./services/clipboardMonitor');
-const OllamaService = require('./services/ollamaService');
 const SecureStorageService = require('./services/secureStorage');
+const ConversationManager = require('./services/conversationManager');
+const UsageLedger = require('./services/usageLedger');
+const ComparisonLog = require('./services/comparisonLog');
+const ResponseCache = require('./services/responseCache');
+const GenerationQueue = require('./services/generationQueue');
+const KnowledgeBase = require('./services/knowledgeBase');
+const OllamaService = require('./services/ollamaService');
+const httpClient = require('./services/httpClient');
+const HealthMonitor = require('./services/healthMonitor');
+const { LocalTools } = require('./services/localTools');
+const { StreamParseError } = require('./services/streamParser');
+const { CircuitOpenError } = require('./services/circuitBreaker');
+const { createProviderRegistry } = require('./services/builtInProviders');
+const { normalizeGenerationProfile } = require('./services/generationProfile');
+const {
+  normalizePromptTemplates,
+  getPromptTemplates,
+  renderTemplatePrompt,
+} = require('./services/promptTemplates');
+const {
+  SchemaValidationError,
+  parseStructuredResponse,
+} = require('./services/structuredOutput');
+
+// Sent with copied images; screenshots of errors are the common case
+const IMAGE_PROMPT =
+  'This image was copied to the clipboard. Briefly describe what it shows. ' +
+  'If it contains an error message, dialog, log or code, explain what it ' +
+  'means and suggest how to resolve it.';
+
+// Generation options for every backend, unless its profile overrides them
+const DEFAULT_GENERATION_OPTIONS = {
+  temperature: 0.7,
+  maxTokens: 500,
+  stream: true,
+  topP: 0.9,
+  topK: 40,
+  repeatPenalty: 1.1,
+};
+
+// Response cache limits used until changed in settings
+const DEFAULT_RESPONSE_CACHE_TTL_HOURS = 24;
+const DEFAULT_RESPONSE_CACHE_MAX_MB = 10;
+
+// Ollama embedding model used for the knowledge base unless configured
+const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text';
+
+// Knowledge base excerpts added to a prompt, and how much clipboard text
+// is used to find them
+const KNOWLEDGE_BASE_RESULTS = 4;
+const KNOWLEDGE_BASE_QUERY_CHARS = 2000;
+
+// Parallel generations per backend; a local Ollama server runs one at a time
+// well, other backends fall back to the queue's default
+const DEFAULT_QUEUE_CONCURRENCY = { ollama: 1 };
+
+// Rounds of tool calls a model may make before it has to answer
+const MAX_TOOL_ROUNDS = 5;
+
+// Text copies kept in memory for the search_clipboard_history tool
+const CLIPBOARD_HISTORY_LIMIT = 50;
+
+// Proxy and CA settings applied to every outbound AI request
+const NETWORK_SETTINGS_KEYS = [
+  'networkProxyMode',
+  'networkProxyUrl',
+  'networkNoProxy',
+  'networkCaFile',
+];
+
+// Global shortcut that cancels the active generation, unless configured
+const DEFAULT_CANCEL_SHORTCUT = 'CommandOrControl+Shift+X';
+
+// Service events forwarded to the renderer as `${providerId}-${event}`
+const FORWARDED_SERVICE_EVENTS = [
+  'initialized',
+  'connection-checked',
+  'models-loaded',
+  'model-changed',
+  'model-loading',
+  'model-loaded',
+  'model-unloaded',
+  'api-key-updated',
+  'generation-started',
+  'token-received',
+  'generation-completed',
+  'model-pulled',
+  'model-deleted',
+  'circuit-state-changed',
+  'error',
+];
 
 class AIOverlayAssistant {
   constructor() {
     this.mainWindow = null;
     this.isOverlayVisible = true;
     this.clipboardMonitor = null;
-    this.ollamaService = null;
-    this.geminiService = null;
+    this.providerRegistry = null;
     this.secureStorage = null;
     this.activeBackend = 'ollama'; // Track the currently active backend
+    this.activeGenerations = 0;
+    this.registeredCancelShortcut = null;
+    this.conversations = new ConversationManager();
+    this.usageLedger = null;
+    this.comparisonLog = null;
+    this.activeComparisons = new Map(); // request id -> lane request ids
+    this.toolLoops = new Map(); // request id -> AbortController
+    this.responseCache = null;
+    this.lastClipboardChangeEvent = null;
+    this.clipboardHistory = []; // {text, copiedAt}, newest first
+    this.localTools = new LocalTools({
+      getAllowedFolders: () => this.backendConfig.toolFolders || [],
+      getClipboardHistory: () => this.clipboardHistory,
+    });
+    this.generationQueue = new GenerationQueue({
+      concurrency: DEFAULT_QUEUE_CONCURRENCY,
+      cancelRunning: requestId => this.cancelGeneration(requestId),
+    });
+    this.generationQueue.on('queue-updated', snapshot => {
+      this.sendToRenderer('generation-queue-updated', snapshot);
+    });
     this.backendConfig = {
       backend: 'ollama',
       modelName: 'llama3.2',
@@ -29,16 +146,29 @@ class AIOverlayAssistant {
       this.initializeSecureStorage();
       this.createOverlayWindow();
       this.initializeClipboardMonitor();
-      await this.initializeOllamaService();
-      await this.initializeGeminiService();
       await this.loadBackendConfiguration(); // Load saved backend configuration
+      this.configureNetwork();
+      this.initializeUsageLedger();
+      this.initializeComparisonLog();
+      this.initializeResponseCache();
+      this.configureGenerationQueue();
+      await this.initializeProviders();
+      this.initializeHealthMonitor();
+      this.initializeKnowledgeBase();
       this.registerGlobalShortcut();
       this.setupIPCHandlers();
       this.setupHotkeyIPCHandlers();
       this.setupClipboardIPCHandlers();
+      this.setupProviderIPCHandlers();
+      this.setupNetworkIPCHandlers();
       this.setupOllamaIPCHandlers();
       this.setupGeminiIPCHandlers();
       this.setupSecureStorageIPCHandlers();
+      this.setupUsageIPCHandlers();
+      this.setupComparisonIPCHandlers();
+      this.setupResponseCacheIPCHandlers();
+      this.setupKnowledgeBaseIPCHandlers();
+      this.setupGenerationQueueIPCHandlers();
       this.setupBackendSwitchingIPCHandlers(); // Add backend switching IPC handlers
       this.setupScreenChangeHandlers();
       this.setupLifecycleHandlers();
@@ -241,6 +371,84 @@ class AIOverlayAssistant {
     }
   }
 
+  /**
+   * Claim the cancel shortcut; it is only held while a generation runs so it
+   * does not steal the key combination from other apps the rest of the time
+   */
+  registerCancelShortcut() {
+    const accelerator =
+      this.backendConfig.cancelShortcut || DEFAULT_CANCEL_SHORTCUT;
+
+    try {
+      const ret = globalShortcut.register(accelerator, () => {
+        console.log(`Cancel shortcut triggered: ${accelerator}`);
+        this.cancelGeneration();
+      });
+
+      if (ret) {
+        this.registeredCancelShortcut = accelerator;
+      } else {
+        console.error(`Failed to register cancel shortcut: ${accelerator}`);
+      }
+    } catch (error) {
+      console.error(`Invalid cancel shortcut '${accelerator}':`, error);
+    }
+  }
+
+  unregisterCancelShortcut() {
+    if (this.registeredCancelShortcut) {
+      globalShortcut.unregister(this.registeredCancelShortcut);
+      this.registeredCancelShortcut = null;
+    }
+  }
+
+  beginActiveGeneration() {
+    this.activeGenerations++;
+    if (this.activeGenerations === 1) {
+      this.registerCancelShortcut();
+    }
+  }
+
+  endActiveGeneration() {
+    this.activeGenerations = Math.max(0, this.activeGenerations - 1);
+    if (this.activeGenerations === 0) {
+      this.unregisterCancelShortcut();
+    }
+  }
+
+  /**
+   * Abort in-flight generations, including pending retries
+   * @param {string} [requestId] - Only cancel this request; all if omitted
+   * @returns {boolean} - Whether a generation was cancelled
+   */
+  cancelGeneration(requestId) {
+    // A comparison runs each lane under its own request id
+    const requestIds = [
+      requestId,
+      ...(this.activeComparisons.get(requestId) || []),
+    ];
+    // Jobs still waiting in the queue are dropped before they start
+    const dropped = requestIds
+      .map(id => this.generationQueue.drop(id))
+      .some(Boolean);
+    // Between tool rounds no backend call is running to abort
+    const toolLoops = requestId
+      ? requestIds.map(id => this.toolLoops.get(id)).filter(Boolean)
+      : Array.from(this.toolLoops.values());
+    toolLoops.forEach(controller => controller.abort());
+    const stoppedToolLoop = toolLoops.length > 0;
+    const cancelled = this.providerRegistry
+      ? requestIds.map(id => this.providerRegistry.cancelAll(id)).some(Boolean)
+      : false;
+
+    console.log(
+      cancelled || dropped || stoppedToolLoop
+        ? 'Generation cancelled'
+        : 'No active generation to cancel'
+    );
+    return cancelled || dropped || stoppedToolLoop;
+  }
+
   getPlatformShortcutConfig() {
     const platform = process.platform;
 
@@ -335,9 +543,9 @@ class AIOverlayAssistant {
     });
 
     // Handle settings save request
-    ipcMain.on('save-settings', (event, settings) => {
+    ipcMain.handle('save-settings', (event, settings) => {
       console.log('Received settings save request:', settings);
-      this.saveSettings(settings);
+      return this.saveSettings(settings);
     });
 
     // Handle settings request
@@ -407,6 +615,56 @@ class AIOverlayAssistant {
       this.processQuestion(data.question);
     });
 
+    // Handle regenerating the last clipboard analysis without the cache
+    ipcMain.on('regenerate-response', () => {
+      if (!this.lastClipboardChangeEvent) {
+        console.log('Nothing to regenerate');
+        return;
+      }
+
+      console.log('Regenerating last clipboard analysis');
+      this.enqueueClipboardChange(this.lastClipboardChangeEvent, {
+        bypassCache: true,
+      });
+    });
+
+    // List the prompt templates the overlay can run
+    ipcMain.handle('prompt-templates-list', () =>
+      getPromptTemplates(this.backendConfig.promptTemplates).map(template => ({
+        id: template.id,
+        name: template.name,
+        structured: !!template.schema,
+      }))
+    );
+
+    // Handle running a prompt template on the last clipboard content
+    ipcMain.on('run-prompt-template', (event, templateId) => {
+      const template = getPromptTemplates(
+        this.backendConfig.promptTemplates
+      ).find(t => t.id === templateId);
+
+      if (!template || !this.lastClipboardChangeEvent) {
+        this.sendToRenderer('error-message', {
+          message: template
+            ? 'Copy something first, then run the template'
+            : `Unknown prompt template: ${templateId}`,
+        });
+        return;
+      }
+
+      console.log(`Running prompt template ${template.name}`);
+      this.enqueueClipboardChange(this.lastClipboardChangeEvent, {
+        template: template,
+      });
+    });
+
+    // Handle clearing the conversation so the next question starts fresh
+    ipcMain.on('clear-conversation', () => {
+      console.log('Clearing current conversation');
+      this.conversations.clearCurrentThread();
+      this.sendConversationUpdate();
+    });
+
     // Handle toggle window visibility
     ipcMain.on('toggle-window-visibility', (event, isVisible) => {
       console.log('Toggle window visibility:', isVisible);
@@ -506,6 +764,10 @@ class AIOverlayAssistant {
       console.log('Switching backend to:', backend);
 
       try {
+        if (!this.providerRegistry || !this.providerRegistry.has(backend)) {
+          throw new Error(`Unknown backend: ${backend}`);
+        }
+
         this.activeBackend = backend;
 
         // Update backend configuration
@@ -652,12 +914,36 @@ class AIOverlayAssistant {
     });
   }
 
+  /**
+   * Apply and persist settings from the settings window
+   * @param {Object} settings - Changed settings
+   * @returns {Object} - {success}, or {success: false, error} when a
+   * setting is invalid and nothing was saved
+   */
   saveSettings(settings) {
     try {
       console.log('Saving settings:', settings);
 
+      // A bad proxy URL or CA file would break every backend; refuse it
+      // before anything is changed
+      const networkSettings = {};
+      for (const key of NETWORK_SETTINGS_KEYS) {
+        if (settings[key] !== undefined) {
+          networkSettings[key] = String(settings[key]).trim();
+        }
+      }
+      httpClient.validateNetwork(
+        this.getNetworkConfig({ ...this.backendConfig, ...networkSettings })
+      );
+
       // Update backend configuration
       if (settings.backend) {
+        if (
+          this.providerRegistry &&
+          !this.providerRegistry.has(settings.backend)
+        ) {
+          throw new Error(`Unknown backend: ${settings.backend}`);
+        }
         this.backendConfig.backend = settings.backend;
         this.activeBackend = settings.backend;
       }
@@ -670,6 +956,139 @@ class AIOverlayAssistant {
         this.backendConfig.geminiApiKey = settings.geminiApiKey;
       }
 
+      if (settings.cancelShortcut !== undefined) {
+        this.backendConfig.cancelShortcut =
+          String(settings.cancelShortcut).trim() || DEFAULT_CANCEL_SHORTCUT;
+      }
+
+      // Ordered backends to try when the selected one fails
+      if (Array.isArray(settings.failoverChain)) {
+        this.backendConfig.failoverChain = settings.failoverChain.filter(
+          id => !this.providerRegistry || this.providerRegistry.has(id)
+        );
+      }
+
+      // Response cache settings
+      if (settings.responseCacheEnabled !== undefined) {
+        this.backendConfig.responseCacheEnabled =
+          !!settings.responseCacheEnabled;
+      }
+
+      if (settings.responseCacheTtlHours > 0) {
+        this.backendConfig.responseCacheTtlHours = Number(
+          settings.responseCacheTtlHours
+        );
+      }
+
+      if (settings.responseCacheMaxMb > 0) {
+        this.backendConfig.responseCacheMaxMb = Number(
+          settings.responseCacheMaxMb
+        );
+      }
+
+      this.configureResponseCache();
+
+      // Parallel generations allowed per backend
+      if (
+        settings.queueConcurrency &&
+        typeof settings.queueConcurrency === 'object'
+      ) {
+        this.backendConfig.queueConcurrency = settings.queueConcurrency;
+        this.configureGenerationQueue();
+      }
+
+      // Generation options (system instruction, sampling, ...) per backend
+      if (
+        settings.generationProfiles &&
+        typeof settings.generationProfiles === 'object'
+      ) {
+        const profiles = {};
+        for (const [backend, profile] of Object.entries(
+          settings.generationProfiles
+        )) {
+          if (!this.providerRegistry || this.providerRegistry.has(backend)) {
+            profiles[backend] = normalizeGenerationProfile(profile, backend);
+          }
+        }
+        this.backendConfig.generationProfiles = profiles;
+      }
+
+      // Knowledge base used to ground clipboard analyses
+      if (settings.knowledgeBaseEnabled !== undefined) {
+        this.backendConfig.knowledgeBaseEnabled =
+          !!settings.knowledgeBaseEnabled;
+      }
+
+      if (settings.knowledgeBaseFolder !== undefined) {
+        this.backendConfig.knowledgeBaseFolder = settings.knowledgeBaseFolder;
+      }
+
+      if (settings.knowledgeBaseModel !== undefined) {
+        this.backendConfig.knowledgeBaseModel = settings.knowledgeBaseModel;
+      }
+
+      this.configureKnowledgeBase();
+
+      // Built-in tools models may call, and the folders read_file may read
+      if (settings.toolsEnabled !== undefined) {
+        this.backendConfig.toolsEnabled = !!settings.toolsEnabled;
+      }
+
+      if (Array.isArray(settings.toolFolders)) {
+        this.backendConfig.toolFolders = settings.toolFolders
+          .map(folder => String(folder).trim())
+          .filter(folder => path.isAbsolute(folder));
+      }
+
+      // Compare mode: two backend/model pairs answering side by side
+      if (settings.compareEnabled !== undefined) {
+        this.backendConfig.compareEnabled = !!settings.compareEnabled;
+      }
+
+      if (Array.isArray(settings.compareTargets)) {
+        this.backendConfig.compareTargets = settings.compareTargets
+          .filter(
+            target =>
+              target &&
+              (!this.providerRegistry ||
+                this.providerRegistry.has(target.backend))
+          )
+          .slice(0, 2)
+          .map(target => ({
+            backend: target.backend,
+            model: String(target.model || '').trim(),
+          }));
+      }
+
+      // User prompt templates, run from the overlay
+      if (Array.isArray(settings.promptTemplates)) {
+        this.backendConfig.promptTemplates = normalizePromptTemplates(
+          settings.promptTemplates
+        );
+      }
+
+      // Per-model prices (USD per million tokens) for the usage ledger
+      if (settings.usagePrices && typeof settings.usagePrices === 'object') {
+        this.backendConfig.usagePrices = settings.usagePrices;
+        if (this.usageLedger) {
+          this.usageLedger.setPrices(settings.usagePrices);
+        }
+      }
+
+      // Proxy and extra CA for every backend, checked above
+      Object.assign(this.backendConfig, networkSettings);
+
+      const networkChanged = this.configureNetwork();
+
+      // Copy provider-owned settings (e.g. server URLs) for every backend
+      if (this.providerRegistry) {
+        for (const key of this.providerRegistry.getSettingsKeys()) {
+          if (settings[key] !== undefined) {
+            this.backendConfig[key] = settings[key];
+          }
+        }
+      }
+
       // Update overlay position
       if (settings.position) {
         this.backendConfig.position = settings.position;
@@ -710,6 +1129,14 @@ class AIOverlayAssistant {
         this.secureStorage.storeBackendConfig(this.backendConfig);
       }
 
+      // Let every provider pick up its part of the new configuration, and
+      // reconnect them all when requests now take another route
+      if (this.providerRegistry) {
+        this.providerRegistry
+          .applySettings(this.backendConfig)
+          .then(() => networkChanged && this.providerRegistry.initializeAll());
+      }
+
       // Notify renderer about settings update
       if (this.mainWindow) {
         this.mainWindow.webContents.send(
@@ -719,8 +1146,10 @@ class AIOverlayAssistant {
       }
 
       console.log('Settings saved successfully');
+      return { success: true };
     } catch (error) {
       console.error('Failed to save settings:', error);
+      return { success: false, error: error.message };
     }
   }
 
@@ -1098,16 +1527,23 @@ class AIOverlayAssistant {
       this.clipboardMonitor = null;
     }
 
-    // Clean up Ollama service
-    if (this.ollamaService) {
+    // Stop health checks before the services go away
+    if (this.healthMonitor) {
+      this.healthMonitor.stop();
+      this.healthMonitor.removeAllListeners();
+      this.healthMonitor = null;
+    }
+
+    // Clean up AI provider services
+    if (this.providerRegistry) {
       try {
-        // Remove all event listeners
-        this.ollamaService.removeAllListeners();
-        console.log('Ollama service cleaned up');
+        // Abort in-flight requests and remove all event listeners
+        this.providerRegistry.dispose();
+        console.log('AI provider services cleaned up');
       } catch (error) {
-        console.error('Error cleaning up Ollama service:', error);
+        console.error('Error cleaning up AI provider services:', error);
       }
-      this.ollamaService = null;
+      this.providerRegistry = null;
     }
 
     // Clean up secure storage service
@@ -1122,18 +1558,6 @@ class AIOverlayAssistant {
       this.secureStorage = null;
     }
 
-    // Clean up Gemini service
-    if (this.geminiService) {
-      try {
-        // Remove all event listeners
-        this.geminiService.removeAllListeners();
-        console.log('Gemini service cleaned up');
-      } catch (error) {
-        console.error('Error cleaning up Gemini service:', error);
-      }
-      this.geminiService = null;
-    }
-
     // Unregister specific registered shortcut
     if (this.registeredShortcut) {
       const unregistered = globalShortcut.unregister(this.registeredShortcut);
@@ -1320,150 +1744,531 @@ class AIOverlayAssistant {
     }
   }
 
-  async initializeOllamaService() {
+  initializeKnowledgeBase() {
     try {
-      this.ollamaService = new OllamaService();
+      this.knowledgeBase = new KnowledgeBase({
+        embed: (texts, model) => {
+          const ollamaService = this.getProviderService('ollama');
+          if (!ollamaService) {
+            throw new Error('Ollama is needed to embed documents');
+          }
+          return ollamaService.embed(texts, model);
+        },
+      });
+      this.configureKnowledgeBase();
+    } catch (error) {
+      console.error('Error initializing knowledge base:', error);
+    }
+  }
 
-      // Set up Ollama service event listeners
-      this.setupOllamaServiceEvents();
+  /**
+   * Apply the knowledge base settings and bring the index up to date in the
+   * background; files that haven't changed are not embedded again
+   */
+  configureKnowledgeBase() {
+    if (!this.knowledgeBase) {
+      return;
+    }
 
-      // Initialize the service
-      const initialized = await this.ollamaService.initialize();
+    this.knowledgeBase.configure({
+      folder: this.backendConfig.knowledgeBaseFolder,
+      model: this.backendConfig.knowledgeBaseModel || DEFAULT_EMBEDDING_MODEL,
+    });
 
-      if (initialized) {
-        console.log('Ollama service initialized successfully');
-        console.log(
-          'Available models:',
-          this.ollamaService.getAvailableModels().map(m => m.name)
+    if (
+      this.backendConfig.knowledgeBaseEnabled &&
+      this.backendConfig.knowledgeBaseFolder
+    ) {
+      this.knowledgeBase
+        .index()
+        .then(stats =>
+          console.log(
+            `Knowledge base indexed: ${stats.files} files, ${stats.chunks} chunks, ${stats.errors.length} skipped`
+          )
+        )
+        .catch(error =>
+          console.error('Failed to index knowledge base:', error.message)
         );
-        console.log('Current model:', this.ollamaService.getCurrentModel());
-      } else {
-        console.error('Failed to initialize Ollama service');
-      }
-    } catch (error) {
-      console.error('Error initializing Ollama service:', error);
     }
   }
 
-  async initializeGeminiService() {
+  isKnowledgeBaseEnabled() {
+    return (
+      !!this.knowledgeBase &&
+      !!this.backendConfig.knowledgeBaseEnabled &&
+      !!this.backendConfig.knowledgeBaseFolder
+    );
+  }
+
+  /**
+   * Find knowledge base excerpts that match clipboard text. Retrieval is
+   * best effort: the analysis goes ahead without excerpts if it fails.
+   * @param {Object} changeEvent - The clipboard change event
+   * @returns {Promise<Array<Object>>} - Matching chunks, best first
+   */
+  async retrieveKnowledge(changeEvent) {
+    if (!this.isKnowledgeBaseEnabled() || changeEvent.type === 'image') {
+      return [];
+    }
+
     try {
-      // Check if Gemini API key exists before attempting to initialize
-      if (!this.secureStorage) {
-        console.log(
-          'Secure storage not available, skipping Gemini service initialization'
-        );
-        return;
-      }
+      const content =
+        this.processAndValidateClipboardText(changeEvent).processedContent;
+      return await this.knowledgeBase.search(
+        content.substring(0, KNOWLEDGE_BASE_QUERY_CHARS),
+        { limit: KNOWLEDGE_BASE_RESULTS }
+      );
+    } catch (error) {
+      console.warn('Knowledge base search failed:', error.message);
+      return [];
+    }
+  }
 
-      const hasApiKey = this.secureStorage.hasGeminiApiKey();
-      if (!hasApiKey) {
-        console.log(
-          'No Gemini API key found, skipping Gemini service initialization'
-        );
-        console.log(
-          'Gemini service will be available once an API key is configured in settings'
-        );
-        return;
-      }
+  /**
+   * Put knowledge base excerpts ahead of a prompt, numbered for citation
+   * @param {string} prompt - The prompt for the clipboard content
+   * @param {Array<Object>} sources - Chunks from retrieveKnowledge()
+   * @returns {string} - The prompt with the excerpts
+   */
+  withKnowledgeContext(prompt, sources) {
+    if (sources.length === 0) {
+      return prompt;
+    }
 
-      // Create Gemini service with secure storage
-      const GeminiService = require('./services/geminiService');
-      this.geminiService = new GeminiService(this.secureStorage);
+    const excerpts = sources
+      .map(
+        (source, index) =>
+          `[${index + 1}] ${source.file} (lines ${source.startLine}-${source.endLine})\n${source.text}`
+      )
+      .join('\n\n');
 
-      // Set up Gemini service event listeners
-      this.setupGeminiServiceEvents();
+    return (
+      "Excerpts from the user's documents that may be relevant. Use them " +
+      'where they help and cite them by number, e.g. [1].\n\n' +
+      `${excerpts}\n\n---\n\n${prompt}`
+    );
+  }
 
-      // Initialize the service
-      const initialized = await this.geminiService.initialize();
+  /**
+   * Describe knowledge base sources for the overlay, without their text
+   * @param {Array<Object>} sources - Chunks from retrieveKnowledge()
+   * @returns {Array<Object>} - {file, startLine, endLine}
+   */
+  describeSources(sources) {
+    return sources.map(source => ({
+      file: source.file,
+      startLine: source.startLine,
+      endLine: source.endLine,
+    }));
+  }
 
-      if (initialized) {
-        console.log('Gemini service initialized successfully');
-        console.log('Current model:', this.geminiService.currentModel);
-        console.log('Using secure storage:', !!this.secureStorage);
-      } else {
-        console.error('Failed to initialize Gemini service');
-      }
+  initializeComparisonLog() {
+    try {
+      this.comparisonLog = new ComparisonLog();
     } catch (error) {
-      console.error('Error initializing Gemini service:', error);
+      console.error('Error initializing comparison log:', error);
     }
   }
 
-  async loadBackendConfiguration() {
+  initializeUsageLedger() {
     try {
-      const config = await this.secureStorage.retrieveBackendConfig();
-      if (config) {
-        this.backendConfig = config;
-        this.activeBackend = config.backend;
-        console.log('Loaded backend configuration:', this.backendConfig);
-      } else {
-        console.log('No backend configuration found, using default.');
-      }
+      this.usageLedger = new UsageLedger();
+      this.usageLedger.setPrices(this.backendConfig.usagePrices || {});
+      console.log(
+        `Usage ledger loaded with ${this.usageLedger.entries.length} entries`
+      );
     } catch (error) {
-      console.error('Error loading backend configuration:', error);
+      console.error('Error initializing usage ledger:', error);
     }
   }
 
-  setupClipboardMonitorEvents() {
-    if (!this.clipboardMonitor) return;
-
-    // Monitor lifecycle events
-    this.clipboardMonitor.on('monitoring-started', data => {
-      console.log('Clipboard monitoring started:', data);
-      this.sendToRenderer('clipboard-monitoring-started', data);
+  /**
+   * Apply per-backend concurrency limits from the backend configuration
+   */
+  configureGenerationQueue() {
+    this.generationQueue.setConcurrency({
+      ...DEFAULT_QUEUE_CONCURRENCY,
+      ...(this.backendConfig.queueConcurrency || {}),
     });
+  }
 
-    this.clipboardMonitor.on('monitoring-stopped', data => {
-      console.log('Clipboard monitoring stopped:', data);
-      this.sendToRenderer('clipboard-monitoring-stopped', data);
-    });
+  /**
+   * Queue analysis of a clipboard change; a newer change replaces any
+   * clipboard analysis that is still waiting or running
+   * @param {Object} changeEvent - The clipboard change event
+   * @param {Object} [options] - Options passed to handleClipboardChange()
+   * @returns {Promise<Object|undefined>} - Settles when the job ends or is dropped
+   */
+  enqueueClipboardChange(changeEvent, options = {}) {
+    // Don't let changes that will be skipped supersede real work
+    if (!changeEvent.isSignificant || changeEvent.isEmpty) {
+      return this.handleClipboardChange(changeEvent, options);
+    }
 
-    this.clipboardMonitor.on('monitoring-paused', data => {
-      console.log('Clipboard monitoring paused:', data);
-      this.sendToRenderer('clipboard-monitoring-paused', data);
+    const requestId = randomUUID();
+    return this.generationQueue.enqueue({
+      id: requestId,
+      kind: 'clipboard',
+      backend: this.getQueueBackend(
+        this.isCompareEnabled() && !options.template
+      ),
+      run: () =>
+        this.handleClipboardChange(changeEvent, { ...options, requestId }),
     });
+  }
 
-    this.clipboardMonitor.on('monitoring-resumed', data => {
-      console.log('Clipboard monitoring resumed:', data);
-      this.sendToRenderer('clipboard-monitoring-resumed', data);
-    });
+  /**
+   * The backend a queued job counts against. A comparison only waits for
+   * its lanes, which are queued against their own backends, so it takes a
+   * separate 'compare' slot rather than one its lanes would wait for.
+   * @param {boolean} compare - Whether the job runs a comparison
+   * @returns {string} - Backend id, or 'compare'
+   */
+  getQueueBackend(compare) {
+    return compare ? 'compare' : this.determineBackendFromSettings().backend;
+  }
 
-    // Monitor clipboard changes
-    this.clipboardMonitor.on('clipboard-changed', changeEvent => {
-      console.log('Clipboard change detected:', {
-        type: changeEvent.type,
-        length: changeEvent.length,
-        isSignificant: changeEvent.isSignificant,
-        newValue: changeEvent.newValue
-          ? changeEvent.newValue.substring(0, 100) + '...'
-          : 'empty',
-      });
+  initializeResponseCache() {
+    try {
+      this.responseCache = new ResponseCache();
+      this.configureResponseCache();
+      console.log('Response cache loaded:', this.responseCache.getStats());
+    } catch (error) {
+      console.error('Error initializing response cache:', error);
+    }
+  }
 
-      // Send to renderer for UI updates
-      this.sendToRenderer('clipboard-changed', changeEvent);
+  /**
+   * Apply the TTL and size cap from the backend configuration
+   */
+  configureResponseCache() {
+    if (!this.responseCache) {
+      return;
+    }
 
-      // Trigger AI processing with Ollama
-      this.handleClipboardChange(changeEvent);
-    });
+    const ttlHours =
+      this.backendConfig.responseCacheTtlHours ||
+      DEFAULT_RESPONSE_CACHE_TTL_HOURS;
+    const maxMb =
+      this.backendConfig.responseCacheMaxMb || DEFAULT_RESPONSE_CACHE_MAX_MB;
 
-    // Monitor errors
-    this.clipboardMonitor.on('error', error => {
-      console.error('Clipboard monitor error:', error);
-      this.sendToRenderer('clipboard-error', error);
+    this.responseCache.configure({
+      ttlMs: ttlHours * 60 * 60 * 1000,
+      maxBytes: maxMb * 1024 * 1024,
     });
+  }
 
-    // Performance monitoring events
-    this.clipboardMonitor.on('performance-metrics', metrics => {
-      // console.log('Clipboard performance metrics:', {
-      //   totalPolls: metrics.totalPolls,
-      //   totalChanges: metrics.totalChanges,
-      //   averagePollTime: metrics.averagePollTime,
-      //   adaptiveInterval: metrics.adaptiveInterval,
-      //   isPaused: metrics.isPaused,
-      // });
-      this.sendToRenderer('clipboard-performance-metrics', metrics);
+  isResponseCacheEnabled() {
+    return (
+      !!this.responseCache && this.backendConfig.responseCacheEnabled !== false
+    );
+  }
+
+  /**
+   * Build the response cache key for a clipboard analysis
+   * @param {Object} changeEvent - The clipboard change event
+   * @param {string} prompt - The rendered prompt
+   * @param {string} backend - Provider id
+   * @param {string} model - Model name
+   * @returns {string} - The cache key
+   */
+  getResponseCacheKey(changeEvent, prompt, backend, model) {
+    const content =
+      changeEvent.type === 'image'
+        ? `image:${changeEvent.image.signature}`
+        : this.processAndValidateClipboardText(changeEvent).processedContent;
+
+    return ResponseCache.createKey({
+      content: content,
+      prompt: prompt,
+      backend: backend,
+      model: model,
+      options: this.getGenerationOptions(backend),
     });
+  }
 
-    this.clipboardMonitor.on('adaptive-interval-updated', data => {
+  /**
+   * Generation options for a backend: the defaults with the backend's saved
+   * profile applied on top
+   * @param {string} backend - Provider id
+   * @returns {Object} - Options for generateResponse()
+   */
+  getGenerationOptions(backend) {
+    const profiles = this.backendConfig.generationProfiles || {};
+    return {
+      ...DEFAULT_GENERATION_OPTIONS,
+      // Saved profiles may predate a backend's narrower ranges
+      ...normalizeGenerationProfile(profiles[backend], backend),
+    };
+  }
+
+  /**
+   * Answer a clipboard analysis from the response cache
+   * @param {string} requestId - The request being answered
+   * @param {Object} changeEvent - The clipboard change event
+   * @param {string} prompt - The rendered prompt
+   * @param {Object} cached - The cache entry
+   * @param {Object} [details] - {schema, sources} of the request, if any
+   */
+  sendCachedResponse(
+    requestId,
+    changeEvent,
+    prompt,
+    cached,
+    { schema, sources = [] } = {}
+  ) {
+    console.log(
+      `Answering clipboard change from cache (${cached.backend}, ${cached.model})`
+    );
+
+    // Follow-up questions continue from the cached analysis too
+    const thread = this.conversations.startThread('clipboard');
+    this.conversations.addExchange(thread.id, prompt, cached.response);
+    this.sendConversationUpdate();
+
+    this.lastGeneratedResponse = {
+      requestId: requestId,
+      prompt: prompt,
+      response: cached.response,
+      timestamp: Date.now(),
+      contentType: changeEvent.type,
+      backend: cached.backend,
+      model: cached.model || 'N/A',
+      cached: true,
+    };
+
+    if (this.mainWindow && !this.mainWindow.isVisible()) {
+      this.mainWindow.show();
+    }
+
+    this.sendToRenderer('ai-response-completed', {
+      requestId: requestId,
+      response: cached.response,
+      backend: cached.backend,
+      contentType: changeEvent.type,
+      timestamp: Date.now(),
+      model: cached.model || 'N/A',
+      cached: true,
+      cachedAt: cached.createdAt,
+      structured: schema
+        ? parseStructuredResponse(cached.response, schema)
+        : undefined,
+      sources: this.describeSources(sources),
+    });
+  }
+
+  async initializeProviders() {
+    try {
+      this.providerRegistry = createProviderRegistry({
+        secureStorage: this.secureStorage,
+        getConfig: () => this.backendConfig,
+      });
+
+      // Wire service events as soon as a provider's service is created,
+      // including providers that become configured later on
+      this.providerRegistry.on('provider-created', ({ id, service }) => {
+        this.setupProviderServiceEvents(id, service);
+      });
+
+      const results = await this.providerRegistry.initializeAll();
+
+      for (const provider of this.providerRegistry.listProviders()) {
+        if (!provider.initialized) {
+          continue;
+        }
+
+        if (results[provider.id]) {
+          console.log(
+            `${provider.displayName} service initialized successfully`
+          );
+          console.log('Current model:', provider.currentModel);
+        } else {
+          console.error(`Failed to initialize ${provider.displayName} service`);
+        }
+      }
+    } catch (error) {
+      console.error('Error initializing AI providers:', error);
+    }
+  }
+
+  /**
+   * Watch every backend's health and push status changes to the overlay
+   * and settings window
+   */
+  initializeHealthMonitor() {
+    if (!this.providerRegistry) {
+      return;
+    }
+
+    this.healthMonitor = new HealthMonitor(this.providerRegistry);
+
+    this.healthMonitor.on('status-changed', status => {
+      this.sendToRenderer('backend-status-updated', status);
+      if (this.settingsWindow && !this.settingsWindow.isDestroyed()) {
+        this.settingsWindow.webContents.send('backend-status-updated', status);
+      }
+    });
+
+    this.healthMonitor.on('backend-reconnected', data => {
+      console.log('Backend reconnected:', data);
+    });
+
+    this.healthMonitor.on('backend-disconnected', data => {
+      console.log('Backend disconnected:', data);
+    });
+
+    this.healthMonitor.start();
+  }
+
+  /**
+   * Look up the running service for a provider
+   * @param {string} providerId - The provider id (e.g. 'ollama')
+   * @returns {Object|null} - The service instance or null if unavailable
+   */
+  getProviderService(providerId) {
+    return this.providerRegistry
+      ? this.providerRegistry.getService(providerId)
+      : null;
+  }
+
+  /**
+   * Network settings for the HTTP client from a backend configuration
+   * @param {Object} config - Backend configuration
+   * @returns {Object} - Options for httpClient.configureNetwork()
+   */
+  getNetworkConfig(config) {
+    return {
+      proxyMode: config.networkProxyMode,
+      proxyUrl: config.networkProxyUrl,
+      noProxy: config.networkNoProxy,
+      proxyCredentials: this.secureStorage
+        ? this.secureStorage.retrieveProxyCredentials()
+        : null,
+      caFile: config.networkCaFile,
+    };
+  }
+
+  /**
+   * Apply the proxy and CA settings, with proxy credentials from secure
+   * storage, to outbound AI requests
+   * @returns {boolean} - Whether the settings changed since last applied
+   */
+  configureNetwork() {
+    const network = this.getNetworkConfig(this.backendConfig);
+
+    const signature = JSON.stringify(network);
+    if (signature === this.networkSignature) {
+      return false;
+    }
+
+    try {
+      httpClient.configureNetwork(network);
+      this.networkSignature = signature;
+      console.log('Network settings applied:', {
+        proxyMode: network.proxyMode || 'environment',
+        caFile: network.caFile || null,
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to apply network settings:', error);
+      return false;
+    }
+  }
+
+  async loadBackendConfiguration() {
+    try {
+      const config = await this.secureStorage.retrieveBackendConfig();
+      if (config) {
+        this.backendConfig = config;
+        this.activeBackend = config.backend;
+        console.log('Loaded backend configuration:', this.backendConfig);
+      } else {
+        console.log('No backend configuration found, using default.');
+      }
+    } catch (error) {
+      console.error('Error loading backend configuration:', error);
+    }
+  }
+
+  setupClipboardMonitorEvents() {
+    if (!this.clipboardMonitor) return;
+
+    // Monitor lifecycle events
+    this.clipboardMonitor.on('monitoring-started', data => {
+      console.log('Clipboard monitoring started:', data);
+      this.sendToRenderer('clipboard-monitoring-started', data);
+    });
+
+    this.clipboardMonitor.on('monitoring-stopped', data => {
+      console.log('Clipboard monitoring stopped:', data);
+      this.sendToRenderer('clipboard-monitoring-stopped', data);
+    });
+
+    this.clipboardMonitor.on('monitoring-paused', data => {
+      console.log('Clipboard monitoring paused:', data);
+      this.sendToRenderer('clipboard-monitoring-paused', data);
+    });
+
+    this.clipboardMonitor.on('monitoring-resumed', data => {
+      console.log('Clipboard monitoring resumed:', data);
+      this.sendToRenderer('clipboard-monitoring-resumed', data);
+    });
+
+    // Monitor clipboard changes
+    this.clipboardMonitor.on('clipboard-changed', changeEvent => {
+      console.log('Clipboard change detected:', {
+        type: changeEvent.type,
+        length: changeEvent.length,
+        isSignificant: changeEvent.isSignificant,
+        newValue: changeEvent.newValue
+          ? changeEvent.newValue.substring(0, 100) + '...'
+          : 'empty',
+      });
+
+      // Send to renderer for UI updates; it has no use for the image bytes
+      this.sendToRenderer('clipboard-changed', {
+        ...changeEvent,
+        image: changeEvent.image && {
+          mimeType: changeEvent.image.mimeType,
+          width: changeEvent.image.width,
+          height: changeEvent.image.height,
+        },
+      });
+
+      if (changeEvent.type !== 'image' && !changeEvent.isEmpty) {
+        this.clipboardHistory.unshift({
+          text: changeEvent.newValue,
+          copiedAt: Date.now(),
+        });
+        this.clipboardHistory.length = Math.min(
+          this.clipboardHistory.length,
+          CLIPBOARD_HISTORY_LIMIT
+        );
+      }
+
+      // Queue AI processing; a burst of copies only analyses the last one
+      this.enqueueClipboardChange(changeEvent);
+    });
+
+    // Monitor errors
+    this.clipboardMonitor.on('error', error => {
+      console.error('Clipboard monitor error:', error);
+      this.sendToRenderer('clipboard-error', error);
+    });
+
+    // Performance monitoring events
+    this.clipboardMonitor.on('performance-metrics', metrics => {
+      // console.log('Clipboard performance metrics:', {
+      //   totalPolls: metrics.totalPolls,
+      //   totalChanges: metrics.totalChanges,
+      //   averagePollTime: metrics.averagePollTime,
+      //   adaptiveInterval: metrics.adaptiveInterval,
+      //   isPaused: metrics.isPaused,
+      // });
+      this.sendToRenderer('clipboard-performance-metrics', metrics);
+    });
+
+    this.clipboardMonitor.on('adaptive-interval-updated', data => {
       console.log('Adaptive polling interval updated:', {
         newInterval: data.newInterval,
         reason: data.reason,
@@ -1549,105 +2354,45 @@ class AIOverlayAssistant {
     });
   }
 
-  setupGeminiServiceEvents() {
-    if (!this.geminiService) return;
-
-    // Service lifecycle events
-    this.geminiService.on('initialized', data => {
-      console.log('Gemini service initialized:', data);
-      this.sendToRenderer('gemini-initialized', data);
-    });
-
-    this.geminiService.on('connection-checked', data => {
-      console.log('Gemini connection checked:', data);
-      this.sendToRenderer('gemini-connection-checked', data);
-    });
-
-    this.geminiService.on('api-key-updated', data => {
-      console.log('Gemini API key updated:', data);
-      this.sendToRenderer('gemini-api-key-updated', data);
-    });
-
-    // Generation events
-    this.geminiService.on('generation-started', data => {
-      console.log('Gemini generation started:', data);
-      this.sendToRenderer('gemini-generation-started', data);
-    });
-
-    this.geminiService.on('token-received', data => {
-      this.sendToRenderer('gemini-token-received', data);
-    });
-
-    this.geminiService.on('generation-completed', data => {
-      console.log('Gemini generation completed:', data);
-      this.sendToRenderer('gemini-generation-completed', data);
-    });
-
-    // Error events
-    this.geminiService.on('error', error => {
-      console.error('Gemini service error:', error);
-      this.sendToRenderer('gemini-error', error);
-    });
-  }
-
-  setupOllamaServiceEvents() {
-    if (!this.ollamaService) return;
-
-    // Service lifecycle events
-    this.ollamaService.on('initialized', data => {
-      console.log('Ollama service initialized:', data);
-      this.sendToRenderer('ollama-initialized', data);
-    });
-
-    this.ollamaService.on('connection-checked', data => {
-      console.log('Ollama connection checked:', data);
-      this.sendToRenderer('ollama-connection-checked', data);
-    });
-
-    this.ollamaService.on('models-loaded', data => {
-      console.log('Ollama models loaded:', data);
-      this.sendToRenderer('ollama-models-loaded', data);
-    });
-
-    this.ollamaService.on('model-changed', data => {
-      console.log('Ollama model changed:', data);
-      this.sendToRenderer('ollama-model-changed', data);
-    });
-
-    // Generation events
-    this.ollamaService.on('generation-started', data => {
-      console.log('Ollama generation started:');
-      this.sendToRenderer('ollama-generation-started', data);
-    });
-
-    this.ollamaService.on('token-received', data => {
-      this.sendToRenderer('ollama-token-received', data);
-    });
-
-    this.ollamaService.on('generation-completed', data => {
-      console.log('Ollama generation completed:', data);
-      this.sendToRenderer('ollama-generation-completed', data);
-    });
-
-    // Error events
-    this.ollamaService.on('error', error => {
-      console.error('Ollama service error:', error);
-      this.sendToRenderer('ollama-error', error);
-    });
+  setupProviderServiceEvents(providerId, service) {
+    if (!service) return;
+
+    const displayName = service.displayName || providerId;
+
+    for (const eventName of FORWARDED_SERVICE_EVENTS) {
+      service.on(eventName, event => {
+        // Image attachments are megabytes of base64 that neither the log
+        // nor the renderer needs
+        const data =
+          event && event.options && event.options.images
+            ? {
+                ...event,
+                options: {
+                  ...event.options,
+                  images: event.options.images.length,
+                },
+              }
+            : event;
+
+        if (eventName === 'error') {
+          console.error(`${displayName} service error:`, data);
+        } else if (eventName !== 'token-received') {
+          console.log(`${displayName} ${eventName}:`, data);
+        }
+        this.sendToRenderer(`${providerId}-${eventName}`, data);
+      });
+    }
   }
 
   /**
    * Set up streaming response handlers for real-time updates
    * @param {Object} service - The AI service instance
-   * @param {string} backend - The backend type ('ollama' or 'gemini')
+   * @param {string} backend - The provider id (e.g. 'ollama' or 'gemini')
    * @param {Object} changeEvent - The original clipboard change event
+   * @param {string} requestId - Only events for this request are forwarded
+   * @returns {Function} - Removes the handlers once the request settles
    */
-  setupStreamingResponseHandlers(service, backend, changeEvent) {
-    // Clear any existing handlers to prevent duplicates
-    service.removeAllListeners('token-received');
-    service.removeAllListeners('generation-completed');
-    service.removeAllListeners('error');
-
+  setupStreamingResponseHandlers(service, backend, changeEvent, requestId) {
     // Ensure window is visible before setting up streaming
     if (this.mainWindow && !this.mainWindow.isVisible()) {
       console.log('Making window visible for streaming response');
@@ -1655,7 +2400,11 @@ class AIOverlayAssistant {
     }
 
     // Handle individual token updates
-    service.on('token-received', tokenData => {
+    const onTokenReceived = tokenData => {
+      if (tokenData.requestId !== requestId) {
+        return;
+      }
+
       // console.log(`Received token from ${backend}:`, {
       //   token: tokenData.token,
       //   fullResponse: tokenData.fullResponse?.substring(0, 100) + '...',
@@ -1670,6 +2419,7 @@ class AIOverlayAssistant {
 
       // Send token update to renderer for real-time display
       this.sendToRenderer('ai-token-received', {
+        requestId: requestId,
         token: tokenData.token,
         fullResponse: tokenData.fullResponse || '',
         done: tokenData.done || false,
@@ -1678,10 +2428,14 @@ class AIOverlayAssistant {
         timestamp: Date.now(),
         model: tokenData.model || 'N/A',
       });
-    });
+    };
 
     // Handle generation completion
-    service.on('generation-completed', completionData => {
+    const onGenerationCompleted = completionData => {
+      if (completionData.requestId !== requestId) {
+        return;
+      }
+
       console.log(`Generation completed for ${backend}:`, {
         fullResponse: completionData.fullResponse?.substring(0, 100) + '...',
         model: completionData.model,
@@ -1696,6 +2450,7 @@ class AIOverlayAssistant {
 
       // Send completion event to renderer
       this.sendToRenderer('ai-generation-completed', {
+        requestId: requestId,
         fullResponse: completionData.fullResponse,
         backend: backend,
         contentType: changeEvent.type,
@@ -1703,11 +2458,48 @@ class AIOverlayAssistant {
         model: completionData.model || 'N/A',
         finishReason: completionData.finishReason,
         usage: completionData.usage,
+        timings: completionData.timings,
       });
-    });
+    };
+
+    // Handle a model being loaded before the answer starts
+    const onModelLoading = loadingData => {
+      if (loadingData.requestId !== requestId) {
+        return;
+      }
+
+      this.sendToRenderer('ai-model-loading', {
+        requestId: requestId,
+        backend: backend,
+        model: loadingData.model,
+        timestamp: Date.now(),
+      });
+    };
+
+    // Handle user cancellation; the partial response stays on screen
+    const onGenerationCancelled = cancelData => {
+      if (cancelData.requestId !== requestId) {
+        return;
+      }
+
+      console.log(`Generation cancelled for ${backend}`);
+
+      this.sendToRenderer('ai-generation-cancelled', {
+        requestId: requestId,
+        partialResponse: cancelData.partialResponse || '',
+        backend: backend,
+        contentType: changeEvent.type,
+        timestamp: Date.now(),
+        model: cancelData.model || 'N/A',
+      });
+    };
 
     // Handle streaming errors
-    service.on('error', errorData => {
+    const onError = errorData => {
+      if (errorData.requestId !== requestId) {
+        return;
+      }
+
       console.error(`Streaming error from ${backend}:`, errorData);
 
       // Ensure window is visible for error display
@@ -1717,15 +2509,33 @@ class AIOverlayAssistant {
       }
 
       // Send error to renderer
-      const errorChannel =
-        backend === 'gemini' ? 'gemini-error' : 'ollama-error';
-      this.sendToRenderer(errorChannel, {
+      this.sendToRenderer('ai-error', {
         ...errorData,
         backend: backend,
         contentType: changeEvent.type,
         contentLength: changeEvent.length,
       });
-    });
+    };
+
+    // Events from other requests on the same service are ignored by the
+    // handlers above, so overlapping generations never share a listener
+    const handlers = {
+      'token-received': onTokenReceived,
+      'generation-completed': onGenerationCompleted,
+      'generation-cancelled': onGenerationCancelled,
+      'model-loading': onModelLoading,
+      error: onError,
+    };
+
+    for (const [eventName, handler] of Object.entries(handlers)) {
+      service.on(eventName, handler);
+    }
+
+    return () => {
+      for (const [eventName, handler] of Object.entries(handlers)) {
+        service.removeListener(eventName, handler);
+      }
+    };
   }
 
   /**
@@ -1733,70 +2543,53 @@ class AIOverlayAssistant {
    * @returns {Object} - Backend configuration with validation results
    */
   determineBackendFromSettings() {
-    const backend = this.activeBackend || 'ollama';
+    const registry = this.providerRegistry;
+    const requestedBackend =
+      this.activeBackend || (registry && registry.getDefaultProviderId());
     const config = this.backendConfig || {};
 
     console.log('Determining backend from settings:', {
-      activeBackend: backend,
+      activeBackend: requestedBackend,
       config: config,
     });
 
     const validation = {
-      backend: backend,
+      backend: requestedBackend,
       isValid: false,
       error: null,
       config: config,
     };
 
     try {
-      if (backend === 'gemini') {
-        // Validate Gemini configuration
-        if (!this.geminiService) {
-          console.log('Gemini service not initialized, falling back to Ollama');
-          // Fall back to Ollama if Gemini is not available
-          validation.backend = 'ollama';
-          backend = 'ollama';
-        } else if (!this.geminiService.isConnected) {
-          throw new Error(
-            'Gemini service is not connected. Please check your API key configuration.'
-          );
-        } else {
-          // Check if API key is available
-          const apiKey = this.secureStorage?.retrieveGeminiApiKey();
-          if (!apiKey) {
-            throw new Error(
-              'Gemini API key is not configured. Please set up your API key in settings.'
-            );
-          }
-
-          validation.isValid = true;
-          validation.service = this.geminiService;
-          validation.apiKeyConfigured = true;
-          return validation;
-        }
+      if (!registry) {
+        throw new Error('AI providers are not initialized');
       }
 
-      // Validate Ollama configuration (default or fallback)
-      if (!this.ollamaService) {
-        throw new Error('Ollama service is not initialized');
+      if (!registry.has(requestedBackend)) {
+        throw new Error(`Unknown backend: ${requestedBackend}`);
       }
 
-      if (!this.ollamaService.isConnected) {
-        throw new Error(
-          'Ollama service is not connected. Please ensure Ollama is running locally at http://localhost:11434'
+      let backend = requestedBackend;
+      let service = registry.getService(backend);
+
+      // Fall back to the default provider if the requested one was never
+      // created (e.g. no API key configured yet)
+      if (!service && backend !== registry.getDefaultProviderId()) {
+        const definition = registry.getDefinition(backend);
+        backend = registry.getDefaultProviderId();
+        service = registry.getService(backend);
+        validation.backend = backend;
+        validation.fallbackFrom = requestedBackend;
+        validation.fallbackReason = definition.unconfiguredReason;
+        console.log(
+          `${definition.displayName} service not initialized, falling back to ${backend}`
         );
       }
 
-      // Check if model is available
-      const currentModel = this.ollamaService.getCurrentModel();
-      if (!currentModel) {
-        throw new Error(
-          'No Ollama model is configured. Please select a model in settings.'
-        );
-      }
+      const currentModel = this.validateProviderService(backend);
 
       validation.isValid = true;
-      validation.service = this.ollamaService;
+      validation.service = service;
       validation.modelConfigured = true;
       validation.currentModel = currentModel;
 
@@ -1812,27 +2605,494 @@ class AIOverlayAssistant {
     return validation;
   }
 
-  async handleClipboardChange(changeEvent) {
-    // Only process significant changes
-    if (!changeEvent.isSignificant) {
-      console.log('Skipping insignificant clipboard change');
-      return;
-    }
+  /**
+   * Check that a provider's service exists, is connected and has a model
+   * @param {string} backend - The provider id
+   * @returns {string} - The provider's current model
+   */
+  validateProviderService(backend) {
+    const definition = this.providerRegistry.getDefinition(backend);
+    const service = this.providerRegistry.getService(backend);
 
-    // Only process non-empty content
-    if (changeEvent.isEmpty) {
-      console.log('Skipping empty clipboard content');
-      return;
+    if (!service) {
+      throw new Error(`${definition.displayName} service is not initialized`);
     }
 
-    // Determine and validate backend from user settings
+    if (!service.isConnected) {
+      throw new Error(
+        `${definition.displayName} service is not connected. ${this.providerRegistry.getConnectionHint(backend)}`.trim()
+      );
+    }
+
+    // Check if model is available
+    const currentModel = service.getCurrentModel();
+    if (!currentModel) {
+      throw new Error(
+        `No ${definition.displayName} model is configured. Please select a model in settings.`
+      );
+    }
+
+    return currentModel;
+  }
+
+  /**
+   * Whether a service accepts image attachments
+   * @param {Object} service - The AI service
+   * @returns {boolean} - Whether images can be sent to it
+   */
+  canAnalyseImages(service) {
+    return !!service.getCapabilities().multimodal;
+  }
+
+  /**
+   * Build the ordered list of backends to try for a generation
+   * @param {string} primaryBackend - The backend selected for the request
+   * @returns {Array<string>} - Provider ids, primary first
+   */
+  getFailoverCandidates(primaryBackend) {
+    const chain =
+      (this.backendConfig && this.backendConfig.failoverChain) || [];
+
+    return [primaryBackend, ...chain].filter(
+      (id, index, ids) =>
+        this.providerRegistry &&
+        this.providerRegistry.has(id) &&
+        ids.indexOf(id) === index
+    );
+  }
+
+  /**
+   * Generate a response, moving down the configured failover chain when a
+   * backend is unavailable or still failing after its own retries
+   * @param {Object} backendValidation - Result of determineBackendFromSettings()
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Generation options, including the requestId
+   * @param {Object} changeEvent - The change event that triggered generation
+   * @returns {Promise<Object>} - The result and the backend that produced it
+   */
+  async generateWithFailover(backendValidation, prompt, options, changeEvent) {
+    const { requestId } = options;
+    const candidates = this.getFailoverCandidates(backendValidation.backend);
+    let lastError = backendValidation.isValid
+      ? null
+      : new Error(backendValidation.error);
+    let failedBackend = lastError ? backendValidation.backend : null;
+
+    // Hold the cancel shortcut for as long as this generation runs
+    this.beginActiveGeneration();
+
+    try {
+      for (const backend of candidates) {
+        const isPrimary = backend === backendValidation.backend;
+        let service;
+        let model;
+
+        if (isPrimary) {
+          if (!backendValidation.isValid) {
+            continue;
+          }
+          service = backendValidation.service;
+          model = backendValidation.currentModel;
+
+          if (options.images && !this.canAnalyseImages(service)) {
+            lastError = new Error(
+              `${service.displayName} can't analyse images; add a backend that can (e.g. Gemini) to the failover order`
+            );
+            failedBackend = backend;
+            continue;
+          }
+        } else {
+          // Only hand the prompt to a fallback that is actually reachable
+          try {
+            model = this.validateProviderService(backend);
+            service = this.providerRegistry.getService(backend);
+            if (options.images && !this.canAnalyseImages(service)) {
+              throw new Error(`${service.displayName} can't analyse images`);
+            }
+            if (!(await service.healthCheck())) {
+              throw new Error(`${service.displayName} health check failed`);
+            }
+          } catch (error) {
+            console.log(
+              `Skipping failover backend ${backend}: ${error.message}`
+            );
+            continue;
+          }
+
+          console.log(
+            `Falling back from ${failedBackend} to ${backend}: ${lastError.message}`
+          );
+          this.sendToRenderer('backend-fallback', {
+            requestId: requestId,
+            from: failedBackend,
+            to: backend,
+            reason: lastError.message,
+            timestamp: Date.now(),
+          });
+        }
+
+        const removeHandlers = this.setupStreamingResponseHandlers(
+          service,
+          backend,
+          changeEvent,
+          requestId
+        );
+
+        try {
+          const startedAt = Date.now();
+          const result = await this.generateWithTools(
+            service,
+            prompt,
+            this.withConversationHistory(service, prompt, {
+              ...this.getGenerationOptions(backend),
+              ...options,
+            })
+          );
+          this.recordUsage({
+            requestId: requestId,
+            backend: backend,
+            model: result.model || model,
+            usage: result.usage,
+            latencyMs: Date.now() - startedAt,
+          });
+          return { result, backend, model };
+        } catch (error) {
+          // A cancelled request must not move on to the next backend
+          if (error.cancelled) {
+            throw error;
+          }
+
+          console.error(`Generation failed on ${backend}:`, error);
+
+          // The same prompt would be rejected by every backend
+          if (this.getErrorType(error) === 'invalid-prompt') {
+            throw error;
+          }
+
+          lastError = error;
+          failedBackend = backend;
+        } finally {
+          removeHandlers();
+        }
+      }
+
+      throw lastError || new Error('No AI backend is available');
+    } finally {
+      this.endActiveGeneration();
+    }
+  }
+
+  /**
+   * Generate a response, running the built-in tools the model calls and
+   * sending their results back until it answers. Backends without tool
+   * calling, with tools turned off, or asked for structured output (which
+   * tool rounds would break) answer in a single round.
+   * @param {Object} service - The service to generate with
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - The final round's result, with usage
+   * summed over all rounds and the tools run as `toolInvocations`
+   */
+  async generateWithTools(service, prompt, options) {
+    if (
+      !this.backendConfig.toolsEnabled ||
+      !service.getCapabilities().toolCalling ||
+      options.responseSchema
+    ) {
+      return service.generateResponse(prompt, options);
+    }
+
+    const { requestId } = options;
+    const controller = new AbortController();
+    this.toolLoops.set(requestId, controller);
+
+    try {
+      return await this.runToolLoop(
+        service,
+        prompt,
+        options,
+        controller.signal
+      );
+    } finally {
+      this.toolLoops.delete(requestId);
+    }
+  }
+
+  /**
+   * The rounds of generateWithTools(), stopping before the next round or
+   * tool once the request is cancelled
+   * @param {Object} service - The service to generate with
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Generation options
+   * @param {AbortSignal} signal - Aborted when the request is cancelled
+   * @returns {Promise<Object>} - As generateWithTools()
+   */
+  async runToolLoop(service, prompt, options, signal) {
+    const tools = this.localTools.getDefinitions();
+    const toolMessages = [];
+    const toolInvocations = [];
+    const usage = { inputTokens: null, outputTokens: null };
+    const throwIfCancelled = () => {
+      if (signal.aborted) {
+        throw service.handleCancellation(
+          { requestId: options.requestId },
+          options.model || service.getCurrentModel()
+        );
+      }
+    };
+
+    for (let round = 0; ; round++) {
+      throwIfCancelled();
+      const result = await service.generateResponse(prompt, {
+        ...options,
+        tools,
+        toolMessages,
+      });
+
+      for (const field of ['inputTokens', 'outputTokens']) {
+        if (Number.isFinite(result.usage && result.usage[field])) {
+          usage[field] = (usage[field] || 0) + result.usage[field];
+        }
+      }
+
+      if (!result.toolCalls || result.toolCalls.length === 0) {
+        return { ...result, usage, toolInvocations };
+      }
+
+      if (round >= MAX_TOOL_ROUNDS) {
+        throw new Error(
+          `${service.displayName} kept calling tools after ${MAX_TOOL_ROUNDS} rounds`
+        );
+      }
+
+      toolMessages.push({
+        role: 'assistant',
+        content: result.response,
+        toolCalls: result.toolCalls,
+      });
+
+      for (const call of result.toolCalls) {
+        throwIfCancelled();
+        const invocation = await this.runTool(call, options.requestId);
+        toolInvocations.push(invocation);
+        toolMessages.push({
+          role: 'tool',
+          name: call.name,
+          content: JSON.stringify(
+            invocation.error ? { error: invocation.error } : invocation.result
+          ),
+        });
+      }
+    }
+  }
+
+  /**
+   * Run one tool call and show it in the overlay. Failures are reported
+   * back to the model rather than ending the generation.
+   * @param {Object} call - {id, name, arguments} from the backend
+   * @param {string} requestId - Request the call belongs to
+   * @returns {Promise<Object>} - {name, arguments, result} or {name, arguments, error}
+   */
+  async runTool(call, requestId) {
+    const invocation = { name: call.name, arguments: call.arguments };
+
+    try {
+      invocation.result = await this.localTools.execute(
+        call.name,
+        call.arguments
+      );
+    } catch (error) {
+      invocation.error = error.message;
+    }
+
+    console.log(`Tool ${call.name} called:`, {
+      arguments: call.arguments,
+      error: invocation.error,
+    });
+
+    this.sendToRenderer('ai-tool-invoked', {
+      requestId: requestId,
+      ...invocation,
+      timestamp: Date.now(),
+    });
+
+    return invocation;
+  }
+
+  /**
+   * Generate an answer for a template with a schema and validate it,
+   * asking once more with the problems spelled out if it doesn't match
+   * @param {Object} backendValidation - Result of determineBackendFromSettings()
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Generation options including `responseSchema`
+   * @param {Object} changeEvent - The clipboard change being analysed
+   * @returns {Promise<Object>} - generateWithFailover()'s outcome plus the
+   * parsed answer as `structured`
+   */
+  async generateStructured(backendValidation, prompt, options, changeEvent) {
+    const schema = options.responseSchema;
+    const outcome = await this.generateWithFailover(
+      backendValidation,
+      prompt,
+      options,
+      changeEvent
+    );
+
+    try {
+      return {
+        ...outcome,
+        structured: parseStructuredResponse(outcome.result.response, schema),
+      };
+    } catch (error) {
+      if (!(error instanceof SchemaValidationError)) {
+        throw error;
+      }
+
+      console.warn(
+        `Structured response from ${outcome.backend} is invalid, retrying:`,
+        error.errors
+      );
+
+      // The retry streams into a cleared panel
+      this.startRequest('clipboard', options.requestId);
+      const retryPrompt =
+        `${prompt}\n\nYour previous reply was rejected: ` +
+        `${error.errors.slice(0, 5).join('; ')}. ` +
+        'Reply again with JSON that matches the schema.';
+      const retry = await this.generateWithFailover(
+        backendValidation,
+        retryPrompt,
+        options,
+        changeEvent
+      );
+
+      return {
+        ...retry,
+        structured: parseStructuredResponse(retry.result.response, schema),
+      };
+    }
+  }
+
+  /**
+   * Add the earlier turns of the request's conversation thread to its
+   * options, trimmed to what fits in the service's context window next to
+   * the prompt and the reply
+   * @param {Object} service - The service about to generate
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Generation options, possibly with a threadId
+   * @returns {Object} - Options including `history`
+   */
+  withConversationHistory(service, prompt, options) {
+    if (!options.threadId) {
+      return options;
+    }
+
+    const replyTokens =
+      options.maxTokens || DEFAULT_GENERATION_OPTIONS.maxTokens;
+    // Ollama only reads as much of the prompt as num_ctx allows
+    const contextWindow = options.numCtx || service.getContextWindow();
+    const budget =
+      contextWindow - replyTokens - ConversationManager.estimateTokens(prompt);
+
+    return {
+      ...options,
+      history: this.conversations.getHistory(options.threadId, budget),
+    };
+  }
+
+  /**
+   * Add a completed generation to the usage ledger
+   * @param {Object} generation - requestId, backend, model, usage and latencyMs
+   */
+  recordUsage(generation) {
+    if (!this.usageLedger) {
+      return;
+    }
+
+    try {
+      this.usageLedger.record(generation);
+    } catch (error) {
+      console.error('Failed to record usage:', error);
+    }
+  }
+
+  /**
+   * Tell the overlay how many turns the current conversation has, so it can
+   * offer follow-up questions
+   */
+  sendConversationUpdate() {
+    const thread = this.conversations.getCurrentThread();
+
+    this.sendToRenderer('conversation-updated', {
+      threadId: thread ? thread.id : null,
+      turns: thread ? thread.messages.length / 2 : 0,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Start a new request and announce it so the overlay can drop output from
+   * the requests it supersedes
+   * @param {string} source - What triggered the request ('clipboard' or 'question')
+   * @param {string} [requestId] - Id assigned when the request was queued
+   * @returns {string} - The request id
+   */
+  startRequest(source, requestId = randomUUID()) {
+    this.sendToRenderer('ai-request-started', {
+      requestId: requestId,
+      source: source,
+      timestamp: Date.now(),
+    });
+
+    return requestId;
+  }
+
+  /**
+   * Analyse new clipboard content
+   * @param {Object} changeEvent - The clipboard change event
+   * @param {Object} [options] - Processing options
+   * @param {boolean} [options.bypassCache] - Generate even if a cached response exists
+   * @param {string} [options.requestId] - Id assigned when the job was queued
+   * @param {Object} [options.template] - Prompt template to run instead of
+   * the default analysis
+   */
+  async handleClipboardChange(changeEvent, options = {}) {
+    // Only process significant changes
+    if (!changeEvent.isSignificant) {
+      console.log('Skipping insignificant clipboard change');
+      return;
+    }
+
+    // Only process non-empty content
+    if (changeEvent.isEmpty) {
+      console.log('Skipping empty clipboard content');
+      return;
+    }
+
+    // Kept so the overlay can regenerate the last analysis
+    this.lastClipboardChangeEvent = changeEvent;
+
+    const requestId = this.startRequest('clipboard', options.requestId);
+
+    // Compare mode sends the analysis to two backends side by side;
+    // templates keep the single-backend flow
+    if (this.isCompareEnabled() && !options.template) {
+      await this.compareClipboardChange(changeEvent, requestId);
+      return;
+    }
+
+    // Determine and validate backend from user settings
     const backendValidation = this.determineBackendFromSettings();
+    const hasFailover =
+      this.getFailoverCandidates(backendValidation.backend).length > 1;
 
-    if (!backendValidation.isValid) {
+    // Without a failover chain there is nothing else to try
+    if (!backendValidation.isValid && !hasFailover) {
       console.error('Backend validation failed:', backendValidation.error);
 
       // Send error to renderer
       const errorData = {
+        requestId: requestId,
         type: 'backend-validation-failed',
         error: backendValidation.error,
         timestamp: Date.now(),
@@ -1846,15 +3106,17 @@ class AIOverlayAssistant {
     }
 
     const backend = backendValidation.backend;
-    const service = backendValidation.service;
 
-    // Notify if we fell back to Ollama from Gemini
-    if (this.activeBackend === 'gemini' && backend === 'ollama') {
-      console.log('Fell back to Ollama because Gemini is not available');
+    // Notify if we fell back to the default provider
+    if (backendValidation.fallbackFrom) {
+      console.log(
+        `Fell back to ${backend} because ${backendValidation.fallbackFrom} is not available`
+      );
       this.sendToRenderer('backend-fallback', {
-        from: 'gemini',
-        to: 'ollama',
-        reason: 'Gemini service not initialized (no API key)',
+        requestId: requestId,
+        from: backendValidation.fallbackFrom,
+        to: backend,
+        reason: backendValidation.fallbackReason,
         timestamp: Date.now(),
       });
     }
@@ -1866,6 +3128,9 @@ class AIOverlayAssistant {
       model: backendValidation.currentModel || 'N/A',
     });
 
+    let cacheKey = null;
+    let cacheEntry = null;
+
     try {
       // Ensure window is visible before starting AI processing
       if (this.mainWindow && !this.mainWindow.isVisible()) {
@@ -1884,125 +3149,440 @@ class AIOverlayAssistant {
         });
       }
 
-      // Create a prompt based on clipboard content
-      const prompt = this.createPromptFromClipboard(changeEvent);
+      // Create a prompt based on clipboard content, or the chosen template,
+      // with matching excerpts from the knowledge base
+      const sources = await this.retrieveKnowledge(changeEvent);
+      const prompt = this.withKnowledgeContext(
+        options.template
+          ? this.createPromptFromTemplate(options.template, changeEvent)
+          : this.createPromptFromClipboard(changeEvent),
+        sources
+      );
+      const schema = options.template ? options.template.schema : null;
+
+      // Validate prompt
+      if (!prompt || prompt.trim().length === 0) {
+        throw new Error('Generated prompt is empty');
+      }
+
+      console.log('Generated prompt:', prompt.substring(0, 200) + '...');
+
+      // Repeated content is answered from the cache unless regenerating.
+      // The key names the requested backend, so answers given after a
+      // failover are found again on the next identical request.
+      if (this.isResponseCacheEnabled()) {
+        cacheKey = this.getResponseCacheKey(
+          changeEvent,
+          prompt,
+          backend,
+          backendValidation.currentModel
+        );
+      }
+      if (cacheKey && !options.bypassCache) {
+        const cached = this.responseCache.get(cacheKey);
+        if (cached) {
+          this.sendCachedResponse(requestId, changeEvent, prompt, cached, {
+            schema,
+            sources,
+          });
+          return;
+        }
+      }
+
+      // Each clipboard analysis starts a conversation that questions continue
+      const thread = this.conversations.startThread('clipboard');
+      this.sendConversationUpdate();
+
+      // Generate with streaming, failing over to the next backend if needed
+      const generationOptions = {
+        requestId,
+        threadId: thread.id,
+        images: this.getImageAttachments(changeEvent),
+      };
+      const outcome = schema
+        ? await this.generateStructured(
+            backendValidation,
+            prompt,
+            { ...generationOptions, responseSchema: schema },
+            changeEvent
+          )
+        : await this.generateWithFailover(
+            backendValidation,
+            prompt,
+            generationOptions,
+            changeEvent
+          );
+      const result = outcome.result;
+
+      this.conversations.addExchange(
+        thread.id,
+        prompt,
+        result.response || result
+      );
+      this.sendConversationUpdate();
+
+      // Answers that used tools depend on more than the clipboard, so they
+      // aren't cached
+      const usedTools = (result.toolInvocations || []).length > 0;
+      if (cacheKey && result.response && !usedTools) {
+        cacheEntry = {
+          response: result.response,
+          backend: outcome.backend,
+          model: outcome.model,
+          contentType: changeEvent.type,
+        };
+      }
+
+      console.log(
+        `AI response generated successfully using ${outcome.backend}`
+      );
+
+      // Store the response in application state for potential reuse
+      this.lastGeneratedResponse = {
+        requestId: requestId,
+        prompt: prompt,
+        response: result.response || result,
+        timestamp: Date.now(),
+        contentType: changeEvent.type,
+        backend: outcome.backend,
+        requestedBackend: backend,
+        model: outcome.model || 'N/A',
+      };
+
+      // Send final success event to renderer
+      console.log(
+        'Sending ai-response-completed to renderer with response length:',
+        result.response || result ? (result.response || result).length : 0
+      );
+
+      // Ensure window is visible before sending response
+      if (this.mainWindow && !this.mainWindow.isVisible()) {
+        console.log('Making window visible before sending response');
+        this.mainWindow.show();
+      }
+
+      // Force window to be visible and focused
+      if (this.mainWindow) {
+        console.log('Forcing window to be visible and focused');
+        this.mainWindow.show();
+        this.mainWindow.focus();
+        this.mainWindow.setAlwaysOnTop(true);
+        setTimeout(() => {
+          this.mainWindow.setAlwaysOnTop(false);
+        }, 1000);
+      }
+
+      console.log('Window visibility before sending response:', {
+        windowExists: !!this.mainWindow,
+        isVisible: this.mainWindow ? this.mainWindow.isVisible() : 'No window',
+        isFocused: this.mainWindow ? this.mainWindow.isFocused() : 'No window',
+        isDestroyed: this.mainWindow
+          ? this.mainWindow.isDestroyed()
+          : 'No window',
+      });
+
+      // Send test message first
+      this.sendToRenderer('test-message', {
+        message: 'Test from main process',
+      });
+
+      // Send another test message to verify IPC is working
+      console.log('Sending test message to verify IPC communication');
+      this.sendToRenderer('test-response-from-main', {
+        message: 'IPC test from main process',
+        timestamp: Date.now(),
+        responseLength: result.response ? result.response.length : 0,
+      });
+
+      this.sendToRenderer('ai-response-completed', {
+        requestId: requestId,
+        response: result.response || result,
+        backend: outcome.backend,
+        contentType: changeEvent.type,
+        timestamp: Date.now(),
+        model: outcome.model || 'N/A',
+        structured: outcome.structured,
+        sources: this.describeSources(sources),
+      });
+    } catch (error) {
+      if (error.cancelled) {
+        console.log(`Generation with ${backend} cancelled by user`);
+        this.lastGeneratedResponse = {
+          requestId: requestId,
+          response: error.partialResponse || '',
+          timestamp: Date.now(),
+          contentType: changeEvent.type,
+          backend: backend,
+          cancelled: true,
+        };
+        return;
+      }
+
+      console.error(`Failed to generate AI response with ${backend}:`, error);
+
+      // Enhanced error reporting with more context
+      const errorData = {
+        requestId: requestId,
+        type: this.getErrorType(error),
+        error: error.message,
+        timestamp: Date.now(),
+        contentType: changeEvent.type,
+        contentLength: changeEvent.length,
+        backend: backend,
+        model: backendValidation.currentModel || 'N/A',
+      };
+
+      this.sendToRenderer('ai-error', errorData);
+    }
+
+    // Cached after the answer is delivered, so a failed write can't turn it
+    // into an error
+    if (cacheEntry) {
+      try {
+        this.responseCache.set(cacheKey, cacheEntry);
+      } catch (error) {
+        console.error('Failed to cache AI response:', error);
+      }
+    }
+  }
+
+  isCompareEnabled() {
+    return (
+      !!this.backendConfig.compareEnabled &&
+      (this.backendConfig.compareTargets || []).length === 2
+    );
+  }
+
+  /**
+   * Analyse clipboard content with both compare-mode backends
+   * @param {Object} changeEvent - The clipboard change event
+   * @param {string} requestId - The request id
+   */
+  async compareClipboardChange(changeEvent, requestId) {
+    try {
+      const sources = await this.retrieveKnowledge(changeEvent);
+      const prompt = this.withKnowledgeContext(
+        this.createPromptFromClipboard(changeEvent),
+        sources
+      );
+
+      if (!prompt || prompt.trim().length === 0) {
+        throw new Error('Generated prompt is empty');
+      }
+
+      await this.runComparison(
+        requestId,
+        prompt,
+        { images: this.getImageAttachments(changeEvent) },
+        changeEvent,
+        sources
+      );
+    } catch (error) {
+      console.error('Failed to compare backends:', error);
+      this.sendToRenderer('ai-error', {
+        requestId: requestId,
+        type: this.getErrorType(error),
+        error: error.message,
+        timestamp: Date.now(),
+        contentType: changeEvent.type,
+        contentLength: changeEvent.length,
+      });
+    }
+  }
+
+  /**
+   * Send one prompt to both compare-mode backend/model pairs in parallel.
+   * Each lane streams into its own half of the overlay's response panel
+   * through 'ai-compare-*' events; a lane that fails doesn't stop the
+   * other. Comparisons are not part of a conversation or the cache.
+   * @param {string} requestId - The request id
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Generation options, e.g. images
+   * @param {Object} changeEvent - The clipboard change, or a stand-in for
+   *   questions
+   * @param {Array<Object>} [sources] - Knowledge base excerpts in the prompt
+   * @returns {Promise<Array<Object>>} - {backend, model, usage, latencyMs,
+   *   failed} per lane
+   */
+  async runComparison(requestId, prompt, options, changeEvent, sources = []) {
+    const targets = this.backendConfig.compareTargets;
+    const laneRequestIds = targets.map(
+      (target, lane) => `${requestId}:${lane}`
+    );
+
+    this.sendToRenderer('ai-compare-started', {
+      requestId: requestId,
+      lanes: targets.map(target => ({
+        backend: target.backend,
+        displayName: this.providerRegistry.getDefinition(target.backend)
+          .displayName,
+        model: target.model || null,
+      })),
+      sources: this.describeSources(sources),
+      contentType: changeEvent.type,
+      timestamp: Date.now(),
+    });
+
+    this.activeComparisons.set(requestId, laneRequestIds);
+    this.beginActiveGeneration();
+
+    try {
+      const lanes = await Promise.all(
+        targets.map((target, lane) =>
+          this.generateComparisonLane(
+            target,
+            lane,
+            requestId,
+            laneRequestIds[lane],
+            prompt,
+            options
+          )
+        )
+      );
 
-      // Validate prompt
-      if (!prompt || prompt.trim().length === 0) {
-        throw new Error('Generated prompt is empty');
+      // Both answers are already shown, so a failed write is only logged
+      if (this.comparisonLog) {
+        try {
+          this.comparisonLog.record({ requestId, lanes });
+        } catch (error) {
+          console.error('Failed to record comparison:', error);
+        }
       }
+      return lanes;
+    } finally {
+      this.endActiveGeneration();
+      this.activeComparisons.delete(requestId);
+    }
+  }
 
-      console.log('Generated prompt:', prompt.substring(0, 200) + '...');
+  /**
+   * Generate one side of a comparison
+   * @param {Object} target - {backend, model}; an empty model means the
+   *   backend's current one
+   * @param {number} lane - 0 for the left answer, 1 for the right
+   * @param {string} requestId - The comparison's request id
+   * @param {string} laneRequestId - Request id the lane generates under
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - {backend, model, usage, latencyMs, failed}
+   */
+  async generateComparisonLane(
+    target,
+    lane,
+    requestId,
+    laneRequestId,
+    prompt,
+    options
+  ) {
+    const { backend } = target;
+    let model = target.model || null;
+    let service;
+    let onToken;
 
-      // Set up streaming response handling
-      this.setupStreamingResponseHandlers(service, backend, changeEvent);
+    try {
+      // A model picked for the lane doesn't make its backend usable
+      const currentModel = this.validateProviderService(backend);
+      model = target.model || currentModel;
+      service = this.providerRegistry.getService(backend);
 
-      // Generate response using the validated backend service with streaming
-      let result;
-      if (backend === 'gemini') {
-        result = await service.generateResponse(prompt, {
-          temperature: 0.7,
-          maxTokens: 500,
-          stream: true,
-        });
-      } else {
-        // Ollama with enhanced options
-        result = await service.generateResponse(prompt, {
-          temperature: 0.7,
-          maxTokens: 500,
-          stream: true,
-          topP: 0.9,
-          topK: 40,
-          repeatPenalty: 1.1,
-        });
+      if (options.images && !this.canAnalyseImages(service)) {
+        throw new Error(`${service.displayName} can't analyse images`);
       }
 
-      console.log(`AI response generated successfully using ${backend}`);
+      // Fail fast rather than wait in the queue for a paused backend
+      service.checkCircuit(laneRequestId);
 
-      // Store the response in application state for potential reuse
-      this.lastGeneratedResponse = {
-        prompt: prompt,
-        response: result.response || result,
-        timestamp: Date.now(),
-        contentType: changeEvent.type,
-        backend: backend,
-        model: backendValidation.currentModel || 'N/A',
+      onToken = tokenData => {
+        if (tokenData.requestId === laneRequestId) {
+          this.sendToRenderer('ai-compare-token', {
+            requestId: requestId,
+            lane: lane,
+            token: tokenData.token,
+          });
+        }
       };
+      service.on('token-received', onToken);
 
-      // Send final success event to renderer
-      console.log(
-        'Sending ai-response-completed to renderer with response length:',
-        result.response || result ? (result.response || result).length : 0
-      );
-
-      // Ensure window is visible before sending response
-      if (this.mainWindow && !this.mainWindow.isVisible()) {
-        console.log('Making window visible before sending response');
-        this.mainWindow.show();
-      }
-
-      // Force window to be visible and focused
-      if (this.mainWindow) {
-        console.log('Forcing window to be visible and focused');
-        this.mainWindow.show();
-        this.mainWindow.focus();
-        this.mainWindow.setAlwaysOnTop(true);
-        setTimeout(() => {
-          this.mainWindow.setAlwaysOnTop(false);
-        }, 1000);
-      }
-
-      console.log('Window visibility before sending response:', {
-        windowExists: !!this.mainWindow,
-        isVisible: this.mainWindow ? this.mainWindow.isVisible() : 'No window',
-        isFocused: this.mainWindow ? this.mainWindow.isFocused() : 'No window',
-        isDestroyed: this.mainWindow
-          ? this.mainWindow.isDestroyed()
-          : 'No window',
+      // Lanes share the backend's concurrency limit with other generations
+      let startedAt;
+      const result = await this.generationQueue.enqueue({
+        id: laneRequestId,
+        kind: 'compare',
+        backend: backend,
+        run: () => {
+          startedAt = Date.now();
+          return this.generateWithTools(service, prompt, {
+            ...this.getGenerationOptions(backend),
+            ...options,
+            requestId: laneRequestId,
+            model: model,
+          });
+        },
       });
 
-      // Send test message first
-      this.sendToRenderer('test-message', {
-        message: 'Test from main process',
-      });
+      if (result.dropped) {
+        const error = new Error('Comparison cancelled');
+        error.cancelled = true;
+        throw error;
+      }
+      const latencyMs = Date.now() - startedAt;
 
-      // Send another test message to verify IPC is working
-      console.log('Sending test message to verify IPC communication');
-      this.sendToRenderer('test-response-from-main', {
-        message: 'IPC test from main process',
-        timestamp: Date.now(),
-        responseLength: result.response ? result.response.length : 0,
+      this.recordUsage({
+        requestId: laneRequestId,
+        backend: backend,
+        model: result.model || model,
+        usage: result.usage,
+        latencyMs: latencyMs,
       });
 
-      this.sendToRenderer('ai-response-completed', {
-        response: result.response || result,
+      this.sendToRenderer('ai-compare-completed', {
+        requestId: requestId,
+        lane: lane,
         backend: backend,
-        contentType: changeEvent.type,
+        model: result.model || model,
+        response: result.response,
+        usage: result.usage,
+        latencyMs: latencyMs,
         timestamp: Date.now(),
-        model: backendValidation.currentModel || 'N/A',
       });
+
+      return {
+        backend,
+        model: result.model || model,
+        usage: result.usage,
+        latencyMs,
+      };
     } catch (error) {
-      console.error(`Failed to generate AI response with ${backend}:`, error);
+      if (!error.cancelled) {
+        console.error(`Comparison lane ${lane} (${backend}) failed:`, error);
+      }
 
-      // Enhanced error reporting with more context
-      const errorData = {
-        type: this.getErrorType(error),
+      this.sendToRenderer('ai-compare-error', {
+        requestId: requestId,
+        lane: lane,
+        backend: backend,
+        model: model,
         error: error.message,
+        cancelled: !!error.cancelled,
+        partialResponse: error.partialResponse || '',
         timestamp: Date.now(),
-        contentType: changeEvent.type,
-        contentLength: changeEvent.length,
-        backend: backend,
-        model: backendValidation.currentModel || 'N/A',
-      };
+      });
 
-      // Send error to renderer with backend-specific channel
-      const errorChannel =
-        backend === 'gemini' ? 'gemini-error' : 'ollama-error';
-      this.sendToRenderer(errorChannel, errorData);
+      return { backend, model, latencyMs: null, failed: true };
+    } finally {
+      if (service && onToken) {
+        service.off('token-received', onToken);
+      }
     }
   }
 
   getErrorType(error) {
+    if (error instanceof StreamParseError) return 'malformed-stream';
+    if (error instanceof SchemaValidationError) {
+      return 'invalid-structured-output';
+    }
+    if (error instanceof CircuitOpenError) return 'circuit-open';
+    if (error.message.includes('not reachable')) return 'service-unreachable';
     if (error.message.includes('not connected')) return 'service-not-connected';
     if (error.message.includes('Empty prompt')) return 'invalid-prompt';
     if (error.message.includes('timeout')) return 'timeout';
@@ -2121,7 +3701,47 @@ class AIOverlayAssistant {
     return sanitized;
   }
 
+  /**
+   * Build the image attachments for a clipboard change
+   * @param {Object} changeEvent - Clipboard change event
+   * @returns {Array<Object>|undefined} - {mimeType, data} with base64 data,
+   *   or undefined for text content
+   */
+  getImageAttachments(changeEvent) {
+    if (changeEvent.type !== 'image') {
+      return undefined;
+    }
+
+    return [
+      {
+        mimeType: changeEvent.image.mimeType,
+        data: changeEvent.image.data.toString('base64'),
+      },
+    ];
+  }
+
+  /**
+   * Build the prompt for running a prompt template on clipboard content
+   * @param {Object} template - The template to run
+   * @param {Object} changeEvent - The clipboard change event
+   * @returns {string} - The prompt
+   */
+  createPromptFromTemplate(template, changeEvent) {
+    // Images are attached to the request, so only text goes in the prompt
+    const content =
+      changeEvent.type === 'image'
+        ? ''
+        : this.processAndValidateClipboardText(changeEvent).processedContent;
+
+    return renderTemplatePrompt(template, content);
+  }
+
   createPromptFromClipboard(changeEvent) {
+    // The image itself is attached to the request; the prompt says what to do
+    if (changeEvent.type === 'image') {
+      return IMAGE_PROMPT;
+    }
+
     // First process and validate the clipboard text
     const processedData = this.processAndValidateClipboardText(changeEvent);
     const content = processedData.processedContent;
@@ -2339,23 +3959,83 @@ class AIOverlayAssistant {
     });
   }
 
+  // IPC handlers that work with any registered AI provider
+  setupProviderIPCHandlers() {
+    ipcMain.handle('ai-cancel', (event, requestId) => {
+      return this.cancelGeneration(requestId);
+    });
+
+    ipcMain.handle('ai-list-providers', () => {
+      return this.providerRegistry ? this.providerRegistry.listProviders() : [];
+    });
+
+    ipcMain.handle('ai-get-status', (event, providerId) => {
+      const service = this.getProviderService(providerId);
+      if (!service) {
+        const definition = this.providerRegistry
+          ? this.providerRegistry.getDefinition(providerId)
+          : null;
+        return {
+          connected: false,
+          error: definition
+            ? definition.unconfiguredReason
+            : `Unknown backend: ${providerId}`,
+        };
+      }
+      return service.getStatus();
+    });
+
+    ipcMain.handle('ai-health-check', async (event, providerId) => {
+      const service = this.getProviderService(providerId);
+      if (!service) {
+        return false;
+      }
+
+      // Through the monitor, so a backend that came up is reconnected
+      if (this.healthMonitor) {
+        const status = await this.healthMonitor.check(providerId);
+        return status.connected;
+      }
+      return await service.healthCheck();
+    });
+
+    // Status of the active backend, for the overlay's indicator
+    ipcMain.handle('backend-status-get', () => {
+      if (!this.healthMonitor) {
+        return null;
+      }
+      return this.healthMonitor.getStatus(
+        this.activeBackend || this.providerRegistry.getDefaultProviderId()
+      );
+    });
+
+    ipcMain.handle('ai-list-models', async (event, providerId) => {
+      const service = this.getProviderService(providerId);
+      return service ? await service.listModels() : [];
+    });
+  }
+
   setupGeminiIPCHandlers() {
     ipcMain.handle('gemini-get-status', () => {
-      return this.geminiService ? this.geminiService.getStatus() : null;
+      const geminiService = this.getProviderService('gemini');
+      return geminiService ? geminiService.getStatus() : null;
     });
 
     ipcMain.handle('gemini-get-models', () => {
-      return this.geminiService ? this.geminiService.getAvailableModels() : [];
+      const geminiService = this.getProviderService('gemini');
+      return geminiService ? geminiService.getAvailableModels() : [];
     });
 
     ipcMain.handle('gemini-get-current-model', () => {
-      return this.geminiService ? this.geminiService.getCurrentModel() : null;
+      const geminiService = this.getProviderService('gemini');
+      return geminiService ? geminiService.getCurrentModel() : null;
     });
 
     ipcMain.handle('gemini-set-model', async (event, modelName) => {
-      if (!this.geminiService) return false;
+      const geminiService = this.getProviderService('gemini');
+      if (!geminiService) return false;
       try {
-        await this.geminiService.setModel(modelName);
+        await geminiService.setModel(modelName);
         return true;
       } catch (error) {
         console.error('Failed to set model:', error);
@@ -2364,9 +4044,10 @@ class AIOverlayAssistant {
     });
 
     ipcMain.handle('gemini-update-api-key', async (event, apiKey) => {
-      if (!this.geminiService) return false;
+      const geminiService = this.getProviderService('gemini');
+      if (!geminiService) return false;
       try {
-        return await this.geminiService.updateApiKey(apiKey);
+        return await geminiService.updateApiKey(apiKey);
       } catch (error) {
         console.error('Failed to update API key:', error);
         return false;
@@ -2374,11 +4055,12 @@ class AIOverlayAssistant {
     });
 
     ipcMain.handle('gemini-generate', async (event, prompt, options) => {
-      if (!this.geminiService) {
+      const geminiService = this.getProviderService('gemini');
+      if (!geminiService) {
         throw new Error('Gemini service not available');
       }
       try {
-        return await this.geminiService.generateResponse(prompt, options);
+        return await geminiService.generateResponse(prompt, options);
       } catch (error) {
         console.error('Generation failed:', error);
         throw error;
@@ -2386,10 +4068,120 @@ class AIOverlayAssistant {
     });
 
     ipcMain.handle('gemini-health-check', async () => {
-      return this.geminiService
-        ? await this.geminiService.healthCheck()
+      const geminiService = this.getProviderService('gemini');
+      return geminiService ? await geminiService.healthCheck() : false;
+    });
+  }
+
+  setupGenerationQueueIPCHandlers() {
+    ipcMain.handle('generation-queue-get', () => {
+      return this.generationQueue.getSnapshot();
+    });
+
+    ipcMain.handle('generation-queue-drop', (event, requestId) => {
+      return this.generationQueue.drop(requestId);
+    });
+  }
+
+  setupResponseCacheIPCHandlers() {
+    ipcMain.handle('response-cache-get-stats', () => {
+      return this.responseCache ? this.responseCache.getStats() : null;
+    });
+
+    ipcMain.handle('response-cache-clear', () => {
+      if (!this.responseCache) {
+        return false;
+      }
+      this.responseCache.clear();
+      return true;
+    });
+  }
+
+  setupKnowledgeBaseIPCHandlers() {
+    ipcMain.handle('knowledge-base-get-stats', () => {
+      return this.knowledgeBase ? this.knowledgeBase.getStats() : null;
+    });
+
+    ipcMain.handle('knowledge-base-choose-folder', async event => {
+      const result = await dialog.showOpenDialog(
+        BrowserWindow.fromWebContents(event.sender),
+        {
+          title: 'Choose a folder of documents',
+          properties: ['openDirectory'],
+        }
+      );
+      return result.canceled ? null : result.filePaths[0];
+    });
+
+    ipcMain.handle('knowledge-base-reindex', async (event, settings) => {
+      if (!this.knowledgeBase) {
+        return { success: false, error: 'Knowledge base not available' };
+      }
+
+      // Progress goes to the window that asked for the re-index
+      const onProgress = data => {
+        if (!event.sender.isDestroyed()) {
+          event.sender.send('knowledge-base-progress', data);
+        }
+      };
+      this.knowledgeBase.on('index-progress', onProgress);
+
+      try {
+        const saved = this.saveSettings(settings);
+        if (!saved.success) {
+          throw new Error(saved.error);
+        }
+        const stats = await this.knowledgeBase.index();
+        return { success: true, stats: stats };
+      } catch (error) {
+        console.error('Failed to index knowledge base:', error);
+        return { success: false, error: error.message };
+      } finally {
+        this.knowledgeBase.removeListener('index-progress', onProgress);
+      }
+    });
+
+    ipcMain.handle('knowledge-base-clear', () => {
+      if (!this.knowledgeBase) {
+        return false;
+      }
+      this.knowledgeBase.clear();
+      return true;
+    });
+  }
+
+  setupUsageIPCHandlers() {
+    ipcMain.handle('usage-get-summary', () => {
+      return this.usageLedger ? this.usageLedger.getSummary() : null;
+    });
+
+    ipcMain.handle('usage-clear', () => {
+      if (!this.usageLedger) {
+        return false;
+      }
+      this.usageLedger.clear();
+      return true;
+    });
+  }
+
+  setupComparisonIPCHandlers() {
+    ipcMain.handle('compare-prefer', (event, requestId, lane) => {
+      return this.comparisonLog
+        ? !!this.comparisonLog.prefer(requestId, lane)
         : false;
     });
+
+    ipcMain.handle('compare-get-summary', () => {
+      return this.comparisonLog ? this.comparisonLog.getSummary() : null;
+    });
+
+    ipcMain.handle('compare-clear', () => {
+      if (!this.comparisonLog) {
+        return false;
+      }
+      this.comparisonLog.clear();
+      return true;
+    });
   }
 
   setupSecureStorageIPCHandlers() {
@@ -2522,23 +4314,45 @@ class AIOverlayAssistant {
     });
   }
 
+  setupNetworkIPCHandlers() {
+    // PEM file for the network CA bundle or an Ollama host's certificate
+    ipcMain.handle('choose-ca-file', async event => {
+      const result = await dialog.showOpenDialog(
+        BrowserWindow.fromWebContents(event.sender),
+        {
+          title: 'Choose a CA or server certificate',
+          properties: ['openFile'],
+          filters: [
+            { name: 'Certificates', extensions: ['pem', 'crt', 'cer'] },
+            { name: 'All Files', extensions: ['*'] },
+          ],
+        }
+      );
+      return result.canceled ? null : result.filePaths[0];
+    });
+  }
+
   setupOllamaIPCHandlers() {
     ipcMain.handle('ollama-get-status', () => {
-      return this.ollamaService ? this.ollamaService.getStatus() : null;
+      const ollamaService = this.getProviderService('ollama');
+      return ollamaService ? ollamaService.getStatus() : null;
     });
 
     ipcMain.handle('ollama-get-models', () => {
-      return this.ollamaService ? this.ollamaService.getAvailableModels() : [];
+      const ollamaService = this.getProviderService('ollama');
+      return ollamaService ? ollamaService.getAvailableModels() : [];
     });
 
     ipcMain.handle('ollama-get-current-model', () => {
-      return this.ollamaService ? this.ollamaService.getCurrentModel() : null;
+      const ollamaService = this.getProviderService('ollama');
+      return ollamaService ? ollamaService.getCurrentModel() : null;
     });
 
     ipcMain.handle('ollama-set-model', async (event, modelName) => {
-      if (!this.ollamaService) return false;
+      const ollamaService = this.getProviderService('ollama');
+      if (!ollamaService) return false;
       try {
-        await this.ollamaService.setModel(modelName);
+        await ollamaService.setModel(modelName);
         return true;
       } catch (error) {
         console.error('Failed to set model:', error);
@@ -2547,23 +4361,127 @@ class AIOverlayAssistant {
     });
 
     ipcMain.handle('ollama-validate-model', async (event, modelName) => {
-      return this.ollamaService
-        ? await this.ollamaService.validateModel(modelName)
+      const ollamaService = this.getProviderService('ollama');
+      return ollamaService
+        ? await ollamaService.validateModel(modelName)
         : false;
     });
 
     ipcMain.handle('ollama-health-check', async () => {
-      return this.ollamaService
-        ? await this.ollamaService.healthCheck()
-        : false;
+      const ollamaService = this.getProviderService('ollama');
+      return ollamaService ? await ollamaService.healthCheck() : false;
+    });
+
+    // Host connection, tested with the settings window's unsaved values
+    ipcMain.handle(
+      'ollama-test-connection',
+      async (event, settings = {}, authToken = null) => {
+        const service = new OllamaService(
+          { ...this.backendConfig, ...settings },
+          this.secureStorage
+        );
+
+        try {
+          service.authToken = authToken || service.loadAuthToken();
+          return await service.testConnection();
+        } finally {
+          // The test's service has its own agent; don't leave it open
+          service.close().catch(() => {});
+        }
+      }
+    );
+
+    // Model management
+    ipcMain.handle('ollama-pull-model', async (event, modelName) => {
+      const ollamaService = this.getProviderService('ollama');
+      if (!ollamaService) {
+        return { success: false, error: 'Ollama service not available' };
+      }
+
+      // Progress goes to the window that started the pull
+      const onProgress = data => {
+        if (data.model === modelName && !event.sender.isDestroyed()) {
+          event.sender.send('ollama-pull-progress', data);
+        }
+      };
+      ollamaService.on('pull-progress', onProgress);
+
+      try {
+        const models = await ollamaService.pullModel(modelName);
+        return { success: true, models: models };
+      } catch (error) {
+        console.error(`Failed to pull model ${modelName}:`, error);
+        return { success: false, error: error.message };
+      } finally {
+        ollamaService.removeListener('pull-progress', onProgress);
+      }
+    });
+
+    ipcMain.handle('ollama-cancel-pull', (event, modelName) => {
+      const ollamaService = this.getProviderService('ollama');
+      return ollamaService ? ollamaService.cancelPull(modelName) : false;
+    });
+
+    ipcMain.handle('ollama-delete-model', async (event, modelName) => {
+      const ollamaService = this.getProviderService('ollama');
+      if (!ollamaService) {
+        return { success: false, error: 'Ollama service not available' };
+      }
+
+      try {
+        const models = await ollamaService.deleteModel(modelName);
+        const currentModel = ollamaService.getCurrentModel();
+
+        // Keep the saved model in step with the one deleteModel() switched to
+        if (this.backendConfig.modelName === modelName) {
+          this.backendConfig.modelName = currentModel;
+          if (this.secureStorage) {
+            this.secureStorage.storeBackendConfig(this.backendConfig);
+          }
+        }
+
+        return { success: true, models: models, currentModel: currentModel };
+      } catch (error) {
+        console.error(`Failed to delete model ${modelName}:`, error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('ollama-unload-model', async (event, modelName) => {
+      const ollamaService = this.getProviderService('ollama');
+      if (!ollamaService) {
+        return { success: false, error: 'Ollama service not available' };
+      }
+
+      try {
+        const running = await ollamaService.unloadModel(modelName);
+        return { success: true, running: running };
+      } catch (error) {
+        console.error(`Failed to unload model ${modelName}:`, error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('ollama-show-model', async (event, modelName) => {
+      const ollamaService = this.getProviderService('ollama');
+      if (!ollamaService) {
+        throw new Error('Ollama service not available');
+      }
+      return await ollamaService.showModel(modelName);
+    });
+
+    ipcMain.handle('ollama-list-running', async () => {
+      const ollamaService = this.getProviderService('ollama');
+      return ollamaService ? await ollamaService.listRunningModels() : [];
     });
 
     ipcMain.handle('ollama-generate', async (event, prompt, options) => {
-      if (!this.ollamaService) {
+      const ollamaService = this.getProviderService('ollama');
+      if (!ollamaService) {
         throw new Error('Ollama service not available');
       }
       try {
-        return await this.ollamaService.generateResponse(prompt, options);
+        return await ollamaService.generateResponse(prompt, options);
       } catch (error) {
         console.error('Generation failed:', error);
         throw error;
@@ -2588,7 +4506,7 @@ class AIOverlayAssistant {
         isEmpty: false,
       };
 
-      await this.handleClipboardChange(changeEvent);
+      await this.enqueueClipboardChange(changeEvent);
       return { success: true, contentLength: content.length };
     });
 
@@ -2631,37 +4549,103 @@ class AIOverlayAssistant {
     return 'text';
   }
 
-  // Process question with AI backend
+  /**
+   * Queue a question typed in the overlay; questions are answered in order
+   * @param {string} question - The question text
+   * @returns {Promise<Object|undefined>} - Settles when answered or dropped
+   */
   processQuestion(question) {
+    console.log('Queueing question:', question);
+
+    const requestId = randomUUID();
+    return this.generationQueue.enqueue({
+      id: requestId,
+      kind: 'question',
+      backend: this.getQueueBackend(this.isCompareEnabled()),
+      run: () => this.answerQuestion(question, requestId),
+    });
+  }
+
+  // Process question with AI backend
+  answerQuestion(question, requestId) {
     console.log('Processing question:', question);
 
-    if (!this.currentService) {
-      console.error('No AI service available');
+    this.startRequest('question', requestId);
+
+    const standalonePrompt = `Question: ${question}\n\nPlease provide a helpful and informative response.`;
+
+    // Compare mode answers on both backends; comparisons have no follow-ups
+    if (this.isCompareEnabled()) {
+      return this.runComparison(
+        requestId,
+        standalonePrompt,
+        {},
+        {
+          type: 'text',
+          length: question.length,
+        }
+      ).catch(error => {
+        console.error('Error comparing answers:', error);
+        this.sendToRenderer('error-message', {
+          requestId: requestId,
+          message: `Failed to process question: ${error.message}`,
+        });
+      });
+    }
+
+    const backendValidation = this.determineBackendFromSettings();
+    const hasFailover =
+      this.getFailoverCandidates(backendValidation.backend).length > 1;
+
+    if (!backendValidation.isValid && !hasFailover) {
+      console.error('No AI service available:', backendValidation.error);
       this.sendToRenderer('error-message', {
-        error: 'No AI service available. Please check your settings.',
+        requestId: requestId,
+        message:
+          backendValidation.error ||
+          'No AI service available. Please check your settings.',
       });
       return;
     }
 
-    // Create a prompt from the question
-    const prompt = `Question: ${question}\n\nPlease provide a helpful and informative response.`;
+    // Follow-ups go to the current conversation as-is; a question without
+    // one starts a new thread with the standalone prompt
+    let thread = this.conversations.getCurrentThread();
+    let prompt = question;
+    if (!thread || thread.messages.length === 0) {
+      thread = this.conversations.startThread('question');
+      prompt = standalonePrompt;
+    }
 
-    // Generate response using the current service
-    this.currentService
-      .generateResponse(prompt)
-      .then(result => {
+    // Generate response, failing over to the next backend if needed
+    return this.generateWithFailover(
+      backendValidation,
+      prompt,
+      { requestId, threadId: thread.id },
+      { type: 'text', length: question.length }
+    )
+      .then(({ result, backend, model }) => {
         console.log('Question processed successfully');
+        this.conversations.addExchange(thread.id, prompt, result.response);
+        this.sendConversationUpdate();
         this.sendToRenderer('ai-response-completed', {
-          backend: this.currentService.name,
-          model: this.backendConfig.model,
+          requestId: requestId,
+          backend: backend,
+          model: model,
           contentType: 'text',
           response: result.response,
         });
       })
       .catch(error => {
+        if (error.cancelled) {
+          console.log('Question cancelled by user');
+          return;
+        }
+
         console.error('Error processing question:', error);
         this.sendToRenderer('error-message', {
-          error: `Failed to process question: ${error.message}`,
+          requestId: requestId,
+          message: `Failed to process question: ${error.message}`,
         });
       });
   }
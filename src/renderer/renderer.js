@@ -7,6 +7,8 @@ if (
   console.log('Development mode detected');
 }
 
+const { ipcRenderer } = require('electron');
+
 class OverlayUI {
   constructor() {
     console.log('Initializing OverlayUI...');
@@ -32,11 +34,21 @@ class OverlayUI {
     this.settingsBtn = document.getElementById('settings-btn');
     this.dragHandle = document.getElementById('drag-handle');
     this.closeBtn = document.getElementById('close-btn');
+    this.backendIndicator = document.getElementById('backend-indicator');
+    this.backendDot = document.getElementById('backend-dot');
+    this.backendLabel = document.getElementById('backend-label');
 
     // Response panel elements
     this.statusDot = document.getElementById('status-dot');
     this.statusText = document.getElementById('status-text');
     this.copyBtn = document.getElementById('copy-btn');
+    this.regenerateBtn = document.getElementById('regenerate-btn');
+    this.templateSelect = document.getElementById('template-select');
+    this.cachedBadge = document.getElementById('cached-badge');
+    this.responseSources = document.getElementById('response-sources');
+    this.responseTools = document.getElementById('response-tools');
+    this.responseCompare = document.getElementById('response-compare');
+    this.compareLanes = null;
     this.clearBtn = document.getElementById('clear-btn');
 
     // State management
@@ -45,6 +57,8 @@ class OverlayUI {
       isVisible: true,
       isProcessing: false,
       isGenerating: false,
+      activeRequestId: null,
+      isLoadingModel: false,
       currentPosition: 'center-top',
       lastResponse: '',
       clipboardHistory: [],
@@ -64,8 +78,11 @@ class OverlayUI {
       },
     };
 
+    this.backendStatus = null;
+
     this.initializeEventListeners();
     this.setupIPCListeners();
+    this.loadBackendStatus();
     this.initializeState();
     this.loadState();
     this.makeDraggable();
@@ -134,6 +151,25 @@ class OverlayUI {
       });
     }
 
+    // Prompt templates run on the last clipboard content
+    if (this.templateSelect) {
+      this.templateSelect.addEventListener('change', e => {
+        if (e.target.value) {
+          ipcRenderer.send('run-prompt-template', e.target.value);
+          e.target.value = '';
+        }
+      });
+      this.loadPromptTemplates();
+    }
+
+    // Regenerate button
+    if (this.regenerateBtn) {
+      this.regenerateBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        this.regenerateResponse();
+      });
+    }
+
     // Clear button
     if (this.clearBtn) {
       this.clearBtn.addEventListener('click', e => {
@@ -163,9 +199,17 @@ class OverlayUI {
         this.openSettings();
       }
 
-      // Escape to hide response panel
+      // Escape cancels an in-flight generation and drops queued ones,
+      // otherwise hides the panel
       if (e.key === 'Escape') {
-        this.hideResponsePanel();
+        Promise.all([
+          this.cancelGeneration(this.state.activeRequestId),
+          this.dropQueuedRequests(),
+        ]).then(([cancelled, dropped]) => {
+          if (!cancelled && !dropped) {
+            this.hideResponsePanel();
+          }
+        });
       }
     });
 
@@ -189,6 +233,11 @@ class OverlayUI {
   }
 
   setupIPCListeners() {
+    // Listen for new requests; output from earlier requests is dropped
+    ipcRenderer.on('ai-request-started', (event, data) => {
+      this.handleRequestStarted(data);
+    });
+
     // Listen for AI response updates from main process
     ipcRenderer.on('ai-response-update', (event, data) => {
       this.updateResponse(data.text, data.isComplete);
@@ -196,6 +245,10 @@ class OverlayUI {
 
     // Listen for new streaming AI token events
     ipcRenderer.on('ai-token-received', (event, data) => {
+      if (!this.isCurrentRequest(data)) {
+        return;
+      }
+
       // Only log in development mode
       if (
         process.argv.includes('--dev') ||
@@ -210,6 +263,10 @@ class OverlayUI {
 
     // Listen for AI generation completion
     ipcRenderer.on('ai-generation-completed', (event, data) => {
+      if (!this.isCurrentRequest(data)) {
+        return;
+      }
+
       // Only log in development mode
       if (
         process.argv.includes('--dev') ||
@@ -224,8 +281,65 @@ class OverlayUI {
       this.handleGenerationCompleted(data);
     });
 
+    // The backend is loading the model before it can answer
+    ipcRenderer.on('ai-model-loading', (event, data) => {
+      if (!this.isCurrentRequest(data)) {
+        return;
+      }
+
+      this.state.isLoadingModel = true;
+      this.updateStatus('processing', `Loading ${data.model}...`);
+    });
+
+    // Listen for cancelled generations
+    ipcRenderer.on('ai-generation-cancelled', (event, data) => {
+      if (!this.isCurrentRequest(data)) {
+        return;
+      }
+
+      this.handleGenerationCancelled(data);
+    });
+
+    // Listen for tools the model calls before answering
+    ipcRenderer.on('ai-tool-invoked', (event, data) => {
+      if (!this.isCurrentRequest(data)) {
+        return;
+      }
+
+      this.showToolInvocation(data);
+    });
+
+    // Listen for compare mode, which streams two answers side by side
+    ipcRenderer.on('ai-compare-started', (event, data) => {
+      if (this.isCurrentRequest(data)) {
+        this.handleCompareStarted(data);
+      }
+    });
+
+    ipcRenderer.on('ai-compare-token', (event, data) => {
+      if (this.isCurrentRequest(data)) {
+        this.handleCompareToken(data);
+      }
+    });
+
+    ipcRenderer.on('ai-compare-completed', (event, data) => {
+      if (this.isCurrentRequest(data)) {
+        this.handleCompareCompleted(data);
+      }
+    });
+
+    ipcRenderer.on('ai-compare-error', (event, data) => {
+      if (this.isCurrentRequest(data)) {
+        this.handleCompareError(data);
+      }
+    });
+
     // Listen for AI response completion (legacy)
     ipcRenderer.on('ai-response-completed', (event, data) => {
+      if (!this.isCurrentRequest(data)) {
+        return;
+      }
+
       console.log('=== RENDERER RECEIVED AI-RESPONSE-COMPLETED ===');
       console.log('Event data:', data);
       console.log('Renderer window ID:', window.location.href);
@@ -249,16 +363,82 @@ class OverlayUI {
 
     // Listen for backend errors
     ipcRenderer.on('backend-error', (event, error) => {
+      if (!this.isCurrentRequest(error)) {
+        return;
+      }
+
       this.handleBackendError(error);
     });
 
+    // Listen for generation errors from any AI backend
+    ipcRenderer.on('ai-error', (event, error) => {
+      if (!this.isCurrentRequest(error)) {
+        return;
+      }
+
+      this.handleAIError(error);
+    });
+
+    // Listen for failover to the next backend in the chain
+    ipcRenderer.on('backend-fallback', (event, data) => {
+      if (!this.isCurrentRequest(data)) {
+        return;
+      }
+
+      this.handleBackendFallback(data);
+    });
+
+    // Listen for generation queue changes to show waiting requests
+    ipcRenderer.on('generation-queue-updated', (event, data) => {
+      this.handleQueueUpdated(data);
+    });
+
+    // Listen for conversation changes so follow-ups can be offered
+    ipcRenderer.on('conversation-updated', (event, data) => {
+      this.handleConversationUpdated(data);
+    });
+
     // Listen for overlay visibility toggle
     ipcRenderer.on('toggle-overlay', (event, data) => {
       this.toggleVisibility();
     });
 
+    // User templates may have changed in the settings window
+    ipcRenderer.on('settings-updated', () => {
+      this.loadPromptTemplates();
+      this.loadBackendStatus();
+    });
+
+    // Live status of the backends from the main process health monitor
+    ipcRenderer.on('backend-status-updated', (event, status) => {
+      if (this.backendStatus && status.backend === this.backendStatus.backend) {
+        this.updateBackendIndicator(status);
+      }
+    });
+
+    ipcRenderer.on('backend-switched', () => {
+      this.loadBackendStatus();
+    });
+
+    // Ollama models loaded ahead of a request (warm-up)
+    ipcRenderer.on('ollama-model-loading', (event, data) => {
+      if (!data.requestId) {
+        this.showModelLoading('ollama', data.model);
+      }
+    });
+
+    ipcRenderer.on('ollama-model-loaded', () => {
+      if (this.backendStatus) {
+        this.updateBackendIndicator(this.backendStatus);
+      }
+    });
+
     // Listen for error messages
     ipcRenderer.on('error-message', (event, error) => {
+      if (!this.isCurrentRequest(error)) {
+        return;
+      }
+
       this.showError(error.message);
     });
 
@@ -726,9 +906,361 @@ class OverlayUI {
   clearResponse() {
     if (this.responseText) {
       this.responseText.textContent = 'Ready for AI assistance';
-      this.responseText.classList.remove('error', 'streaming');
+      this.responseText.classList.remove('error', 'streaming', 'cancelled');
     }
+    this.showSources([]);
+    this.clearToolInvocations();
+    this.clearComparison();
     this.hideResponsePanel();
+
+    // Clearing the panel also ends the conversation it belonged to
+    ipcRenderer.send('clear-conversation');
+  }
+
+  regenerateResponse() {
+    this.showResponsePanel();
+    this.updateStatus('processing', 'Regenerating...');
+    ipcRenderer.send('regenerate-response');
+  }
+
+  async loadBackendStatus() {
+    try {
+      const status = await ipcRenderer.invoke('backend-status-get');
+      if (status) {
+        this.updateBackendIndicator(status);
+      }
+    } catch {
+      // The main process registers its handlers after the backends start
+      setTimeout(() => this.loadBackendStatus(), 2000);
+    }
+  }
+
+  /**
+   * Show the active backend's model and connection in the control bar
+   * @param {Object} status - Status pushed by the health monitor
+   */
+  updateBackendIndicator(status) {
+    this.backendStatus = status;
+    if (!this.backendIndicator) {
+      return;
+    }
+
+    const circuitOpen = status.circuit && status.circuit.state !== 'closed';
+    this.backendDot.className = status.connected
+      ? `status-dot${circuitOpen ? ' processing' : ''}`
+      : 'status-dot error';
+    this.backendLabel.textContent = status.currentModel || status.displayName;
+    this.backendIndicator.title = status.connected
+      ? `${status.displayName}: ${status.currentModel || 'no model selected'}${circuitOpen ? ' (recovering from failures)' : ''}`
+      : status.error || `${status.displayName} disconnected`;
+  }
+
+  /**
+   * Mark the indicator while the active backend loads a model in advance
+   * @param {string} backend - Provider id
+   * @param {string} model - Model being loaded
+   */
+  showModelLoading(backend, model) {
+    if (
+      !this.backendIndicator ||
+      !this.backendStatus ||
+      this.backendStatus.backend !== backend
+    ) {
+      return;
+    }
+
+    this.backendDot.className = 'status-dot processing';
+    this.backendIndicator.title = `${this.backendStatus.displayName}: loading ${model}...`;
+  }
+
+  async loadPromptTemplates() {
+    if (!this.templateSelect) {
+      return;
+    }
+
+    let templates = [];
+    try {
+      templates = await ipcRenderer.invoke('prompt-templates-list');
+    } catch (error) {
+      console.error('Failed to load prompt templates:', error);
+    }
+
+    this.templateSelect.length = 1; // Keep the "Templates" placeholder
+    templates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.structured
+        ? `${template.name} (JSON)`
+        : template.name;
+      this.templateSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Show a validated JSON answer as a collapsible tree
+   * @param {*} value - The parsed answer
+   */
+  renderStructuredResponse(value) {
+    this.responseText.textContent = '';
+    this.responseText.appendChild(this.createJSONTree(value, null));
+  }
+
+  createJSONTree(value, key) {
+    const label = key === null ? '' : `${key}: `;
+
+    if (value !== null && typeof value === 'object') {
+      const entries = Object.entries(value);
+      const node = document.createElement('details');
+      node.className = 'json-node';
+      node.open = true;
+
+      const summary = document.createElement('summary');
+      summary.className = 'json-key';
+      summary.textContent = Array.isArray(value)
+        ? `${label}[${entries.length}]`
+        : `${label}{${entries.length}}`;
+      node.appendChild(summary);
+
+      entries.forEach(([childKey, child]) => {
+        node.appendChild(this.createJSONTree(child, childKey));
+      });
+      return node;
+    }
+
+    const node = document.createElement('div');
+    node.className = 'json-node';
+
+    const keySpan = document.createElement('span');
+    keySpan.className = 'json-key';
+    keySpan.textContent = label;
+
+    const valueSpan = document.createElement('span');
+    valueSpan.className = `json-${value === null ? 'null' : typeof value}`;
+    valueSpan.textContent = JSON.stringify(value);
+
+    node.appendChild(keySpan);
+    node.appendChild(valueSpan);
+    return node;
+  }
+
+  /**
+   * List the knowledge base files an answer drew on, numbered as cited
+   * @param {Array<Object>} sources - {file, startLine, endLine}
+   */
+  showSources(sources) {
+    if (!this.responseSources) {
+      return;
+    }
+
+    this.responseSources.textContent = sources
+      .map(
+        (source, index) =>
+          `[${index + 1}] ${source.file}:${source.startLine}-${source.endLine}`
+      )
+      .join('\n');
+    this.responseSources.classList.toggle('hidden', sources.length === 0);
+  }
+
+  /**
+   * Add a tool call to the list above the response
+   * @param {Object} invocation - {name, arguments, result} or
+   * {name, arguments, error}
+   */
+  showToolInvocation(invocation) {
+    if (!this.responseTools) {
+      return;
+    }
+
+    const line = document.createElement('div');
+    line.className = invocation.error
+      ? 'tool-invocation tool-error'
+      : 'tool-invocation';
+    line.textContent =
+      `${invocation.name}(${JSON.stringify(invocation.arguments)}) → ` +
+      (invocation.error
+        ? `error: ${invocation.error}`
+        : JSON.stringify(invocation.result));
+    line.title = line.textContent;
+
+    this.responseTools.appendChild(line);
+    this.responseTools.classList.remove('hidden');
+  }
+
+  clearToolInvocations() {
+    if (this.responseTools) {
+      this.responseTools.textContent = '';
+      this.responseTools.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Split the response panel into one lane per compared backend
+   * @param {Object} data - {requestId, lanes: [{displayName, model}], sources}
+   */
+  handleCompareStarted(data) {
+    if (!this.responseCompare) {
+      return;
+    }
+
+    this.showResponsePanel();
+    this.updateStatus('processing', 'Comparing...');
+    this.showSources(data.sources || []);
+    this.responseText.classList.add('hidden');
+    this.responseCompare.textContent = '';
+
+    this.compareLanes = data.lanes.map((laneInfo, lane) => {
+      const element = document.createElement('div');
+      element.className = 'compare-lane';
+
+      const title = document.createElement('div');
+      title.className = 'compare-lane-title';
+      title.textContent = laneInfo.model
+        ? `${laneInfo.displayName} · ${laneInfo.model}`
+        : laneInfo.displayName;
+
+      const text = document.createElement('div');
+      text.className = 'compare-lane-text streaming';
+
+      const footer = document.createElement('div');
+      footer.className = 'compare-lane-footer';
+      const metrics = document.createElement('span');
+      const preferBtn = document.createElement('button');
+      preferBtn.className = 'compare-prefer-btn';
+      preferBtn.textContent = 'Prefer';
+      preferBtn.disabled = true;
+      preferBtn.addEventListener('click', () =>
+        this.preferAnswer(data.requestId, lane)
+      );
+      footer.appendChild(metrics);
+      footer.appendChild(preferBtn);
+
+      element.appendChild(title);
+      element.appendChild(text);
+      element.appendChild(footer);
+      this.responseCompare.appendChild(element);
+
+      return {
+        element,
+        title,
+        text,
+        metrics,
+        preferBtn,
+        displayName: laneInfo.displayName,
+        done: false,
+        answered: false,
+      };
+    });
+
+    this.responseCompare.classList.remove('hidden');
+  }
+
+  handleCompareToken(data) {
+    const lane = this.compareLanes && this.compareLanes[data.lane];
+    if (lane) {
+      lane.text.textContent += data.token;
+      lane.text.scrollTop = lane.text.scrollHeight;
+    }
+  }
+
+  handleCompareCompleted(data) {
+    const lane = this.compareLanes && this.compareLanes[data.lane];
+    if (!lane) {
+      return;
+    }
+
+    lane.title.textContent = `${lane.displayName} · ${data.model}`;
+    lane.text.textContent = data.response;
+    lane.text.classList.remove('streaming');
+
+    const usage = data.usage || {};
+    const tokens =
+      usage.inputTokens !== null || usage.outputTokens !== null
+        ? ` · ${usage.inputTokens ?? '?'} in / ${usage.outputTokens ?? '?'} out`
+        : '';
+    lane.metrics.textContent = `${(data.latencyMs / 1000).toFixed(1)}s${tokens}`;
+    lane.answered = true;
+
+    this.finishLane(lane);
+  }
+
+  handleCompareError(data) {
+    const lane = this.compareLanes && this.compareLanes[data.lane];
+    if (!lane) {
+      return;
+    }
+
+    lane.text.classList.remove('streaming');
+    if (data.cancelled) {
+      lane.text.textContent = data.partialResponse;
+      lane.metrics.textContent = 'Cancelled';
+    } else {
+      lane.text.textContent = `Error: ${data.error}`;
+      lane.text.classList.add('error');
+    }
+
+    this.finishLane(lane);
+  }
+
+  finishLane(lane) {
+    lane.done = true;
+
+    // The comparison is recorded once both lanes finish, so a preference
+    // can only be given then
+    if (this.compareLanes.every(other => other.done)) {
+      this.compareLanes.forEach(other => {
+        other.preferBtn.disabled = !other.answered;
+      });
+      this.updateStatus('ready', 'Compared');
+    }
+  }
+
+  /**
+   * Record which compared answer the user preferred and highlight it
+   * @param {string} requestId - The comparison's request id
+   * @param {number} lane - Index of the preferred answer
+   */
+  async preferAnswer(requestId, lane) {
+    try {
+      const recorded = await ipcRenderer.invoke(
+        'compare-prefer',
+        requestId,
+        lane
+      );
+      if (!recorded || !this.compareLanes) {
+        return;
+      }
+
+      this.compareLanes.forEach((other, index) => {
+        other.element.classList.toggle('preferred', index === lane);
+        other.preferBtn.textContent = index === lane ? 'Preferred' : 'Prefer';
+      });
+    } catch (error) {
+      console.error('Failed to record preference:', error);
+    }
+  }
+
+  clearComparison() {
+    if (!this.responseCompare) {
+      return;
+    }
+
+    this.compareLanes = null;
+    this.responseCompare.textContent = '';
+    this.responseCompare.classList.add('hidden');
+    this.responseText.classList.remove('hidden');
+  }
+
+  setCachedBadge(isCached) {
+    if (this.cachedBadge) {
+      this.cachedBadge.classList.toggle('hidden', !isCached);
+    }
+  }
+
+  handleConversationUpdated(data) {
+    if (this.questionInput) {
+      this.questionInput.placeholder =
+        data.turns > 0 ? 'Ask a follow-up' : 'Ask question';
+    }
   }
 
   handleUserInteraction() {
@@ -747,6 +1279,31 @@ class OverlayUI {
     }
   }
 
+  handleRequestStarted(data) {
+    this.updateState({ activeRequestId: data.requestId });
+    this.setCachedBadge(false);
+    this.showSources([]);
+    this.clearToolInvocations();
+    this.clearComparison();
+
+    // Start the new response from an empty panel
+    if (this.responseText) {
+      this.responseText.textContent = '';
+      this.responseText.classList.remove('error', 'streaming', 'cancelled');
+    }
+  }
+
+  /**
+   * Check whether an event belongs to the request currently on screen
+   * @param {Object} data - IPC payload, possibly carrying a requestId
+   * @returns {boolean} - False for events from superseded requests
+   */
+  isCurrentRequest(data) {
+    return (
+      !data || !data.requestId || data.requestId === this.state.activeRequestId
+    );
+  }
+
   handleTokenReceived(data) {
     // Only log in development mode
     if (
@@ -767,8 +1324,15 @@ class OverlayUI {
       );
     }
 
+    // The model is loaded once the answer starts
+    if (this.state.isLoadingModel) {
+      this.state.isLoadingModel = false;
+      this.updateStatus('processing', 'Processing...');
+    }
+
     if (this.responseText) {
       // Add streaming class for visual feedback
+      this.responseText.classList.remove('cancelled');
       this.responseText.classList.add('streaming');
 
       // Append the token
@@ -792,7 +1356,66 @@ class OverlayUI {
     }
 
     this.hideLoading();
-    this.updateStatus('ready', 'Ready');
+    this.state.isLoadingModel = false;
+
+    // Mention a noticeable model load so a slow first answer is explained
+    const loadMs = data.timings && data.timings.loadMs;
+    this.updateStatus(
+      'ready',
+      loadMs > 1000
+        ? `Ready (model loaded in ${(loadMs / 1000).toFixed(1)}s)`
+        : 'Ready'
+    );
+  }
+
+  async cancelGeneration(requestId) {
+    try {
+      return await ipcRenderer.invoke('ai-cancel', requestId);
+    } catch (error) {
+      console.error('Failed to cancel generation:', error);
+      return false;
+    }
+  }
+
+  async dropQueuedRequests() {
+    try {
+      return await ipcRenderer.invoke('generation-queue-drop');
+    } catch (error) {
+      console.error('Failed to drop queued requests:', error);
+      return false;
+    }
+  }
+
+  handleQueueUpdated(data) {
+    // Only the newest waiting request is worth showing; the rest are
+    // answered before it
+    const waiting = data.queued[data.queued.length - 1];
+    if (!waiting) {
+      return;
+    }
+
+    this.showResponsePanel();
+    this.updateStatus(
+      'processing',
+      waiting.position > 1
+        ? `Queued (${waiting.position - 1} ahead)`
+        : 'Queued (next)'
+    );
+  }
+
+  handleGenerationCancelled(data) {
+    console.log('Generation cancelled:', {
+      backend: data.backend,
+      partialLength: data.partialResponse ? data.partialResponse.length : 0,
+    });
+
+    // Keep whatever was streamed so far and mark it as cancelled
+    if (this.responseText) {
+      this.responseText.classList.remove('streaming');
+      this.responseText.classList.add('cancelled');
+    }
+
+    this.updateStatus('ready', 'Cancelled');
   }
 
   handleResponseCompleted(data) {
@@ -807,6 +1430,8 @@ class OverlayUI {
 
     this.hideLoading();
     this.updateStatus('ready', 'AI Ready');
+    this.setCachedBadge(!!data.cached);
+    this.showSources(data.sources || []);
 
     // Display the response in the UI
     if (data.response && this.responseText) {
@@ -819,7 +1444,11 @@ class OverlayUI {
         'Current response text content:',
         this.responseText.textContent
       );
-      this.responseText.textContent = data.response;
+      if (data.structured !== undefined) {
+        this.renderStructuredResponse(data.structured);
+      } else {
+        this.responseText.textContent = data.response;
+      }
       console.log(
         'Response text content after setting:',
         this.responseText.textContent
@@ -855,6 +1484,34 @@ class OverlayUI {
     this.showError(error.error || 'Backend error occurred');
   }
 
+  handleAIError(error) {
+    // Errors carrying a retry count are transient; the service is retrying
+    if (error.retryCount) {
+      this.updateStatus(
+        'processing',
+        `Retrying (${error.retryCount})${error.backend ? ` with ${error.backend}` : ''}...`
+      );
+      return;
+    }
+
+    this.handleBackendError(error);
+  }
+
+  handleBackendFallback(data) {
+    console.warn(`Falling back from ${data.from} to ${data.to}:`, data.reason);
+
+    // The previous backend's error and partial answer are superseded by
+    // the new attempt, which streams from the start
+    this.clearError();
+    this.clearToolInvocations();
+    if (this.responseText) {
+      this.responseText.textContent = '';
+      this.responseText.classList.remove('streaming', 'cancelled');
+    }
+    this.updateState({ lastResponse: '', isLoadingModel: false });
+    this.updateStatus('processing', `Switched to ${data.to}...`);
+  }
+
   updateResponse(text, isComplete = false) {
     if (this.responseText) {
       if (isComplete) {
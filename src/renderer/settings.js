@@ -1,22 +1,118 @@
 const { ipcRenderer } = require('electron');
 
+// Gemini blocking thresholds; an empty value keeps Gemini's default
+const SAFETY_THRESHOLD_OPTIONS = [
+  ['', 'Default'],
+  ['BLOCK_NONE', 'Block none'],
+  ['BLOCK_ONLY_HIGH', 'Block few (high risk only)'],
+  ['BLOCK_MEDIUM_AND_ABOVE', 'Block some (medium risk and above)'],
+  ['BLOCK_LOW_AND_ABOVE', 'Block most (low risk and above)'],
+];
+
 class SettingsWindow {
   constructor() {
     this.currentSettings = {};
+    this.pendingApiKeys = {};
+    this.providers = [];
+    this.pullingModel = null;
     this.initializeElements();
     this.initializeEventListeners();
     this.loadSettings();
+    this.loadProviders();
     this.updateBackendStatus();
+    this.loadUsageSummary();
+    this.loadResponseCacheStats();
+    this.loadKnowledgeBaseStats();
+    this.loadCompareSummary();
   }
 
   initializeElements() {
     // Backend elements
-    this.backendOllama = document.getElementById('backend-ollama');
-    this.backendGemini = document.getElementById('backend-gemini');
+    this.backendInputs = document.querySelectorAll('input[name="backend"]');
+    this.backendSections = document.querySelectorAll('[data-backend]');
     this.modelNameInput = document.getElementById('model-name');
+    this.modelOptionsList = document.getElementById('model-options');
+    this.queueConcurrencyInput = document.getElementById('queue-concurrency');
+    this.systemInstructionInput = document.getElementById(
+      'generation-system-instruction'
+    );
+    this.stopSequencesInput = document.getElementById(
+      'generation-stop-sequences'
+    );
+    this.profileNumberInputs = document.querySelectorAll(
+      '[data-profile-field]'
+    );
+    this.safetySelects = document.querySelectorAll('[data-safety-category]');
+    this.safetySelects.forEach(select => {
+      for (const [value, label] of SAFETY_THRESHOLD_OPTIONS) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      }
+    });
     this.apiKeySection = document.getElementById('api-key-section');
     this.apiKeyInput = document.getElementById('api-key');
     this.apiKeyStatus = document.getElementById('api-key-status');
+    this.failoverChainList = document.getElementById('failover-chain-list');
+    this.ollamaModelList = document.getElementById('ollama-model-list');
+    this.ollamaPullNameInput = document.getElementById('ollama-pull-name');
+    this.ollamaPullBtn = document.getElementById('ollama-pull-btn');
+    this.ollamaPullProgress = document.getElementById('ollama-pull-progress');
+    this.ollamaPullStatus = document.getElementById('ollama-pull-status');
+    this.ollamaModelDetails = document.getElementById('ollama-model-details');
+    this.ollamaVisionModelSelect = document.getElementById(
+      'ollama-vision-model'
+    );
+    this.ollamaKeepAliveInput = document.getElementById('ollama-keep-alive');
+    this.ollamaWarmUpCheckbox = document.getElementById('ollama-warm-up');
+    this.ollamaHostInput = document.getElementById('ollama-host');
+    this.ollamaAuthTypeSelect = document.getElementById('ollama-auth-type');
+    this.ollamaCaFileInput = document.getElementById('ollama-ca-file');
+    this.ollamaCaChooseBtn = document.getElementById('ollama-ca-choose-btn');
+    this.ollamaTestBtn = document.getElementById('ollama-test-btn');
+    this.ollamaTestStatus = document.getElementById('ollama-test-status');
+    this.openAICompatibleBaseUrlInput = document.getElementById(
+      'openai-compatible-base-url'
+    );
+    this.openAICompatibleModelInput = document.getElementById(
+      'openai-compatible-model'
+    );
+
+    this.networkProxyModeSelect = document.getElementById('network-proxy-mode');
+    this.networkManualProxy = document.getElementById('network-manual-proxy');
+    this.networkProxyUrlInput = document.getElementById('network-proxy-url');
+    this.networkNoProxyInput = document.getElementById('network-no-proxy');
+    this.networkCaFileInput = document.getElementById('network-ca-file');
+    this.networkCaChooseBtn = document.getElementById('network-ca-choose-btn');
+
+    // API keys that are written straight to secure storage on save
+    this.storedApiKeyFields = [
+      {
+        keyName: 'ollama_auth_token',
+        provider: 'ollama',
+        input: document.getElementById('ollama-auth-token'),
+        status: document.getElementById('ollama-auth-status'),
+      },
+      {
+        keyName: 'proxy_credentials',
+        provider: 'proxy',
+        input: document.getElementById('network-proxy-credentials'),
+        status: document.getElementById('network-proxy-credentials-status'),
+      },
+      {
+        keyName: 'openai_compatible_api_key',
+        provider: 'openai-compatible',
+        input: document.getElementById('openai-compatible-api-key'),
+        status: document.getElementById('openai-compatible-key-status'),
+      },
+      {
+        keyName: 'anthropic_api_key',
+        provider: 'anthropic',
+        input: document.getElementById('anthropic-api-key'),
+        status: document.getElementById('anthropic-key-status'),
+      },
+    ];
 
     // Position elements
     this.positionInputs = {
@@ -36,6 +132,8 @@ class SettingsWindow {
       dark: document.getElementById('theme-dark'),
     };
 
+    this.cancelShortcutInput = document.getElementById('cancel-shortcut');
+
     // Auto-hide elements
     this.autoHideEnabled = document.getElementById('auto-hide-enabled');
     this.autoHideDelayGroup = document.getElementById('auto-hide-delay-group');
@@ -50,6 +148,56 @@ class SettingsWindow {
       'auto-hide-delay-response'
     );
 
+    // Response cache elements
+    this.responseCacheEnabled = document.getElementById(
+      'response-cache-enabled'
+    );
+    this.responseCacheTtl = document.getElementById('response-cache-ttl');
+    this.responseCacheMaxSize = document.getElementById(
+      'response-cache-max-size'
+    );
+    this.responseCacheStats = document.getElementById('response-cache-stats');
+    this.clearResponseCacheBtn = document.getElementById(
+      'clear-response-cache-btn'
+    );
+
+    // Usage elements
+    this.usageSummaryBody = document.getElementById('usage-summary');
+    this.usagePricesInput = document.getElementById('usage-prices');
+
+    // Knowledge base elements
+    this.knowledgeBaseEnabled = document.getElementById(
+      'knowledge-base-enabled'
+    );
+    this.knowledgeBaseFolder = document.getElementById('knowledge-base-folder');
+    this.knowledgeBaseChooseBtn = document.getElementById(
+      'knowledge-base-choose-btn'
+    );
+    this.knowledgeBaseModel = document.getElementById('knowledge-base-model');
+    this.knowledgeBaseStats = document.getElementById('knowledge-base-stats');
+    this.knowledgeBaseReindexBtn = document.getElementById(
+      'knowledge-base-reindex-btn'
+    );
+
+    // Prompt template elements
+    this.toolsEnabled = document.getElementById('tools-enabled');
+    this.toolFoldersInput = document.getElementById('tool-folders');
+    this.compareEnabled = document.getElementById('compare-enabled');
+    this.compareBackendSelects = [0, 1].map(lane =>
+      document.getElementById(`compare-backend-${lane}`)
+    );
+    this.compareModelInputs = [0, 1].map(lane =>
+      document.getElementById(`compare-model-${lane}`)
+    );
+    this.compareSummaryBody = document.getElementById('compare-summary');
+    this.clearCompareBtn = document.getElementById('clear-compare-btn');
+    this.promptTemplatesInput = document.getElementById('prompt-templates');
+    this.promptTemplatesStatus = document.getElementById(
+      'prompt-templates-status'
+    );
+    this.refreshUsageBtn = document.getElementById('refresh-usage-btn');
+    this.clearUsageBtn = document.getElementById('clear-usage-btn');
+
     // Status elements
     this.connectionStatus = document.getElementById('connection-status');
     this.connectionText = document.getElementById('connection-text');
@@ -64,12 +212,9 @@ class SettingsWindow {
 
   initializeEventListeners() {
     // Backend selection
-    this.backendOllama.addEventListener('change', () =>
-      this.switchBackend('ollama')
-    );
-    this.backendGemini.addEventListener('change', () =>
-      this.switchBackend('gemini')
-    );
+    this.backendInputs.forEach(input => {
+      input.addEventListener('change', e => this.switchBackend(e.target.value));
+    });
 
     // Model name input
     this.modelNameInput.addEventListener('input', e =>
@@ -81,6 +226,110 @@ class SettingsWindow {
       this.updateApiKey(e.target.value)
     );
 
+    // Ollama model loading
+    this.ollamaKeepAliveInput.addEventListener('input', e => {
+      this.currentSettings.ollamaKeepAlive = e.target.value.trim();
+    });
+    this.ollamaWarmUpCheckbox.addEventListener('change', e => {
+      this.currentSettings.ollamaWarmUp = e.target.checked;
+    });
+
+    // Ollama host connection
+    this.ollamaHostInput.addEventListener('input', e => {
+      this.currentSettings.ollamaHost = e.target.value.trim();
+    });
+    this.ollamaAuthTypeSelect.addEventListener('change', e => {
+      this.currentSettings.ollamaAuthType = e.target.value;
+    });
+    this.ollamaCaFileInput.addEventListener('input', e => {
+      this.currentSettings.ollamaCaFile = e.target.value.trim();
+    });
+    this.ollamaCaChooseBtn.addEventListener('click', () =>
+      this.chooseOllamaCaFile()
+    );
+    this.ollamaTestBtn.addEventListener('click', () =>
+      this.testOllamaConnection()
+    );
+
+    // Proxy and CA for every backend
+    this.networkProxyModeSelect.addEventListener('change', e => {
+      this.currentSettings.networkProxyMode = e.target.value;
+      this.updateNetworkProxyFields();
+    });
+    this.networkProxyUrlInput.addEventListener('input', e => {
+      this.currentSettings.networkProxyUrl = e.target.value.trim();
+    });
+    this.networkNoProxyInput.addEventListener('input', e => {
+      this.currentSettings.networkNoProxy = e.target.value.trim();
+    });
+    this.networkCaFileInput.addEventListener('input', e => {
+      this.currentSettings.networkCaFile = e.target.value.trim();
+    });
+    this.networkCaChooseBtn.addEventListener('click', () =>
+      this.chooseNetworkCaFile()
+    );
+
+    // OpenAI-compatible server inputs
+    this.openAICompatibleBaseUrlInput.addEventListener('input', e => {
+      this.currentSettings.openAICompatibleBaseUrl = e.target.value.trim();
+    });
+    this.openAICompatibleModelInput.addEventListener('input', e => {
+      this.currentSettings.openAICompatibleModel = e.target.value.trim();
+    });
+
+    // Parallel generations for the selected backend
+    this.queueConcurrencyInput.addEventListener('input', e => {
+      const limit = parseInt(e.target.value);
+      this.currentSettings.queueConcurrency = {
+        ...(this.currentSettings.queueConcurrency || {}),
+        [this.currentSettings.backend]: limit > 0 ? limit : undefined,
+      };
+    });
+
+    // Generation profile of the selected backend
+    this.systemInstructionInput.addEventListener('input', e => {
+      this.getGenerationProfile().systemInstruction = e.target.value;
+    });
+    this.stopSequencesInput.addEventListener('input', e => {
+      this.getGenerationProfile().stopSequences = e.target.value
+        .split('\n')
+        .filter(stop => stop.length > 0);
+    });
+    this.profileNumberInputs.forEach(input => {
+      input.addEventListener('input', e => {
+        const value = parseFloat(e.target.value);
+        this.getGenerationProfile()[input.dataset.profileField] =
+          Number.isFinite(value) ? value : undefined;
+      });
+    });
+    this.safetySelects.forEach(select => {
+      select.addEventListener('change', e => {
+        const profile = this.getGenerationProfile();
+        profile.safetySettings = {
+          ...(profile.safetySettings || {}),
+          [select.dataset.safetyCategory]: e.target.value || undefined,
+        };
+      });
+    });
+
+    // Ollama model manager
+    this.ollamaVisionModelSelect.addEventListener('change', e => {
+      this.currentSettings.ollamaVisionModel = e.target.value;
+    });
+    this.ollamaPullBtn.addEventListener('click', () => this.toggleOllamaPull());
+    this.ollamaPullNameInput.addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        this.toggleOllamaPull();
+      }
+    });
+
+    // Secure storage API key inputs
+    this.storedApiKeyFields.forEach(field => {
+      field.input.addEventListener('input', e => {
+        this.pendingApiKeys[field.keyName] = e.target.value.trim();
+      });
+    });
+
     // Position inputs
     Object.values(this.positionInputs).forEach(input => {
       input.addEventListener('change', e =>
@@ -93,6 +342,10 @@ class SettingsWindow {
       input.addEventListener('change', e => this.updateTheme(e.target.value));
     });
 
+    this.cancelShortcutInput.addEventListener('input', e => {
+      this.currentSettings.cancelShortcut = e.target.value.trim();
+    });
+
     // Auto-hide inputs
     this.autoHideEnabled.addEventListener('change', e =>
       this.updateAutoHideEnabled(e.target.checked)
@@ -107,6 +360,76 @@ class SettingsWindow {
       this.updateAutoHideDelayAfterResponse(parseInt(e.target.value) * 1000)
     );
 
+    // Response cache inputs
+    this.responseCacheEnabled.addEventListener('change', e => {
+      this.currentSettings.responseCacheEnabled = e.target.checked;
+    });
+    this.responseCacheTtl.addEventListener('input', e => {
+      this.currentSettings.responseCacheTtlHours = parseInt(e.target.value);
+    });
+    this.responseCacheMaxSize.addEventListener('input', e => {
+      this.currentSettings.responseCacheMaxMb = parseInt(e.target.value);
+    });
+    this.clearResponseCacheBtn.addEventListener('click', () =>
+      this.clearResponseCache()
+    );
+
+    // Knowledge base inputs
+    this.knowledgeBaseEnabled.addEventListener('change', e => {
+      this.currentSettings.knowledgeBaseEnabled = e.target.checked;
+    });
+    this.knowledgeBaseChooseBtn.addEventListener('click', () =>
+      this.chooseKnowledgeBaseFolder()
+    );
+    this.knowledgeBaseModel.addEventListener('input', e => {
+      this.currentSettings.knowledgeBaseModel = e.target.value.trim();
+    });
+    this.knowledgeBaseReindexBtn.addEventListener('click', () =>
+      this.reindexKnowledgeBase()
+    );
+    ipcRenderer.on('knowledge-base-progress', (event, progress) => {
+      this.knowledgeBaseStats.querySelector('span:last-child').textContent =
+        `Indexing ${progress.done} of ${progress.total}: ${progress.file}`;
+    });
+
+    // Tool inputs
+    this.toolsEnabled.addEventListener('change', e => {
+      this.currentSettings.toolsEnabled = e.target.checked;
+    });
+    this.toolFoldersInput.addEventListener('input', e => {
+      this.currentSettings.toolFolders = e.target.value
+        .split('\n')
+        .map(folder => folder.trim())
+        .filter(Boolean);
+    });
+
+    // Compare mode inputs
+    this.compareEnabled.addEventListener('change', e => {
+      this.currentSettings.compareEnabled = e.target.checked;
+      // The pickers show defaults until changed; save what is shown
+      this.updateCompareTargets();
+    });
+    [...this.compareBackendSelects, ...this.compareModelInputs].forEach(input =>
+      input.addEventListener('change', () => this.updateCompareTargets())
+    );
+    this.clearCompareBtn.addEventListener('click', () =>
+      this.clearComparisons()
+    );
+
+    // Prompt templates; kept until the JSON parses
+    this.promptTemplatesInput.addEventListener('input', e =>
+      this.updatePromptTemplates(e.target.value)
+    );
+
+    // Usage inputs
+    this.usagePricesInput.addEventListener('input', e => {
+      this.currentSettings.usagePrices = this.parseUsagePrices(e.target.value);
+    });
+    this.refreshUsageBtn.addEventListener('click', () =>
+      this.loadUsageSummary()
+    );
+    this.clearUsageBtn.addEventListener('click', () => this.clearUsage());
+
     // Action buttons
     this.testBackendBtn.addEventListener('click', () => this.testBackend());
     this.refreshStatusBtn.addEventListener('click', () =>
@@ -121,13 +444,20 @@ class SettingsWindow {
       this.updateUI();
     });
 
+    // Pushed by the health monitor for every backend; show the selected one
     ipcRenderer.on('backend-status-updated', (event, status) => {
-      this.updateBackendStatusUI(status);
+      if (status.backend === this.currentSettings.backend) {
+        this.updateBackendStatusUI(status);
+      }
     });
 
     ipcRenderer.on('api-key-status-updated', (event, status) => {
       this.updateApiKeyStatusUI(status);
     });
+
+    ipcRenderer.on('ollama-pull-progress', (event, progress) => {
+      this.updatePullProgress(progress);
+    });
   }
 
   async loadSettings() {
@@ -141,13 +471,11 @@ class SettingsWindow {
 
   updateUI() {
     // Update backend selection
-    if (this.currentSettings.backend === 'ollama') {
-      this.backendOllama.checked = true;
-      this.apiKeySection.style.display = 'none';
-    } else if (this.currentSettings.backend === 'gemini') {
-      this.backendGemini.checked = true;
-      this.apiKeySection.style.display = 'block';
-    }
+    this.backendInputs.forEach(input => {
+      input.checked = input.value === this.currentSettings.backend;
+    });
+    this.updateBackendSections();
+    this.renderFailoverChain();
 
     // Update model name
     if (this.currentSettings.modelName) {
@@ -159,6 +487,34 @@ class SettingsWindow {
       this.apiKeyInput.value = this.currentSettings.geminiApiKey;
     }
 
+    // Update Ollama model loading settings
+    this.ollamaKeepAliveInput.value =
+      this.currentSettings.ollamaKeepAlive || '';
+    this.ollamaWarmUpCheckbox.checked =
+      this.currentSettings.ollamaWarmUp !== false;
+
+    // Update Ollama host settings
+    this.ollamaHostInput.value = this.currentSettings.ollamaHost || '';
+    this.ollamaAuthTypeSelect.value =
+      this.currentSettings.ollamaAuthType || 'none';
+    this.ollamaCaFileInput.value = this.currentSettings.ollamaCaFile || '';
+
+    // Update network settings
+    this.networkProxyModeSelect.value =
+      this.currentSettings.networkProxyMode || 'environment';
+    this.networkProxyUrlInput.value =
+      this.currentSettings.networkProxyUrl || '';
+    this.networkNoProxyInput.value = this.currentSettings.networkNoProxy || '';
+    this.networkCaFileInput.value = this.currentSettings.networkCaFile || '';
+    this.updateNetworkProxyFields();
+
+    // Update OpenAI-compatible server settings
+    this.openAICompatibleBaseUrlInput.value =
+      this.currentSettings.openAICompatibleBaseUrl || '';
+    this.openAICompatibleModelInput.value =
+      this.currentSettings.openAICompatibleModel || '';
+    this.storedApiKeyFields.forEach(field => this.updateStoredKeyStatus(field));
+
     // Update position
     if (
       this.currentSettings.position &&
@@ -175,6 +531,56 @@ class SettingsWindow {
       this.themeInputs[this.currentSettings.theme].checked = true;
     }
 
+    // Update response cache settings
+    this.responseCacheEnabled.checked =
+      this.currentSettings.responseCacheEnabled !== false;
+    if (this.currentSettings.responseCacheTtlHours) {
+      this.responseCacheTtl.value = this.currentSettings.responseCacheTtlHours;
+    }
+    if (this.currentSettings.responseCacheMaxMb) {
+      this.responseCacheMaxSize.value = this.currentSettings.responseCacheMaxMb;
+    }
+
+    // Update knowledge base settings
+    this.knowledgeBaseEnabled.checked =
+      !!this.currentSettings.knowledgeBaseEnabled;
+    this.knowledgeBaseFolder.value =
+      this.currentSettings.knowledgeBaseFolder || '';
+    this.knowledgeBaseModel.value =
+      this.currentSettings.knowledgeBaseModel || '';
+
+    // Update tool settings
+    this.toolsEnabled.checked = !!this.currentSettings.toolsEnabled;
+    this.toolFoldersInput.value = (this.currentSettings.toolFolders || []).join(
+      '\n'
+    );
+
+    // Update compare mode settings
+    this.compareEnabled.checked = !!this.currentSettings.compareEnabled;
+    this.renderCompareTargets();
+
+    // Update prompt templates
+    const templates = this.currentSettings.promptTemplates || [];
+    this.promptTemplatesInput.value = templates.length
+      ? JSON.stringify(
+          templates.map(({ name, prompt, schema }) => ({
+            name,
+            prompt,
+            schema,
+          })),
+          null,
+          2
+        )
+      : '';
+
+    // Update usage prices
+    this.usagePricesInput.value = this.formatUsagePrices(
+      this.currentSettings.usagePrices || {}
+    );
+
+    // Update cancel shortcut
+    this.cancelShortcutInput.value = this.currentSettings.cancelShortcut || '';
+
     // Update auto-hide settings
     if (this.currentSettings.autoHide !== undefined) {
       this.autoHideEnabled.checked = this.currentSettings.autoHide;
@@ -205,17 +611,519 @@ class SettingsWindow {
     }
   }
 
+  async loadProviders() {
+    try {
+      this.providers = await ipcRenderer.invoke('ai-list-providers');
+    } catch (error) {
+      console.error('Failed to load providers:', error);
+      this.providers = [];
+    }
+
+    this.renderFailoverChain();
+    this.renderCompareTargets();
+  }
+
+  /**
+   * Fill the compare mode pickers with the registered backends and the
+   * saved pairs; without saved pairs the first two backends are offered
+   */
+  renderCompareTargets() {
+    const targets = this.currentSettings.compareTargets || [];
+
+    this.compareBackendSelects.forEach((select, lane) => {
+      select.innerHTML = '';
+      this.providers.forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.displayName;
+        select.appendChild(option);
+      });
+
+      const target = targets[lane];
+      const fallback = this.providers[lane] || this.providers[0];
+      if (target && this.providers.some(p => p.id === target.backend)) {
+        select.value = target.backend;
+      } else if (fallback) {
+        select.value = fallback.id;
+      }
+      this.compareModelInputs[lane].value = target ? target.model : '';
+    });
+  }
+
+  updateCompareTargets() {
+    this.currentSettings.compareTargets = this.compareBackendSelects.map(
+      (select, lane) => ({
+        backend: select.value,
+        model: this.compareModelInputs[lane].value.trim(),
+      })
+    );
+  }
+
+  async loadCompareSummary() {
+    let summary = null;
+
+    try {
+      summary = await ipcRenderer.invoke('compare-get-summary');
+    } catch (error) {
+      console.error('Failed to load comparison summary:', error);
+    }
+
+    this.renderCompareSummary(summary);
+  }
+
+  renderCompareSummary(summary) {
+    this.compareSummaryBody.innerHTML = '';
+
+    if (!summary || summary.models.length === 0) {
+      const row = this.compareSummaryBody.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 5;
+      cell.textContent = 'No comparisons yet';
+      return;
+    }
+
+    summary.models.forEach(totals => {
+      const provider = this.providers.find(p => p.id === totals.backend);
+      const row = this.compareSummaryBody.insertRow();
+      [
+        provider ? provider.displayName : totals.backend,
+        totals.model || '-',
+        totals.compared,
+        totals.preferred,
+        `${(totals.averageLatencyMs / 1000).toFixed(1)}s`,
+      ].forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    });
+  }
+
+  async clearComparisons() {
+    if (!confirm('Delete all recorded comparisons?')) {
+      return;
+    }
+
+    try {
+      await ipcRenderer.invoke('compare-clear');
+      this.loadCompareSummary();
+      this.showSuccessMessage('Comparisons reset');
+    } catch (error) {
+      this.showErrorMessage(`Failed to reset comparisons: ${error.message}`);
+    }
+  }
+
+  renderFailoverChain() {
+    const backend = this.currentSettings.backend;
+    const chain = (this.currentSettings.failoverChain || []).filter(
+      id => id !== backend && this.providers.some(p => p.id === id)
+    );
+    const unused = this.providers
+      .map(provider => provider.id)
+      .filter(id => id !== backend && !chain.includes(id));
+
+    this.failoverChainList.innerHTML = '';
+
+    // Enabled backends first in failover order, then the unused ones
+    [...chain, ...unused].forEach(id => {
+      const provider = this.providers.find(p => p.id === id);
+      const enabled = chain.includes(id);
+      const position = chain.indexOf(id);
+
+      const item = document.createElement('div');
+      item.className = 'failover-item';
+
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = enabled;
+      checkbox.addEventListener('change', () => {
+        this.toggleFailoverBackend(id, checkbox.checked);
+      });
+
+      const name = document.createElement('span');
+      name.textContent = enabled
+        ? `${position + 1}. ${provider.displayName}`
+        : provider.displayName;
+      if (!provider.configured) {
+        name.textContent += ' (not configured)';
+      }
+
+      label.appendChild(checkbox);
+      label.appendChild(name);
+      item.appendChild(label);
+
+      if (enabled) {
+        item.appendChild(
+          this.createFailoverMoveButton('↑', position > 0, () =>
+            this.moveFailoverBackend(id, -1)
+          )
+        );
+        item.appendChild(
+          this.createFailoverMoveButton('↓', position < chain.length - 1, () =>
+            this.moveFailoverBackend(id, 1)
+          )
+        );
+      }
+
+      this.failoverChainList.appendChild(item);
+    });
+  }
+
+  createFailoverMoveButton(text, enabled, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary failover-move';
+    button.textContent = text;
+    button.disabled = !enabled;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  toggleFailoverBackend(id, enabled) {
+    const chain = (this.currentSettings.failoverChain || []).filter(
+      backend => backend !== id
+    );
+    if (enabled) {
+      chain.push(id);
+    }
+
+    this.currentSettings.failoverChain = chain;
+    this.renderFailoverChain();
+  }
+
+  moveFailoverBackend(id, offset) {
+    const chain = [...(this.currentSettings.failoverChain || [])];
+    const from = chain.indexOf(id);
+    const to = from + offset;
+
+    if (from === -1 || to < 0 || to >= chain.length) {
+      return;
+    }
+
+    [chain[from], chain[to]] = [chain[to], chain[from]];
+    this.currentSettings.failoverChain = chain;
+    this.renderFailoverChain();
+  }
+
   switchBackend(backend) {
     this.currentSettings.backend = backend;
+    this.updateBackendSections();
+    this.renderFailoverChain();
+
+    // Update backend status
+    this.updateBackendStatus();
+  }
+
+  updateBackendSections() {
+    // Only show configuration sections that belong to the selected backend
+    this.backendSections.forEach(section => {
+      section.style.display =
+        section.dataset.backend === this.currentSettings.backend
+          ? 'block'
+          : 'none';
+    });
+
+    this.loadModelOptions();
+
+    const concurrency = this.currentSettings.queueConcurrency || {};
+    this.queueConcurrencyInput.value =
+      concurrency[this.currentSettings.backend] || '';
+
+    this.updateGenerationProfileInputs();
+
+    if (this.currentSettings.backend === 'ollama') {
+      this.loadOllamaModels();
+    }
+  }
+
+  /**
+   * The selected backend's generation profile, created on first edit
+   * @returns {Object} - Profile fields the user has overridden
+   */
+  getGenerationProfile() {
+    const backend = this.currentSettings.backend;
+    const profiles = this.currentSettings.generationProfiles || {};
+    profiles[backend] = profiles[backend] || {};
+    this.currentSettings.generationProfiles = profiles;
+    return profiles[backend];
+  }
+
+  updateGenerationProfileInputs() {
+    const profile = this.getGenerationProfile();
+
+    this.systemInstructionInput.value = profile.systemInstruction || '';
+    this.stopSequencesInput.value = (profile.stopSequences || []).join('\n');
+    this.profileNumberInputs.forEach(input => {
+      const value = profile[input.dataset.profileField];
+      input.value = Number.isFinite(value) ? value : '';
+    });
+
+    const safety = profile.safetySettings || {};
+    this.safetySelects.forEach(select => {
+      select.value = safety[select.dataset.safetyCategory] || '';
+    });
+  }
+
+  async loadModelOptions() {
+    const backend = this.currentSettings.backend;
+    let models = [];
+
+    try {
+      models = await ipcRenderer.invoke('ai-list-models', backend);
+    } catch (error) {
+      console.error(`Failed to load models for ${backend}:`, error);
+    }
+
+    // Ignore results for a backend the user has since switched away from
+    if (backend !== this.currentSettings.backend) {
+      return;
+    }
+
+    this.modelOptionsList.innerHTML = '';
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.name;
+
+      const limits = model.inputTokenLimit
+        ? ` (${model.inputTokenLimit.toLocaleString()} in / ${(
+            model.outputTokenLimit || 0
+          ).toLocaleString()} out tokens)`
+        : '';
+      option.label = `${model.displayName || model.name}${limits}`;
 
-    if (backend === 'gemini') {
-      this.apiKeySection.style.display = 'block';
+      this.modelOptionsList.appendChild(option);
+    });
+  }
+
+  async loadOllamaModels() {
+    let models = [];
+    let running = [];
+
+    try {
+      models = await ipcRenderer.invoke('ollama-get-models');
+      running = await ipcRenderer.invoke('ollama-list-running');
+    } catch (error) {
+      console.error('Failed to load Ollama models:', error);
+    }
+
+    this.renderOllamaModels(models, running);
+  }
+
+  renderOllamaModels(models, running) {
+    this.ollamaModelList.innerHTML = '';
+    this.renderOllamaVisionModels(models);
+
+    if (models.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'footer-info';
+      empty.textContent = 'No models installed (or Ollama is not running)';
+      this.ollamaModelList.appendChild(empty);
+      return;
+    }
+
+    models.forEach(model => {
+      const item = document.createElement('div');
+      item.className = 'model-manager-item';
+
+      const name = document.createElement('span');
+      name.className = 'model-name';
+      name.textContent = model.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'model-meta';
+      meta.textContent = this.formatBytes(model.size);
+      if (model.vision) {
+        meta.textContent += ' · vision';
+      }
+      const loaded = running.some(r => r.name === model.name);
+      if (loaded) {
+        meta.textContent += ' · loaded';
+      }
+
+      const infoBtn = document.createElement('button');
+      infoBtn.className = 'btn btn-secondary';
+      infoBtn.textContent = 'Info';
+      infoBtn.addEventListener('click', () => this.showOllamaModel(model.name));
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn-secondary';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () =>
+        this.deleteOllamaModel(model.name)
+      );
+
+      item.appendChild(name);
+      item.appendChild(meta);
+      item.appendChild(infoBtn);
+      if (loaded) {
+        const unloadBtn = document.createElement('button');
+        unloadBtn.className = 'btn btn-secondary';
+        unloadBtn.textContent = 'Unload';
+        unloadBtn.addEventListener('click', () =>
+          this.unloadOllamaModel(model.name, models)
+        );
+        item.appendChild(unloadBtn);
+      }
+      item.appendChild(deleteBtn);
+      this.ollamaModelList.appendChild(item);
+    });
+  }
+
+  renderOllamaVisionModels(models) {
+    const selected = this.currentSettings.ollamaVisionModel || '';
+    this.ollamaVisionModelSelect.innerHTML = '';
+
+    const automatic = document.createElement('option');
+    automatic.value = '';
+    automatic.textContent = 'Automatic';
+    this.ollamaVisionModelSelect.appendChild(automatic);
+
+    // Keep a saved choice visible even if the model was since deleted
+    const names = models.filter(model => model.vision).map(model => model.name);
+    if (selected && !names.includes(selected)) {
+      names.push(selected);
+    }
+
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this.ollamaVisionModelSelect.appendChild(option);
+    });
+
+    this.ollamaVisionModelSelect.value = selected;
+  }
+
+  formatBytes(bytes) {
+    if (!bytes) {
+      return '';
+    }
+
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(
+      Math.floor(Math.log(bytes) / Math.log(1024)),
+      units.length - 1
+    );
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(1)} ${units[exponent]}`;
+  }
+
+  async toggleOllamaPull() {
+    // The pull button doubles as cancel while a download runs
+    if (this.pullingModel) {
+      await ipcRenderer.invoke('ollama-cancel-pull', this.pullingModel);
+      return;
+    }
+
+    const modelName = this.ollamaPullNameInput.value.trim();
+    if (!modelName) {
+      return;
+    }
+
+    this.pullingModel = modelName;
+    this.ollamaPullBtn.textContent = 'Cancel';
+    this.ollamaPullProgress.removeAttribute('value');
+    this.ollamaPullProgress.style.display = 'block';
+    this.ollamaPullStatus.textContent = `Pulling ${modelName}...`;
+
+    try {
+      const result = await ipcRenderer.invoke('ollama-pull-model', modelName);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.ollamaPullNameInput.value = '';
+      this.ollamaPullStatus.textContent = `${modelName} is ready`;
+      this.renderOllamaModels(
+        result.models,
+        await ipcRenderer.invoke('ollama-list-running')
+      );
+    } catch (error) {
+      this.ollamaPullStatus.textContent = `Pull failed: ${error.message}`;
+    } finally {
+      this.pullingModel = null;
+      this.ollamaPullBtn.textContent = 'Pull';
+      this.ollamaPullProgress.style.display = 'none';
+    }
+  }
+
+  updatePullProgress(progress) {
+    if (progress.model !== this.pullingModel) {
+      return;
+    }
+
+    // Manifest and verification steps have no byte counts
+    if (progress.percent === null) {
+      this.ollamaPullProgress.removeAttribute('value');
+      this.ollamaPullStatus.textContent = progress.status;
     } else {
-      this.apiKeySection.style.display = 'none';
+      this.ollamaPullProgress.value = progress.percent;
+      this.ollamaPullStatus.textContent = `${progress.status} — ${progress.percent}% of ${this.formatBytes(progress.total)}`;
     }
+  }
 
-    // Update backend status
-    this.updateBackendStatus();
+  async deleteOllamaModel(modelName) {
+    if (!confirm(`Delete ${modelName}? It will need to be pulled again.`)) {
+      return;
+    }
+
+    const result = await ipcRenderer.invoke('ollama-delete-model', modelName);
+    if (!result.success) {
+      this.showErrorMessage(`Failed to delete model: ${result.error}`);
+      return;
+    }
+
+    // Saving the form must not bring back the model that was just deleted
+    if (this.currentSettings.modelName === modelName) {
+      this.updateModelName(result.currentModel);
+      this.modelNameInput.value = result.currentModel;
+    }
+
+    this.ollamaModelDetails.style.display = 'none';
+    this.showSuccessMessage(`${modelName} deleted`);
+    this.renderOllamaModels(
+      result.models,
+      await ipcRenderer.invoke('ollama-list-running')
+    );
+  }
+
+  async unloadOllamaModel(modelName, models) {
+    const result = await ipcRenderer.invoke('ollama-unload-model', modelName);
+    if (!result.success) {
+      this.showErrorMessage(`Failed to unload model: ${result.error}`);
+      return;
+    }
+
+    this.showSuccessMessage(`${modelName} unloaded from memory`);
+    this.renderOllamaModels(models, result.running);
+  }
+
+  async showOllamaModel(modelName) {
+    try {
+      const info = await ipcRenderer.invoke('ollama-show-model', modelName);
+      const details = info.details || {};
+
+      this.ollamaModelDetails.textContent = [
+        info.name,
+        `Family: ${details.family || 'unknown'}`,
+        `Parameters: ${details.parameter_size || 'unknown'}`,
+        `Quantization: ${details.quantization_level || 'unknown'}`,
+        `Context length: ${info.contextLength || 'unknown'}`,
+        info.capabilities.length > 0
+          ? `Capabilities: ${info.capabilities.join(', ')}`
+          : null,
+        '',
+        'Parameters:',
+        info.parameters || '(defaults)',
+        '',
+        'Template:',
+        info.template || '(none)',
+      ]
+        .filter(line => line !== null)
+        .join('\n');
+      this.ollamaModelDetails.style.display = 'block';
+    } catch (error) {
+      this.showErrorMessage(`Failed to inspect model: ${error.message}`);
+    }
   }
 
   updateModelName(modelName) {
@@ -253,15 +1161,272 @@ class SettingsWindow {
     this.currentSettings.autoHideDelayAfterResponse = delayMs;
   }
 
-  async updateBackendStatus() {
+  /**
+   * Parse "model input output" lines into a price table, skipping lines
+   * that don't have two numeric prices
+   * @param {string} text - Textarea contents
+   * @returns {Object} - Map of model name to {input, output}
+   */
+  parseUsagePrices(text) {
+    const prices = {};
+
+    text.split('\n').forEach(line => {
+      const [model, input, output] = line.trim().split(/\s+/);
+      if (model && !isNaN(parseFloat(input)) && !isNaN(parseFloat(output))) {
+        prices[model] = {
+          input: parseFloat(input),
+          output: parseFloat(output),
+        };
+      }
+    });
+
+    return prices;
+  }
+
+  async loadKnowledgeBaseStats() {
+    const statsText = this.knowledgeBaseStats.querySelector('span:last-child');
+    statsText.title = '';
+
     try {
-      if (this.currentSettings.backend === 'ollama') {
-        const status = await ipcRenderer.invoke('ollama-get-status');
-        this.updateBackendStatusUI(status);
-      } else if (this.currentSettings.backend === 'gemini') {
-        const status = await ipcRenderer.invoke('gemini-get-status');
-        this.updateBackendStatusUI(status);
+      const stats = await ipcRenderer.invoke('knowledge-base-get-stats');
+      if (!stats) {
+        statsText.textContent = 'Knowledge base unavailable';
+      } else if (stats.indexing) {
+        statsText.textContent = 'Indexing...';
+      } else if (!stats.indexedAt) {
+        statsText.textContent = 'Not indexed yet';
+      } else {
+        statsText.textContent = `${stats.files} files, ${stats.chunks} chunks indexed ${new Date(stats.indexedAt).toLocaleString()}`;
+        if (stats.errors.length > 0) {
+          statsText.textContent += `; ${stats.errors.length} files could not be indexed`;
+          // Hovering the stats lists the skipped files and why
+          statsText.title = stats.errors
+            .map(error => `${error.file}: ${error.error}`)
+            .join('\n');
+        }
+      }
+    } catch (error) {
+      statsText.textContent = `Failed to load knowledge base: ${error.message}`;
+    }
+  }
+
+  async chooseOllamaCaFile() {
+    const caFile = await ipcRenderer.invoke('choose-ca-file');
+    if (caFile) {
+      this.currentSettings.ollamaCaFile = caFile;
+      this.ollamaCaFileInput.value = caFile;
+    }
+  }
+
+  async chooseNetworkCaFile() {
+    const caFile = await ipcRenderer.invoke('choose-ca-file');
+    if (caFile) {
+      this.currentSettings.networkCaFile = caFile;
+      this.networkCaFileInput.value = caFile;
+    }
+  }
+
+  updateNetworkProxyFields() {
+    this.networkManualProxy.style.display =
+      this.networkProxyModeSelect.value === 'manual' ? 'block' : 'none';
+  }
+
+  async testOllamaConnection() {
+    const statusDot = this.ollamaTestStatus.querySelector('.status-dot');
+    const statusText = this.ollamaTestStatus.querySelector('span:last-child');
+    this.ollamaTestBtn.disabled = true;
+    statusDot.className = 'status-dot';
+    statusText.textContent = 'Testing...';
+
+    try {
+      // Test what the form shows, including a token that isn't saved yet
+      const result = await ipcRenderer.invoke(
+        'ollama-test-connection',
+        {
+          ollamaHost: this.currentSettings.ollamaHost || '',
+          ollamaAuthType: this.currentSettings.ollamaAuthType || 'none',
+          ollamaCaFile: this.currentSettings.ollamaCaFile || '',
+        },
+        this.pendingApiKeys.ollama_auth_token || null
+      );
+
+      statusDot.className = result.success
+        ? 'status-dot connected'
+        : 'status-dot error';
+      statusText.textContent = result.success
+        ? `Connected to ${result.host}: Ollama ${result.version}, ${result.models} models, ${result.latencyMs} ms`
+        : `${result.host}: ${result.error}`;
+    } catch (error) {
+      statusDot.className = 'status-dot error';
+      statusText.textContent = error.message;
+    } finally {
+      this.ollamaTestBtn.disabled = false;
+    }
+  }
+
+  async chooseKnowledgeBaseFolder() {
+    const folder = await ipcRenderer.invoke('knowledge-base-choose-folder');
+    if (folder) {
+      this.currentSettings.knowledgeBaseFolder = folder;
+      this.knowledgeBaseFolder.value = folder;
+    }
+  }
+
+  async reindexKnowledgeBase() {
+    this.knowledgeBaseReindexBtn.disabled = true;
+
+    try {
+      // Index the folder and model the form shows, saving them
+      const result = await ipcRenderer.invoke('knowledge-base-reindex', {
+        knowledgeBaseFolder: this.currentSettings.knowledgeBaseFolder || '',
+        knowledgeBaseModel: this.currentSettings.knowledgeBaseModel || '',
+      });
+      if (result.success) {
+        this.showSuccessMessage(
+          `Indexed ${result.stats.files} files (${result.stats.chunks} chunks)`
+        );
+      } else {
+        this.showErrorMessage(`Indexing failed: ${result.error}`);
+      }
+    } finally {
+      this.knowledgeBaseReindexBtn.disabled = false;
+      this.loadKnowledgeBaseStats();
+    }
+  }
+
+  updatePromptTemplates(text) {
+    if (!text.trim()) {
+      this.currentSettings.promptTemplates = [];
+      this.promptTemplatesStatus.textContent = 'No templates of your own';
+      return;
+    }
+
+    try {
+      const templates = JSON.parse(text);
+      if (!Array.isArray(templates)) {
+        throw new Error('expected a list of templates');
+      }
+
+      const invalid = templates.findIndex(
+        template => !template || !template.name || !template.prompt
+      );
+      if (invalid !== -1) {
+        throw new Error(`template ${invalid + 1} needs a name and a prompt`);
       }
+
+      this.currentSettings.promptTemplates = templates;
+      this.promptTemplatesStatus.textContent = `${templates.length} template(s)`;
+    } catch (error) {
+      this.promptTemplatesStatus.textContent = `Not saved: ${error.message}`;
+    }
+  }
+
+  formatUsagePrices(prices) {
+    return Object.entries(prices)
+      .map(([model, price]) => `${model} ${price.input} ${price.output}`)
+      .join('\n');
+  }
+
+  async loadResponseCacheStats() {
+    const statsText = this.responseCacheStats.querySelector('span');
+
+    try {
+      const stats = await ipcRenderer.invoke('response-cache-get-stats');
+      statsText.textContent = stats
+        ? `${stats.entries} cached responses using ${this.formatBytes(stats.bytes) || '0 B'}`
+        : 'Response cache unavailable';
+    } catch (error) {
+      statsText.textContent = `Failed to load cache statistics: ${error.message}`;
+    }
+  }
+
+  async clearResponseCache() {
+    try {
+      await ipcRenderer.invoke('response-cache-clear');
+      this.loadResponseCacheStats();
+      this.showSuccessMessage('Response cache cleared');
+    } catch (error) {
+      this.showErrorMessage(`Failed to clear cache: ${error.message}`);
+    }
+  }
+
+  async loadUsageSummary() {
+    let summary = null;
+
+    try {
+      summary = await ipcRenderer.invoke('usage-get-summary');
+    } catch (error) {
+      console.error('Failed to load usage summary:', error);
+    }
+
+    this.renderUsageSummary(summary);
+  }
+
+  renderUsageSummary(summary) {
+    this.usageSummaryBody.innerHTML = '';
+
+    const backends = summary ? Object.keys(summary.week) : [];
+    if (backends.length === 0) {
+      const row = this.usageSummaryBody.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 5;
+      cell.textContent = 'No usage recorded in the last 7 days';
+      return;
+    }
+
+    const providerName = id => {
+      const provider = this.providers.find(p => p.id === id);
+      return provider ? provider.displayName : id;
+    };
+
+    backends.forEach(backend => {
+      [
+        [`${providerName(backend)} (today)`, summary.today[backend]],
+        [`${providerName(backend)} (7 days)`, summary.week[backend]],
+      ].forEach(([label, totals]) => {
+        const row = this.usageSummaryBody.insertRow();
+        const values = totals
+          ? [
+              label,
+              totals.requests,
+              `${totals.inputTokens.toLocaleString()} / ${totals.outputTokens.toLocaleString()}`,
+              `$${totals.cost.toFixed(4)}`,
+              `${(totals.averageLatencyMs / 1000).toFixed(1)}s`,
+            ]
+          : [label, 0, '0 / 0', '$0.0000', '-'];
+
+        values.forEach(value => {
+          row.insertCell().textContent = value;
+        });
+      });
+    });
+  }
+
+  async clearUsage() {
+    if (!confirm('Delete all recorded usage?')) {
+      return;
+    }
+
+    try {
+      await ipcRenderer.invoke('usage-clear');
+      this.loadUsageSummary();
+      this.showSuccessMessage('Usage reset');
+    } catch (error) {
+      this.showErrorMessage(`Failed to reset usage: ${error.message}`);
+    }
+  }
+
+  async updateBackendStatus() {
+    if (!this.currentSettings.backend) {
+      return;
+    }
+
+    try {
+      const status = await ipcRenderer.invoke(
+        'ai-get-status',
+        this.currentSettings.backend
+      );
+      this.updateBackendStatusUI(status || { connected: false });
     } catch (error) {
       console.error('Failed to get backend status:', error);
       this.updateBackendStatusUI({ connected: false, error: error.message });
@@ -271,14 +1436,30 @@ class SettingsWindow {
   updateBackendStatusUI(status) {
     const statusDot = this.backendStatus.querySelector('.status-dot');
     const statusText = this.backendStatus.querySelector('span:last-child');
+    const backend = this.currentSettings.backend;
+    const circuit = status.circuit;
 
-    if (status.connected) {
+    if (circuit && circuit.state === 'open') {
+      const seconds = Math.max(
+        0,
+        Math.ceil((circuit.retryAt - Date.now()) / 1000)
+      );
+      statusDot.className = 'status-dot error';
+      statusText.textContent =
+        `${backend} paused after ${circuit.failures} failures` +
+        ` (${circuit.lastError}); retrying in ${seconds}s`;
+    } else if (circuit && circuit.state === 'half-open') {
+      statusDot.className = 'status-dot processing';
+      statusText.textContent = `${backend} recovering; the next request is a trial`;
+    } else if (status.connected) {
       statusDot.className = 'status-dot';
-      statusText.textContent = `${this.currentSettings.backend} connected`;
+      statusText.textContent =
+        circuit && circuit.failures > 0
+          ? `${backend} connected (${circuit.failures} recent failures)`
+          : `${backend} connected`;
     } else {
       statusDot.className = 'status-dot error';
-      statusText.textContent =
-        status.error || `${this.currentSettings.backend} disconnected`;
+      statusText.textContent = status.error || `${backend} disconnected`;
     }
   }
 
@@ -299,6 +1480,49 @@ class SettingsWindow {
     }
   }
 
+  async updateStoredKeyStatus(field) {
+    const statusDot = field.status.querySelector('.status-dot');
+    const statusText = field.status.querySelector('span:last-child');
+
+    try {
+      const hasKey = await ipcRenderer.invoke(
+        'secure-storage-has-api-key',
+        field.keyName
+      );
+      statusDot.className = hasKey ? 'status-dot connected' : 'status-dot';
+      statusText.textContent = hasKey
+        ? 'API key stored securely'
+        : 'API key not configured';
+    } catch (error) {
+      statusDot.className = 'status-dot error';
+      statusText.textContent = error.message;
+    }
+  }
+
+  async storePendingApiKeys() {
+    for (const field of this.storedApiKeyFields) {
+      const apiKey = this.pendingApiKeys[field.keyName];
+      if (!apiKey) {
+        continue;
+      }
+
+      const result = await ipcRenderer.invoke(
+        'secure-storage-store-api-key',
+        field.keyName,
+        apiKey,
+        { provider: field.provider }
+      );
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to store API key');
+      }
+
+      delete this.pendingApiKeys[field.keyName];
+      field.input.value = '';
+      this.updateStoredKeyStatus(field);
+    }
+  }
+
   updateApiKeyStatusUI(status) {
     const statusDot = this.apiKeyStatus.querySelector('.status-dot');
     const statusText = this.apiKeyStatus.querySelector('span:last-child');
@@ -318,10 +1542,12 @@ class SettingsWindow {
     this.testBackendBtn.textContent = 'Testing...';
 
     try {
-      if (this.currentSettings.backend === 'ollama') {
-        await ipcRenderer.invoke('ollama-health-check');
-      } else if (this.currentSettings.backend === 'gemini') {
-        await ipcRenderer.invoke('gemini-health-check');
+      const healthy = await ipcRenderer.invoke(
+        'ai-health-check',
+        this.currentSettings.backend
+      );
+      if (!healthy) {
+        throw new Error(`${this.currentSettings.backend} is not reachable`);
       }
 
       this.showSuccessMessage('Backend connection test successful!');
@@ -353,8 +1579,17 @@ class SettingsWindow {
     this.saveBtn.textContent = 'Saving...';
 
     try {
-      // Send settings to main process
-      ipcRenderer.send('save-settings', this.currentSettings);
+      // Keys go to secure storage rather than the settings object
+      await this.storePendingApiKeys();
+
+      // Send settings to main process; invalid settings are not saved
+      const result = await ipcRenderer.invoke(
+        'save-settings',
+        this.currentSettings
+      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
       this.showSuccessMessage('Settings saved successfully!');
 
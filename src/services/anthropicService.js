@@ -0,0 +1,544 @@
+const BaseAIService = require('./baseAIService');
+const RetryPolicy = require('./retryPolicy');
+const { readSSE, parseEventData, StreamParseError } = require('./streamParser');
+const { httpFetch } = require('./httpClient');
+
+/**
+ * Backend for the Anthropic Messages API (Claude models).
+ */
+class AnthropicService extends BaseAIService {
+  constructor(secureStorageService = null) {
+    super('anthropic', 'Anthropic');
+
+    // API Configuration
+    this.baseUrl = 'https://api.anthropic.com/v1';
+    this.apiVersion = '2023-06-01';
+    this.defaultModel = 'claude-haiku-4-5'; // Fast model for better UX
+    this.currentModel = this.defaultModel;
+    this.secureStorage = secureStorageService;
+    this.apiKey = null; // Will be loaded from secure storage
+    this.requestTimeout = 60000; // 60 seconds
+    this.contextWindow = 200000; // Current Claude models accept 200K tokens
+  }
+
+  async initialize() {
+    try {
+      console.log('Initializing Anthropic service...');
+
+      this.apiKey = this.secureStorage
+        ? this.secureStorage.retrieveAnthropicApiKey()
+        : process.env.ANTHROPIC_API_KEY;
+
+      if (!this.apiKey || this.apiKey.trim() === '') {
+        throw new Error(
+          'Anthropic API key not found. Please configure your API key first.'
+        );
+      }
+
+      await this.checkConnection();
+      await this.loadAvailableModels();
+
+      this.isConnected = true;
+
+      this.emit('initialized', {
+        model: this.currentModel,
+        availableModels: this.availableModels,
+        hasSecureStorage: !!this.secureStorage,
+        timestamp: Date.now(),
+      });
+
+      console.log('Anthropic service initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize Anthropic service:', error);
+      this.isConnected = false;
+      this.emit('error', {
+        type: 'initialization-failed',
+        error: error.message,
+        timestamp: Date.now(),
+      });
+      return false;
+    }
+  }
+
+  async applySettings() {
+    // Pick up a key saved from the settings window
+    const storedKey = this.secureStorage
+      ? this.secureStorage.retrieveAnthropicApiKey()
+      : this.apiKey;
+
+    if (storedKey !== this.apiKey || !this.isConnected) {
+      await this.initialize();
+    }
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.apiVersion,
+    };
+  }
+
+  async checkConnection() {
+    try {
+      const response = await httpFetch(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(this.requestTimeout),
+      });
+
+      if (!response.ok) {
+        const errorMessage = await this.getErrorMessage(response);
+        throw new Error(`HTTP ${response.status}: ${errorMessage}`);
+      }
+
+      this.emit('connection-checked', {
+        connected: true,
+        timestamp: Date.now(),
+      });
+      return true;
+    } catch (error) {
+      this.emit('connection-checked', {
+        connected: false,
+        error: error.message,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  async loadAvailableModels() {
+    try {
+      const response = await httpFetch(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(this.requestTimeout),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      this.availableModels = (data.data || []).map(model => ({
+        name: model.id,
+        displayName: model.display_name,
+        created: model.created_at,
+      }));
+
+      this.emit('models-loaded', {
+        models: this.availableModels,
+        count: this.availableModels.length,
+        timestamp: Date.now(),
+      });
+
+      return this.availableModels;
+    } catch (error) {
+      this.emit('error', {
+        type: 'models-load-failed',
+        error: error.message,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  async listModels() {
+    return this.loadAvailableModels();
+  }
+
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      multimodal: true,
+      requiresApiKey: true,
+    };
+  }
+
+  setModel(modelName) {
+    if (!modelName || typeof modelName !== 'string') {
+      throw new Error('Invalid model name');
+    }
+
+    // Aliases such as 'claude-haiku-4-5' are accepted but not listed
+    if (this.availableModels.length > 0 && !this.isModelAvailable(modelName)) {
+      console.warn(`Model '${modelName}' is not listed by the Anthropic API`);
+    }
+
+    this.currentModel = modelName;
+    this.emit('model-changed', {
+      model: modelName,
+      timestamp: Date.now(),
+    });
+
+    return true;
+  }
+
+  async generateResponse(prompt, options = {}) {
+    const {
+      model = this.currentModel,
+      stream = true,
+      temperature = 0.7,
+      topK = 40,
+      maxTokens = 500,
+      stopSequences = [],
+      systemInstruction = '',
+      history = [],
+      images = [],
+      requestId = null,
+    } = options;
+
+    if (!this.isConnected) {
+      const error = new Error('Anthropic service not connected');
+      this.emit('error', {
+        type: 'service-not-connected',
+        error: error.message,
+        requestId: requestId,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+
+    if (!prompt || prompt.trim().length === 0) {
+      const error = new Error('Empty prompt provided');
+      this.emit('error', {
+        type: 'invalid-prompt',
+        error: error.message,
+        requestId: requestId,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+
+    const messages = this.buildMessages(prompt, history);
+
+    // Images go in content blocks ahead of the text of the new user turn
+    if (images.length > 0) {
+      messages[messages.length - 1].content = [
+        ...images.map(image => ({
+          type: 'image',
+          source: {
+            type: 'base64',
+            media_type: image.mimeType,
+            data: image.data,
+          },
+        })),
+        { type: 'text', text: prompt },
+      ];
+    }
+
+    // top_p is not sent: newer Claude models reject it alongside temperature
+    const requestBody = {
+      model: model,
+      max_tokens: maxTokens,
+      messages: messages,
+      stream: stream,
+      temperature: temperature,
+      top_k: topK,
+    };
+
+    if (systemInstruction) {
+      requestBody.system = systemInstruction;
+    }
+
+    if (stopSequences.length > 0) {
+      requestBody.stop_sequences = stopSequences;
+    }
+
+    this.checkCircuit(requestId);
+
+    const generation = this.beginGeneration(requestId);
+
+    this.emit('generation-started', {
+      model: model,
+      prompt: prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''),
+      options: options,
+      requestId: requestId,
+      timestamp: Date.now(),
+    });
+
+    let retryCount = 0;
+    let response;
+
+    try {
+      while (!response) {
+        const controller = this.createRequestController(generation);
+
+        try {
+          const timeoutId = setTimeout(
+            () => controller.abort(),
+            this.requestTimeout
+          );
+
+          const attempt = await httpFetch(`${this.baseUrl}/messages`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(requestBody),
+            signal: controller.signal,
+          });
+
+          clearTimeout(timeoutId);
+
+          if (!attempt.ok) {
+            throw await this.createHttpError(attempt);
+          }
+
+          response = attempt;
+          this.circuitBreaker.recordSuccess();
+        } catch (error) {
+          // A user cancellation aborts the request; it is not a failure
+          if (generation.cancelled) {
+            throw this.handleCancellation(generation, model);
+          }
+
+          retryCount++;
+
+          if (error.name === 'AbortError') {
+            this.emit('error', {
+              type: 'timeout',
+              error: `Request timed out after ${this.requestTimeout}ms`,
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else if (RetryPolicy.classify(error) === 'unreachable') {
+            this.emit('error', {
+              type: 'service-unreachable',
+              error: `${this.displayName} is not reachable at ${this.baseUrl}`,
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else if (
+            error.message.includes('HTTP 401') ||
+            error.message.includes('HTTP 403')
+          ) {
+            this.emit('error', {
+              type: 'invalid-api-key',
+              error: 'Invalid API key or insufficient permissions',
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+            throw error; // Don't retry for invalid API key
+          } else if (error.message.includes('HTTP 404')) {
+            this.emit('error', {
+              type: 'model-not-found',
+              error: `Model '${model}' not found`,
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+            throw error; // Don't retry for model not found
+          } else if (error.message.includes('HTTP 400')) {
+            this.emit('error', {
+              type: 'invalid-request',
+              error: 'Invalid request parameters',
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+            throw error; // Don't retry for invalid requests
+          } else if (
+            error.message.includes('HTTP 429') ||
+            error.message.includes('HTTP 529')
+          ) {
+            this.emit('error', {
+              type: 'rate-limited',
+              error: 'Rate limit exceeded or API overloaded',
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else {
+            this.emit('error', {
+              type: 'generation-failed',
+              error: error.message,
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          }
+
+          await this.prepareRetry(generation, error, retryCount, model);
+        }
+      }
+
+      return stream
+        ? await this.handleStreamingResponse(response, model, generation)
+        : await this.handleNonStreamingResponse(response, model, generation);
+    } finally {
+      this.endGeneration(generation);
+    }
+  }
+
+  async handleStreamingResponse(response, model, generation) {
+    let fullResponse = '';
+    let stopReason = null;
+    const usage = {};
+
+    try {
+      // Every data payload repeats its event name in `type`, so the event
+      // field isn't needed
+      for await (const event of readSSE(response.body)) {
+        const data = parseEventData(event);
+
+        switch (data.type) {
+          case 'message_start':
+            Object.assign(usage, data.message && data.message.usage);
+            model = (data.message && data.message.model) || model;
+            break;
+
+          case 'content_block_delta':
+            if (data.delta && data.delta.type === 'text_delta') {
+              fullResponse += data.delta.text;
+              this.emit('token-received', {
+                token: data.delta.text,
+                fullResponse: fullResponse,
+                done: false,
+                model: model,
+                requestId: generation.requestId,
+                timestamp: Date.now(),
+              });
+            }
+            break;
+
+          case 'message_delta':
+            stopReason = (data.delta && data.delta.stop_reason) || stopReason;
+            Object.assign(usage, data.usage);
+            break;
+
+          case 'message_stop':
+            return this.completeGeneration(
+              fullResponse,
+              model,
+              stopReason,
+              usage,
+              generation
+            );
+
+          case 'error':
+            throw new Error(
+              (data.error && data.error.message) || 'Anthropic stream error'
+            );
+
+          default:
+            // ping, content_block_start and content_block_stop carry no text
+            break;
+        }
+      }
+
+      throw new Error('Stream ended before message_stop');
+    } catch (error) {
+      if (generation.cancelled) {
+        throw this.handleCancellation(generation, model, fullResponse);
+      }
+
+      this.emit('error', {
+        type:
+          error instanceof StreamParseError
+            ? 'malformed-stream'
+            : 'streaming-failed',
+        error: error.message,
+        requestId: generation.requestId,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  completeGeneration(fullResponse, model, stopReason, usage, generation) {
+    const tokens = this.createUsage(
+      usage && usage.input_tokens,
+      usage && usage.output_tokens
+    );
+
+    this.emit('generation-completed', {
+      fullResponse: fullResponse,
+      model: model,
+      stopReason: stopReason,
+      usage: tokens,
+      requestId: generation.requestId,
+      timestamp: Date.now(),
+    });
+
+    return {
+      response: fullResponse,
+      isComplete: true,
+      model: model,
+      usage: tokens,
+    };
+  }
+
+  async handleNonStreamingResponse(response, model, generation) {
+    try {
+      const data = await response.json();
+
+      if (!Array.isArray(data.content)) {
+        throw new Error('Invalid response format from Anthropic API');
+      }
+
+      const text = data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return this.completeGeneration(
+        text,
+        data.model || model,
+        data.stop_reason,
+        data.usage,
+        generation
+      );
+    } catch (error) {
+      this.emit('error', {
+        type: 'response-parsing-failed',
+        error: error.message,
+        requestId: generation.requestId,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  getStatus() {
+    return {
+      connected: this.isConnected,
+      model: this.currentModel,
+      availableModels: this.availableModels,
+      hasApiKey: !!this.apiKey,
+      requestTimeout: this.requestTimeout,
+      maxRetries: this.retryPolicy.maxRetries,
+      circuit: this.circuitBreaker.getState(),
+    };
+  }
+
+  async healthCheck() {
+    try {
+      await this.checkConnection();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getErrorMessage(response) {
+    try {
+      const errorText = await response.text();
+      try {
+        const errorJson = JSON.parse(errorText);
+        return errorJson.error?.message || response.statusText;
+      } catch {
+        return errorText || response.statusText;
+      }
+    } catch {
+      return response.statusText;
+    }
+  }
+}
+
+module.exports = AnthropicService;
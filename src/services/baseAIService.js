@@ -0,0 +1,323 @@
+const EventEmitter = require('events');
+const RetryPolicy = require('./retryPolicy');
+const { CircuitBreaker, CircuitOpenError } = require('./circuitBreaker');
+
+/**
+ * Common contract implemented by every AI backend service.
+ *
+ * Subclasses must implement initialize(), healthCheck(), listModels() and
+ * generateResponse(prompt, options). `options.history` holds earlier turns of
+ * the conversation as {role, content} messages, and backends reporting the
+ * `multimodal` capability accept `options.images` as {mimeType, data}
+ * attachments with base64 data. `options.systemInstruction` is sent as the
+ * backend's system prompt, and `options.responseSchema` (a JSON schema) asks
+ * for a JSON answer where the backend supports it. Backends reporting the
+ * `toolCalling` capability accept `options.tools` ({name, description,
+ * parameters} with JSON schema parameters) and return the calls the model
+ * wants made as `toolCalls` ({id, name, arguments}) instead of emitting
+ * 'generation-completed'; the next round passes the calls and their results
+ * back as `options.toolMessages`, {role: 'assistant', content, toolCalls}
+ * and {role: 'tool', name, content} messages. While generating they emit
+ * 'generation-started', 'token-received', 'generation-completed' and 'error'
+ * events so the main process can treat all backends the same way.
+ * Completed generations report `usage` built with createUsage(). Events
+ * about a generation carry the `requestId` passed in its options.
+ * Failed HTTP attempts go through prepareRetry(), which applies the shared
+ * retry policy and feeds the backend's circuit breaker.
+ */
+class BaseAIService extends EventEmitter {
+  constructor(id, displayName) {
+    super();
+    this.id = id;
+    this.displayName = displayName;
+    this.isConnected = false;
+    this.currentModel = null;
+    this.availableModels = [];
+    this.activeGenerations = new Set();
+    this.contextWindow = 4096;
+    this.retryPolicy = new RetryPolicy();
+    this.circuitBreaker = new CircuitBreaker();
+
+    this.circuitBreaker.on('state-changed', state => {
+      this.emit('circuit-state-changed', { backend: this.id, ...state });
+    });
+  }
+
+  async initialize() {
+    throw new Error(`${this.displayName} service must implement initialize()`);
+  }
+
+  async healthCheck() {
+    throw new Error(`${this.displayName} service must implement healthCheck()`);
+  }
+
+  async listModels() {
+    throw new Error(`${this.displayName} service must implement listModels()`);
+  }
+
+  async generateResponse() {
+    throw new Error(
+      `${this.displayName} service must implement generateResponse()`
+    );
+  }
+
+  /**
+   * Describe what this backend supports
+   * @returns {Object} - Capability flags
+   */
+  getCapabilities() {
+    return {
+      streaming: true,
+      multimodal: false,
+      toolCalling: false,
+      modelManagement: false,
+      requiresApiKey: false,
+      local: false,
+    };
+  }
+
+  /**
+   * Number of tokens the model can attend to, used to trim conversation
+   * history before it is sent
+   * @returns {number} - Context window size in tokens
+   */
+  getContextWindow() {
+    return this.contextWindow;
+  }
+
+  /**
+   * Build the chat transcript for a request from prior turns plus the prompt
+   * @param {string} prompt - The new user message
+   * @param {Array<Object>} history - Earlier {role, content} messages
+   * @returns {Array<Object>} - Messages with roles 'user' and 'assistant'
+   */
+  buildMessages(prompt, history = []) {
+    return [
+      ...history.map(message => ({
+        role: message.role,
+        content: message.content,
+      })),
+      { role: 'user', content: prompt },
+    ];
+  }
+
+  /**
+   * Build the token counts reported with a completed generation
+   * @param {number} inputTokens - Prompt tokens reported by the backend
+   * @param {number} outputTokens - Generated tokens reported by the backend
+   * @returns {Object} - {inputTokens, outputTokens}, null where unreported
+   */
+  createUsage(inputTokens, outputTokens) {
+    return {
+      inputTokens: Number.isFinite(inputTokens) ? inputTokens : null,
+      outputTokens: Number.isFinite(outputTokens) ? outputTokens : null,
+    };
+  }
+
+  /**
+   * Apply saved user settings to the running service.
+   * Backends that have user-configurable options override this; the
+   * persisted backend configuration object is passed as the only argument.
+   */
+  async applySettings() {}
+
+  /**
+   * Start tracking a generation so it can be cancelled and its events can be
+   * tagged with the id of the request that started it
+   * @param {string|null} requestId - Id of the originating request
+   * @returns {Object} - Generation handle passed to the helpers below
+   */
+  beginGeneration(requestId = null) {
+    const generation = {
+      requestId: requestId,
+      cancelled: false,
+      controller: null,
+      pendingRetry: null,
+    };
+    this.activeGenerations.add(generation);
+    return generation;
+  }
+
+  /**
+   * Stop tracking a generation once it has settled
+   * @param {Object} generation - The generation handle
+   */
+  endGeneration(generation) {
+    this.activeGenerations.delete(generation);
+  }
+
+  /**
+   * Create the AbortController for a generation's next HTTP attempt
+   * @param {Object} generation - The generation handle
+   * @returns {AbortController} - The controller for the request
+   */
+  createRequestController(generation) {
+    generation.controller = new AbortController();
+    return generation.controller;
+  }
+
+  /**
+   * Wait before the next retry attempt; cancel() cuts the wait short
+   * @param {Object} generation - The generation handle
+   * @param {number} delay - Delay in milliseconds
+   * @returns {Promise<void>} - Resolves when the delay ends or is cancelled
+   */
+  waitForRetry(generation, delay) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        generation.pendingRetry = null;
+        resolve();
+      }, delay);
+      generation.pendingRetry = { timer, resolve };
+    });
+  }
+
+  /**
+   * Build the error for a non-2xx response, keeping its status and
+   * Retry-After for the retry policy
+   * @param {Response} response - The failed fetch response
+   * @returns {Promise<Error>} - Error with `status` and `retryAfterMs`
+   */
+  async createHttpError(response) {
+    const errorMessage = await this.getErrorMessage(response);
+    const error = new Error(`HTTP ${response.status}: ${errorMessage}`);
+    error.status = response.status;
+    error.retryAfterMs = RetryPolicy.parseRetryAfter(
+      response.headers.get('retry-after')
+    );
+    return error;
+  }
+
+  /**
+   * Fail fast while the backend's circuit is open
+   * @param {string|null} requestId - Id of the originating request
+   * @throws {CircuitOpenError} - If requests are currently short-circuited
+   */
+  checkCircuit(requestId) {
+    if (this.circuitBreaker.allowsRequests()) {
+      return;
+    }
+
+    const error = new CircuitOpenError(
+      this.displayName,
+      this.circuitBreaker.getState()
+    );
+    this.emit('error', {
+      type: 'circuit-open',
+      error: error.message,
+      retryAt: error.retryAt,
+      requestId: requestId,
+      timestamp: Date.now(),
+    });
+    throw error;
+  }
+
+  /**
+   * Handle a failed attempt: count it against the circuit breaker, then
+   * either wait out the retry delay or throw the error that ends the request
+   * @param {Object} generation - The generation handle
+   * @param {Error} error - Why the attempt failed
+   * @param {number} attempt - How many attempts have failed so far
+   * @param {string} model - The model being requested
+   * @returns {Promise<void>} - Resolves when the next attempt may start
+   */
+  async prepareRetry(generation, error, attempt, model) {
+    // fetch only says "fetch failed"; the cause names the socket error
+    const failure =
+      RetryPolicy.classify(error) === 'unreachable'
+        ? new Error(
+            `${this.displayName} is not reachable: ${error.cause ? error.cause.message : error.message}`
+          )
+        : error;
+
+    if (RetryPolicy.isBackendFailure(error)) {
+      this.circuitBreaker.recordFailure(failure);
+    }
+
+    if (!this.retryPolicy.shouldRetry(error, attempt)) {
+      if (failure !== error) {
+        throw failure;
+      }
+
+      throw attempt > 1
+        ? new Error(`Failed after ${attempt - 1} retries: ${error.message}`)
+        : error;
+    }
+
+    // Repeated failures may have opened the circuit mid-request
+    this.checkCircuit(generation.requestId);
+
+    await this.waitForRetry(
+      generation,
+      this.retryPolicy.getDelay(attempt, error)
+    );
+    if (generation.cancelled) {
+      throw this.handleCancellation(generation, model);
+    }
+  }
+
+  /**
+   * Report a user cancellation and build the error that ends the generation
+   * @param {Object} generation - The generation handle
+   * @param {string} model - The model that was generating
+   * @param {string} partialResponse - Text streamed before cancellation
+   * @returns {Error} - Error flagged with `cancelled` for callers to detect
+   */
+  handleCancellation(generation, model, partialResponse = '') {
+    this.emit('generation-cancelled', {
+      requestId: generation.requestId,
+      model: model,
+      partialResponse: partialResponse,
+      timestamp: Date.now(),
+    });
+
+    const error = new Error('Generation cancelled');
+    error.cancelled = true;
+    error.partialResponse = partialResponse;
+    return error;
+  }
+
+  /**
+   * Abort in-flight requests and stop their pending retries
+   * @param {string} [requestId] - Only cancel this request; all if omitted
+   * @returns {boolean} - Whether a generation was cancelled
+   */
+  cancel(requestId) {
+    let cancelled = false;
+
+    for (const generation of this.activeGenerations) {
+      if (requestId && generation.requestId !== requestId) {
+        continue;
+      }
+
+      generation.cancelled = true;
+      cancelled = true;
+
+      if (generation.controller) {
+        generation.controller.abort();
+      }
+
+      if (generation.pendingRetry) {
+        clearTimeout(generation.pendingRetry.timer);
+        generation.pendingRetry.resolve();
+        generation.pendingRetry = null;
+      }
+    }
+
+    return cancelled;
+  }
+
+  getAvailableModels() {
+    return this.availableModels;
+  }
+
+  getCurrentModel() {
+    return this.currentModel;
+  }
+
+  isModelAvailable(modelName) {
+    return this.availableModels.some(model => model.name === modelName);
+  }
+}
+
+module.exports = BaseAIService;
@@ -0,0 +1,70 @@
+const ProviderRegistry = require('./providerRegistry');
+const OllamaService = require('./ollamaService');
+const GeminiService = require('./geminiService');
+const OpenAICompatibleService = require('./openAICompatibleService');
+const AnthropicService = require('./anthropicService');
+
+/**
+ * Register the AI backends that ship with the app
+ * @param {ProviderRegistry} registry - The registry to populate
+ * @returns {ProviderRegistry} - The same registry
+ */
+function registerBuiltInProviders(registry) {
+  registry.register('ollama', {
+    displayName: 'Ollama',
+    isDefault: true,
+    create: ({ secureStorage, getConfig }) =>
+      new OllamaService(getConfig(), secureStorage),
+    settingsKeys: [
+      'ollamaVisionModel',
+      'ollamaHost',
+      'ollamaAuthType',
+      'ollamaCaFile',
+      'ollamaKeepAlive',
+      'ollamaWarmUp',
+    ],
+    connectionHint: service =>
+      `Please ensure Ollama is running and reachable at ${service.host}, or change the host in settings.`,
+  });
+
+  registry.register('gemini', {
+    displayName: 'Gemini',
+    create: ({ secureStorage }) => new GeminiService(secureStorage),
+    isConfigured: ({ secureStorage }) =>
+      !!secureStorage && secureStorage.hasGeminiApiKey(),
+    connectionHint: 'Please check your API key configuration.',
+    unconfiguredReason: 'Gemini service not initialized (no API key)',
+  });
+
+  registry.register('openai-compatible', {
+    displayName: 'OpenAI-compatible',
+    create: ({ secureStorage, getConfig }) =>
+      new OpenAICompatibleService(secureStorage, getConfig()),
+    isConfigured: ({ getConfig }) => !!getConfig().openAICompatibleBaseUrl,
+    settingsKeys: ['openAICompatibleBaseUrl', 'openAICompatibleModel'],
+    connectionHint: 'Please check the server base URL and API key in settings.',
+    unconfiguredReason: 'OpenAI-compatible server URL is not configured',
+  });
+
+  registry.register('anthropic', {
+    displayName: 'Anthropic',
+    create: ({ secureStorage }) => new AnthropicService(secureStorage),
+    isConfigured: ({ secureStorage }) =>
+      !!secureStorage && secureStorage.hasAnthropicApiKey(),
+    connectionHint: 'Please check your Anthropic API key configuration.',
+    unconfiguredReason: 'Anthropic service not initialized (no API key)',
+  });
+
+  return registry;
+}
+
+/**
+ * Create a registry with all built-in providers registered
+ * @param {Object} context - Shared dependencies (secureStorage, getConfig)
+ * @returns {ProviderRegistry} - The populated registry
+ */
+function createProviderRegistry(context = {}) {
+  return registerBuiltInProviders(new ProviderRegistry(context));
+}
+
+module.exports = { registerBuiltInProviders, createProviderRegistry };
@@ -0,0 +1,138 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Raised instead of calling a backend whose circuit is open.
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} displayName - Backend name for the message
+   * @param {Object} state - The breaker state from getState()
+   */
+  constructor(displayName, state) {
+    const seconds = Math.max(1, Math.ceil((state.retryAt - Date.now()) / 1000));
+    super(
+      `${displayName} is paused after ${state.failures} failed attempts` +
+        `${state.lastError ? ` (${state.lastError})` : ''}; ` +
+        `trying again in ${seconds}s`
+    );
+    this.name = 'CircuitOpenError';
+    this.retryAt = state.retryAt;
+  }
+}
+
+/**
+ * Per-backend circuit breaker.
+ *
+ * 'closed' lets requests through and counts consecutive backend failures.
+ * After `failureThreshold` of them the circuit opens and requests fail
+ * immediately. Once `cooldownMs` has passed it is 'half-open': the next
+ * request is a trial that closes the circuit on success or reopens it on
+ * failure, and other requests are refused while it runs. A trial that never
+ * reports back, because it was cancelled or rejected for its own content,
+ * stops blocking after another `cooldownMs`. 'state-changed' is emitted on
+ * every transition.
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold] - Failures before opening
+   * @param {number} [options.cooldownMs] - How long to stay open
+   */
+  constructor(options = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Whether a request may be sent now; moves an open circuit whose cooldown
+   * has passed to half-open and lets the caller run its trial
+   * @returns {boolean} - False while the circuit is open or a trial is running
+   */
+  allowsRequests() {
+    if (
+      this.state === 'open' &&
+      Date.now() - this.openedAt >= this.cooldownMs
+    ) {
+      this.transition('half-open');
+    }
+
+    if (this.state !== 'half-open') {
+      return this.state === 'closed';
+    }
+
+    if (
+      this.trialStartedAt !== null &&
+      Date.now() - this.trialStartedAt < this.cooldownMs
+    ) {
+      return false;
+    }
+
+    this.trialStartedAt = Date.now();
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.lastError = null;
+    this.trialStartedAt = null;
+
+    if (this.state !== 'closed') {
+      this.openedAt = null;
+      this.transition('closed');
+    }
+  }
+
+  /**
+   * Count a backend failure, opening the circuit when it is one too many
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.trialStartedAt = null;
+
+    if (
+      this.state === 'half-open' ||
+      (this.state === 'closed' && this.failures >= this.failureThreshold)
+    ) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  reset() {
+    this.failures = 0;
+    this.lastError = null;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      openedAt: this.openedAt,
+      retryAt: this.openedAt ? this.openedAt + this.cooldownMs : null,
+      lastError: this.lastError,
+    };
+  }
+
+  transition(state) {
+    this.state = state;
+    this.emit('state-changed', { ...this.getState(), timestamp: Date.now() });
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
@@ -1,5 +1,9 @@
 const { clipboard } = require('electron');
 const EventEmitter = require('events');
+const { createHash } = require('crypto');
+
+// Rows of a clipboard image sampled for its cheap change key
+const IMAGE_SAMPLE_ROWS = 8;
 
 class ClipboardMonitor extends EventEmitter {
   constructor() {
@@ -9,10 +13,16 @@ class ClipboardMonitor extends EventEmitter {
     this.isMonitoring = false;
     this.pollingInterval = null;
     this.previousValue = '';
+    this.previousImageSignature = null;
+    this.imageSignatureCache = null; // {key, signature} of the last image
     this.pollingIntervalMs = 1000; // Default 1 second
     this.lastChangeTime = 0;
     this.minChangeInterval = 500; // Minimum 500ms between changes
 
+    // Images outside these bounds are icons or too big to send
+    this.minImageSize = 16; // pixels on the shorter side
+    this.maxImageBytes = 10 * 1024 * 1024; // 10MB of PNG
+
     // Performance optimization settings
     this.maxRetries = 3;
     this.retryDelay = 1000;
@@ -89,6 +99,9 @@ class ClipboardMonitor extends EventEmitter {
 
       // Get initial clipboard value
       this.previousValue = clipboard.readText() || '';
+      this.previousImageSignature = this.getImageSignature(
+        this.readClipboardImage()
+      );
       this.lastChangeTime = Date.now();
 
       // Start polling
@@ -151,6 +164,8 @@ class ClipboardMonitor extends EventEmitter {
       const finalStatus = this.getStatus();
       this.isMonitoring = false;
       this.previousValue = '';
+      this.previousImageSignature = null;
+      this.imageSignatureCache = null;
 
       console.log('Clipboard monitoring stopped');
 
@@ -214,9 +229,27 @@ class ClipboardMonitor extends EventEmitter {
         pollCount: this.pollCount,
       });
 
-      // Check if value has changed
-      if (currentValue !== this.previousValue) {
+      // Check if value has changed. Blank text isn't analysed, but is
+      // remembered so copying the earlier text again counts as a change.
+      const textChanged =
+        currentValue !== this.previousValue && currentValue.trim() !== '';
+      if (textChanged) {
         this.handleClipboardChange(currentValue, this.previousValue);
+      } else if (currentValue !== this.previousValue) {
+        this.previousValue = currentValue;
+      }
+
+      const image = this.readClipboardImage();
+      const imageSignature = this.getImageSignature(image);
+      if (imageSignature !== this.previousImageSignature) {
+        if (textChanged) {
+          // Rich text copies often carry a rendered image too; the text wins
+          this.previousImageSignature = imageSignature;
+        } else if (image) {
+          this.handleImageChange(image, imageSignature);
+        } else {
+          this.previousImageSignature = null;
+        }
       }
 
       // Reset retry count on successful poll
@@ -461,6 +494,141 @@ class ClipboardMonitor extends EventEmitter {
     }, this.debounceDelay);
   }
 
+  /**
+   * Read the clipboard image, if the clipboard holds one
+   * @returns {NativeImage|null} - The image, or null for non-image content
+   */
+  readClipboardImage() {
+    // Skip decoding entirely unless an image format is on offer
+    const formats = clipboard.availableFormats();
+    if (!formats.some(format => format.startsWith('image/'))) {
+      return null;
+    }
+
+    const image = clipboard.readImage();
+    return image.isEmpty() ? null : image;
+  }
+
+  /**
+   * Identify an image by its pixels, so re-reading the same clipboard
+   * image isn't reported as a change. Hashing a whole screenshot is tens of
+   * MB of work, so it is only done when the image's cheap key changes.
+   * @param {NativeImage|null} image - The clipboard image
+   * @returns {string|null} - SHA-1 of the bitmap, or null without an image
+   */
+  getImageSignature(image) {
+    if (!image) {
+      return null;
+    }
+
+    const key = this.getImageKey(image);
+    if (!this.imageSignatureCache || this.imageSignatureCache.key !== key) {
+      this.imageSignatureCache = {
+        key: key,
+        signature: createHash('sha1').update(image.toBitmap()).digest('hex'),
+      };
+    }
+    return this.imageSignatureCache.signature;
+  }
+
+  /**
+   * Cheap key for an image: its size and a few evenly spaced pixel rows
+   * @param {NativeImage} image - The clipboard image
+   * @returns {string} - Key that changes with the size or sampled rows
+   */
+  getImageKey(image) {
+    const { width, height } = image.getSize();
+    const hash = createHash('sha1').update(`${width}x${height}`);
+
+    for (let row = 1; row <= IMAGE_SAMPLE_ROWS; row++) {
+      const y = Math.floor((height * row) / (IMAGE_SAMPLE_ROWS + 1));
+      hash.update(
+        image.crop({ x: 0, y: y, width: width, height: 1 }).toBitmap()
+      );
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Handle a new image on the clipboard
+   * @param {NativeImage} image - The clipboard image
+   * @param {string} signature - Its signature from getImageSignature()
+   */
+  handleImageChange(image, signature) {
+    const now = Date.now();
+
+    // Prevent rapid-fire changes
+    if (now - this.lastChangeTime < this.minChangeInterval) {
+      console.log('Clipboard image change ignored (too frequent)');
+      return;
+    }
+
+    const { width, height } = image.getSize();
+    const png = image.toPNG();
+
+    if (Math.min(width, height) < this.minImageSize) {
+      console.log(`Clipboard image ignored (${width}x${height} is too small)`);
+      this.previousImageSignature = signature;
+      return;
+    }
+
+    if (png.length > this.maxImageBytes) {
+      console.log(
+        `Clipboard image ignored (${png.length} bytes exceeds ${this.maxImageBytes})`
+      );
+      this.previousImageSignature = signature;
+      return;
+    }
+
+    // Clear existing debounce timer
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+    }
+
+    this.debounceTimer = setTimeout(() => {
+      const oldValue = this.previousValue;
+
+      // Copying the earlier text again after an image is a new change
+      this.previousValue = '';
+      this.previousImageSignature = signature;
+      this.lastChangeTime = now;
+      this.changeCount++;
+      this.adaptivePolling.changeHistory.push(now);
+
+      const changeEvent = {
+        newValue: '',
+        oldValue: oldValue,
+        timestamp: now,
+        isEmpty: false,
+        length: png.length,
+        type: 'image',
+        isSignificant: true,
+        image: {
+          data: png,
+          mimeType: 'image/png',
+          width: width,
+          height: height,
+          signature: signature,
+        },
+        performance: {
+          pollCount: this.pollCount,
+          changeCount: this.changeCount,
+          averagePollTime: this.performanceMetrics.averagePollTime,
+        },
+      };
+
+      console.log('Clipboard image detected:', {
+        width: width,
+        height: height,
+        bytes: png.length,
+        timestamp: new Date(now).toISOString(),
+      });
+
+      this.emit('clipboard-changed', changeEvent);
+    }, this.debounceDelay);
+  }
+
   /**
    * Validate if a clipboard change should be processed
    * @param {string} newValue - New clipboard content
@@ -700,7 +868,8 @@ class ClipboardMonitor extends EventEmitter {
         'Emitted when trying to start already active monitoring',
       'monitoring-not-active':
         'Emitted when trying to stop inactive monitoring',
-      'clipboard-changed': 'Emitted when clipboard content changes',
+      'clipboard-changed':
+        "Emitted when clipboard content changes; images have type 'image'",
       'clipboard-cleared': 'Emitted when clipboard is cleared',
       polling: 'Emitted on each polling cycle (for debugging)',
       error: 'Emitted when any error occurs',
@@ -0,0 +1,142 @@
+const Store = require('electron-store').default;
+const { EventEmitter } = require('events');
+
+/**
+ * Persistent record of compare-mode runs and which answer the user
+ * preferred.
+ *
+ * Each entry holds the latency and token counts of both lanes and, once the
+ * user picks one, the index of the preferred lane. The summary tallies how
+ * often each backend/model pair was compared and preferred, which is what
+ * the settings window shows when deciding between a local model and a
+ * cloud one.
+ */
+class ComparisonLog extends EventEmitter {
+  /**
+   * @param {Object} [options] - Log options
+   * @param {Object} [options.store] - electron-store compatible store
+   * @param {number} [options.maxEntries] - Upper bound on stored entries
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || new Store({ name: 'comparisons' });
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = this.store.get('entries', []);
+  }
+
+  /**
+   * Record a finished comparison
+   * @param {Object} comparison - What was compared
+   * @param {string} comparison.requestId - Id of the originating request
+   * @param {Array<Object>} comparison.lanes - {backend, model, usage,
+   * latencyMs, failed} per lane
+   * @returns {Object} - The stored entry
+   */
+  record({ requestId, lanes }) {
+    const entry = {
+      timestamp: Date.now(),
+      requestId: requestId,
+      lanes: lanes.map(lane => ({
+        backend: lane.backend,
+        model: lane.model || null,
+        inputTokens: (lane.usage && lane.usage.inputTokens) ?? null,
+        outputTokens: (lane.usage && lane.usage.outputTokens) ?? null,
+        latencyMs: lane.latencyMs,
+        failed: !!lane.failed,
+      })),
+      preferred: null,
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries = this.entries.slice(-this.maxEntries);
+    }
+    this.save();
+
+    return entry;
+  }
+
+  /**
+   * Mark the answer the user preferred; choosing again replaces the choice.
+   * A lane that failed can't be preferred.
+   * @param {string} requestId - The comparison's request id
+   * @param {number} lane - Index of the preferred lane
+   * @returns {Object|null} - The updated entry, or null if it is unknown
+   */
+  prefer(requestId, lane) {
+    const entry = this.entries.find(e => e.requestId === requestId);
+    if (!entry || !entry.lanes[lane] || entry.lanes[lane].failed) {
+      return null;
+    }
+
+    entry.preferred = lane;
+    this.save();
+
+    this.emit('preference-recorded', {
+      requestId,
+      lane,
+      timestamp: Date.now(),
+    });
+    return entry;
+  }
+
+  save() {
+    try {
+      this.store.set('entries', this.entries);
+    } catch (error) {
+      console.error('Failed to persist comparison log:', error);
+    }
+  }
+
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+
+  /**
+   * Tally answered comparisons per backend/model pair
+   * @returns {Object} - {comparisons, rated, models: [{backend, model,
+   * compared, preferred, averageLatencyMs}]}, most preferred first
+   */
+  getSummary() {
+    const models = new Map();
+
+    for (const entry of this.entries) {
+      entry.lanes.forEach((lane, index) => {
+        // Failed lanes gave nothing to compare
+        if (lane.failed) {
+          return;
+        }
+
+        const key = `${lane.backend}/${lane.model}`;
+        const total = models.get(key) || {
+          backend: lane.backend,
+          model: lane.model,
+          compared: 0,
+          preferred: 0,
+          totalLatencyMs: 0,
+          averageLatencyMs: 0,
+        };
+
+        total.compared += 1;
+        total.preferred += entry.preferred === index ? 1 : 0;
+        total.totalLatencyMs += lane.latencyMs || 0;
+        total.averageLatencyMs = Math.round(
+          total.totalLatencyMs / total.compared
+        );
+
+        models.set(key, total);
+      });
+    }
+
+    return {
+      comparisons: this.entries.length,
+      rated: this.entries.filter(entry => entry.preferred !== null).length,
+      models: Array.from(models.values()).sort(
+        (a, b) => b.preferred - a.preferred
+      ),
+    };
+  }
+}
+
+module.exports = ComparisonLog;
@@ -0,0 +1,175 @@
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+
+// Rough characters-per-token ratio used to size history without a tokenizer
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Keeps the message history of each conversation thread.
+ *
+ * A clipboard analysis starts a new thread; questions typed in the overlay
+ * continue the current one, so follow-ups can refer to what was analysed.
+ * History is stored as completed user/assistant exchanges and trimmed to a
+ * token budget when it is read back for a request.
+ */
+class ConversationManager extends EventEmitter {
+  /**
+   * @param {Object} [options] - Retention limits
+   * @param {number} [options.maxThreads] - Threads kept before the oldest is dropped
+   */
+  constructor(options = {}) {
+    super();
+    this.maxThreads = options.maxThreads || 20;
+    this.threads = new Map();
+    this.currentThreadId = null;
+  }
+
+  /**
+   * Estimate how many tokens a piece of text will use
+   * @param {string} text - The text to measure
+   * @returns {number} - Approximate token count
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Start a new thread and make it the current one
+   * @param {string} source - What started the thread ('clipboard' or 'question')
+   * @returns {Object} - The new thread
+   */
+  startThread(source) {
+    const timestamp = Date.now();
+    const thread = {
+      id: randomUUID(),
+      source: source,
+      messages: [],
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+
+    this.threads.set(thread.id, thread);
+    this.currentThreadId = thread.id;
+
+    // Maps iterate in insertion order, so the first key is the oldest thread
+    while (this.threads.size > this.maxThreads) {
+      this.threads.delete(this.threads.keys().next().value);
+    }
+
+    this.emit('thread-started', {
+      threadId: thread.id,
+      source: source,
+      timestamp: timestamp,
+    });
+
+    return thread;
+  }
+
+  getThread(threadId) {
+    return this.threads.get(threadId) || null;
+  }
+
+  getCurrentThread() {
+    return this.getThread(this.currentThreadId);
+  }
+
+  /**
+   * Record a completed exchange in a thread
+   * @param {string} threadId - The thread to append to
+   * @param {string} prompt - The user message that was sent
+   * @param {string} response - The assistant's reply
+   */
+  addExchange(threadId, prompt, response) {
+    const thread = this.getThread(threadId);
+    if (!thread) {
+      // The thread was pruned while the request was running
+      console.warn(`Conversation thread ${threadId} no longer exists`);
+      return;
+    }
+
+    const timestamp = Date.now();
+    thread.messages.push(
+      { role: 'user', content: prompt, timestamp: timestamp },
+      { role: 'assistant', content: response, timestamp: timestamp }
+    );
+    thread.updatedAt = timestamp;
+
+    this.emit('exchange-added', {
+      threadId: threadId,
+      turns: thread.messages.length / 2,
+      timestamp: timestamp,
+    });
+  }
+
+  /**
+   * Get a thread's history trimmed to fit a token budget. The opening
+   * exchange holds the content follow-ups refer to, so it is kept as long as
+   * it fits; later exchanges are dropped oldest first.
+   * @param {string} threadId - The thread to read
+   * @param {number} maxTokens - Tokens available for history
+   * @returns {Array<Object>} - {role, content} messages, oldest first
+   */
+  getHistory(threadId, maxTokens) {
+    const thread = this.getThread(threadId);
+    if (!thread || thread.messages.length === 0) {
+      return [];
+    }
+
+    const exchanges = [];
+    for (let i = 0; i < thread.messages.length; i += 2) {
+      exchanges.push(thread.messages.slice(i, i + 2));
+    }
+
+    const countTokens = exchange =>
+      exchange.reduce(
+        (total, message) =>
+          total + ConversationManager.estimateTokens(message.content),
+        0
+      );
+
+    const [opening, ...followUps] = exchanges;
+    const openingTokens = countTokens(opening);
+    const keepOpening = openingTokens <= maxTokens;
+    let usedTokens = keepOpening ? openingTokens : 0;
+    const kept = [];
+
+    for (let i = followUps.length - 1; i >= 0; i--) {
+      const tokens = countTokens(followUps[i]);
+      if (usedTokens + tokens > maxTokens) {
+        break;
+      }
+      kept.unshift(followUps[i]);
+      usedTokens += tokens;
+    }
+
+    const selected = keepOpening ? [opening, ...kept] : kept;
+    const dropped = exchanges.length - selected.length;
+
+    if (dropped > 0) {
+      console.log(
+        `Trimmed ${dropped} exchange(s) from conversation ${threadId} to fit ${maxTokens} tokens`
+      );
+      this.emit('history-trimmed', {
+        threadId: threadId,
+        dropped: dropped,
+        timestamp: Date.now(),
+      });
+    }
+
+    return selected
+      .flat()
+      .map(message => ({ role: message.role, content: message.content }));
+  }
+
+  /**
+   * Forget the current thread so the next question starts a new one
+   */
+  clearCurrentThread() {
+    if (this.currentThreadId) {
+      this.threads.delete(this.currentThreadId);
+      this.currentThreadId = null;
+    }
+  }
+}
+
+module.exports = ConversationManager;
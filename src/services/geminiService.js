@@ -1,45 +1,25 @@
-const { EventEmitter } = require('events');
-const SecureStorageService = require('./secureStorage');
-
-class GeminiService extends EventEmitter {
+const { randomUUID } = require('crypto');
+const BaseAIService = require('./baseAIService');
+const RetryPolicy = require('./retryPolicy');
+const { readSSE, parseEventData, StreamParseError } = require('./streamParser');
+const { toGeminiSchema } = require('./structuredOutput');
+const { httpFetch } = require('./httpClient');
+
+class GeminiService extends BaseAIService {
   constructor(secureStorageService = null) {
-    super();
+    super('gemini', 'Gemini');
 
     // API Configuration
     this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
-    this.defaultModel = 'gemini-1.5-flash-002'; // Fast model for better UX
+    this.defaultModel = 'gemini-2.5-flash'; // Fast model for better UX
     this.currentModel = this.defaultModel;
     this.secureStorage = secureStorageService;
     this.apiKey = null; // Will be loaded from secure storage
     this.isConnected = false;
     this.requestTimeout = 60000; // 60 seconds
-    this.maxRetries = 3;
-    this.retryDelay = 1000; // 1 second base delay
-
-    // Available models (we'll populate this dynamically)
-    this.availableModels = [
-      {
-        name: 'gemini-1.5-flash-002',
-        displayName: 'Gemini 1.5 Flash',
-        description: 'Fast, efficient model for quick responses',
-        contextWindow: '1M tokens',
-        multimodal: true,
-      },
-      {
-        name: 'gemini-1.5-pro-latest',
-        displayName: 'Gemini 1.5 Pro',
-        description: 'General-purpose model with advanced capabilities',
-        contextWindow: '1M tokens',
-        multimodal: true,
-      },
-      {
-        name: 'gemini-2.0-flash-live-preview-04-09',
-        displayName: 'Gemini 2.0 Flash',
-        description: 'Latest model with agentic features',
-        contextWindow: '1M tokens',
-        multimodal: true,
-      },
-    ];
+    this.contextWindow = 1048576; // Used until the model list reports limits
+    this.modelCacheTtl = 60 * 60 * 1000; // Refresh the model list hourly
+    this.modelsFetchedAt = 0;
   }
 
   async initialize() {
@@ -75,6 +55,8 @@ class GeminiService extends EventEmitter {
         throw new Error('Failed to connect to Gemini API');
       }
 
+      await this.loadAvailableModels({ force: true });
+
       this.isConnected = true;
 
       this.emit('initialized', {
@@ -175,7 +157,7 @@ class GeminiService extends EventEmitter {
 
   async checkConnection() {
     try {
-      const response = await fetch(`${this.baseUrl}/models`, {
+      const response = await httpFetch(`${this.baseUrl}/models`, {
         method: 'GET',
         headers: {
           'X-goog-api-key': this.apiKey,
@@ -204,6 +186,149 @@ class GeminiService extends EventEmitter {
     }
   }
 
+  /**
+   * Fetch the models that support generateContent, reusing the cached list
+   * until it is older than modelCacheTtl
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.force] - Ignore the cache
+   * @returns {Promise<Array>} - Models with their token limits
+   */
+  async loadAvailableModels({ force = false } = {}) {
+    const isFresh =
+      this.availableModels.length > 0 &&
+      Date.now() - this.modelsFetchedAt < this.modelCacheTtl;
+    if (isFresh && !force) {
+      return this.availableModels;
+    }
+
+    try {
+      const models = [];
+      let pageToken = null;
+
+      do {
+        const url = new URL(`${this.baseUrl}/models`);
+        url.searchParams.set('pageSize', '1000');
+        if (pageToken) {
+          url.searchParams.set('pageToken', pageToken);
+        }
+
+        const response = await httpFetch(url, {
+          method: 'GET',
+          headers: {
+            'X-goog-api-key': this.apiKey,
+            'Content-Type': 'application/json',
+          },
+          signal: AbortSignal.timeout(this.requestTimeout),
+        });
+
+        if (!response.ok) {
+          const errorMessage = await this.getErrorMessage(response);
+          throw new Error(`HTTP ${response.status}: ${errorMessage}`);
+        }
+
+        const data = await response.json();
+        models.push(...(data.models || []));
+        pageToken = data.nextPageToken || null;
+      } while (pageToken);
+
+      // Embedding and other special-purpose models can't answer prompts
+      this.availableModels = models
+        .filter(model =>
+          (model.supportedGenerationMethods || []).includes('generateContent')
+        )
+        .map(model => ({
+          name: model.name.replace(/^models\//, ''),
+          displayName: model.displayName || model.name,
+          description: model.description || '',
+          inputTokenLimit: model.inputTokenLimit || null,
+          outputTokenLimit: model.outputTokenLimit || null,
+          supportsStreaming: (model.supportedGenerationMethods || []).includes(
+            'streamGenerateContent'
+          ),
+        }));
+      this.modelsFetchedAt = Date.now();
+
+      this.selectAvailableModel();
+
+      this.emit('models-loaded', {
+        models: this.availableModels,
+        count: this.availableModels.length,
+        timestamp: Date.now(),
+      });
+
+      return this.availableModels;
+    } catch (error) {
+      this.emit('error', {
+        type: 'models-load-failed',
+        error: error.message,
+        timestamp: Date.now(),
+      });
+
+      // A stale list is still better than none
+      if (this.availableModels.length > 0) {
+        return this.availableModels;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move off the current model if Google no longer serves it, preferring
+   * the default and then any Flash model
+   */
+  selectAvailableModel() {
+    if (
+      this.availableModels.length === 0 ||
+      this.isModelAvailable(this.currentModel)
+    ) {
+      return;
+    }
+
+    const replacement =
+      this.availableModels.find(m => m.name === this.defaultModel) ||
+      this.availableModels.find(m => m.name.includes('flash')) ||
+      this.availableModels[0];
+
+    console.warn(
+      `Gemini model '${this.currentModel}' is not available, using '${replacement.name}'`
+    );
+    this.setModel(replacement.name);
+  }
+
+  async listModels() {
+    return this.loadAvailableModels();
+  }
+
+  /**
+   * Use the current model's reported input limit as its context window
+   * @returns {number} - Context window size in tokens
+   */
+  getContextWindow() {
+    const model = this.availableModels.find(m => m.name === this.currentModel);
+    return (model && model.inputTokenLimit) || this.contextWindow;
+  }
+
+  async applySettings(config = {}) {
+    // The settings model picker names a model for the selected backend
+    if (
+      config.backend === this.id &&
+      config.modelName &&
+      config.modelName !== this.currentModel &&
+      this.isModelAvailable(config.modelName)
+    ) {
+      this.setModel(config.modelName);
+    }
+  }
+
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      multimodal: true,
+      toolCalling: true,
+      requiresApiKey: true,
+    };
+  }
+
   setModel(modelName) {
     const model = this.availableModels.find(m => m.name === modelName);
     if (!model) {
@@ -225,14 +350,25 @@ class GeminiService extends EventEmitter {
       maxTokens = 1024,
       topP = 0.9,
       topK = 40,
+      stopSequences = [],
+      safetySettings = {},
+      systemInstruction = '',
+      responseSchema = null,
       stream = true,
+      history = [],
+      images = [],
+      tools = [],
+      toolMessages = [],
+      requestId = null,
     } = options;
+    const model = options.model || this.currentModel;
 
     if (!this.isConnected) {
       const error = new Error('Gemini service not connected');
       this.emit('error', {
         type: 'service-not-connected',
         error: error.message,
+        requestId: requestId,
         timestamp: Date.now(),
       });
       throw error;
@@ -243,18 +379,59 @@ class GeminiService extends EventEmitter {
       this.emit('error', {
         type: 'invalid-prompt',
         error: error.message,
+        requestId: requestId,
         timestamp: Date.now(),
       });
       throw error;
     }
 
+    // Gemini calls the assistant role 'model'
+    const contents = this.buildMessages(prompt, history).map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }],
+    }));
+
+    // Images travel inline with the new user turn
+    contents[contents.length - 1].parts.push(
+      ...images.map(image => ({
+        inline_data: { mime_type: image.mimeType, data: image.data },
+      }))
+    );
+
+    // Earlier rounds of a tool-calling loop follow the prompt; the results
+    // of one round's calls share a single turn
+    for (const message of toolMessages) {
+      const last = contents[contents.length - 1];
+
+      if (message.role === 'tool') {
+        const part = {
+          functionResponse: {
+            name: message.name,
+            response: { result: message.content },
+          },
+        };
+        if (last.role === 'user' && last.parts[0].functionResponse) {
+          last.parts.push(part);
+        } else {
+          contents.push({ role: 'user', parts: [part] });
+        }
+      } else {
+        contents.push({
+          role: 'model',
+          parts: [
+            ...(message.content ? [{ text: message.content }] : []),
+            ...message.toolCalls.map(call => ({
+              functionCall: { name: call.name, args: call.arguments },
+              // Thinking models need their signature back with the call
+              ...(call.signature && { thoughtSignature: call.signature }),
+            })),
+          ],
+        });
+      }
+    }
+
     const requestBody = {
-      contents: [
-        {
-          role: 'user',
-          parts: [{ text: prompt }],
-        },
-      ],
+      contents: contents,
       generationConfig: {
         temperature: temperature,
         topP: topP,
@@ -263,247 +440,291 @@ class GeminiService extends EventEmitter {
       },
     };
 
+    if (stopSequences.length > 0) {
+      requestBody.generationConfig.stopSequences = stopSequences;
+    }
+
+    if (responseSchema) {
+      requestBody.generationConfig.responseMimeType = 'application/json';
+      requestBody.generationConfig.responseSchema =
+        toGeminiSchema(responseSchema);
+    }
+
+    if (tools.length > 0) {
+      requestBody.tools = [
+        {
+          functionDeclarations: tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            parameters: toGeminiSchema(tool.parameters),
+          })),
+        },
+      ];
+    }
+
+    if (systemInstruction) {
+      requestBody.system_instruction = { parts: [{ text: systemInstruction }] };
+    }
+
+    // Categories without a threshold keep Gemini's default blocking
+    const safety = Object.entries(safetySettings).map(
+      ([category, threshold]) => ({ category, threshold })
+    );
+    if (safety.length > 0) {
+      requestBody.safetySettings = safety;
+    }
+
+    this.checkCircuit(requestId);
+
+    const generation = this.beginGeneration(requestId);
+
     this.emit('generation-started', {
-      model: this.currentModel,
+      model: model,
       prompt: prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''),
       options: options,
+      requestId: requestId,
       timestamp: Date.now(),
     });
 
     let retryCount = 0;
-    const maxRetries = this.maxRetries;
+    let response;
 
-    while (retryCount <= maxRetries) {
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(
-          () => controller.abort(),
-          this.requestTimeout
-        );
+    try {
+      while (!response) {
+        const controller = this.createRequestController(generation);
 
-        const endpoint = stream
-          ? `${this.baseUrl}/models/${this.currentModel}:streamGenerateContent`
-          : `${this.baseUrl}/models/${this.currentModel}:generateContent`;
+        try {
+          const timeoutId = setTimeout(
+            () => controller.abort(),
+            this.requestTimeout
+          );
 
-        const response = await fetch(endpoint, {
-          method: 'POST',
-          headers: {
-            'X-goog-api-key': this.apiKey,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(requestBody),
-          signal: controller.signal,
-        });
+          const endpoint = stream
+            ? `${this.baseUrl}/models/${model}:streamGenerateContent?alt=sse`
+            : `${this.baseUrl}/models/${model}:generateContent`;
+
+          const attempt = await httpFetch(endpoint, {
+            method: 'POST',
+            headers: {
+              'X-goog-api-key': this.apiKey,
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(requestBody),
+            signal: controller.signal,
+          });
 
-        clearTimeout(timeoutId);
+          clearTimeout(timeoutId);
 
-        if (!response.ok) {
-          const errorMessage = await this.getErrorMessage(response);
-          throw new Error(`HTTP ${response.status}: ${errorMessage}`);
-        }
+          if (!attempt.ok) {
+            throw await this.createHttpError(attempt);
+          }
 
-        if (stream) {
-          return this.handleStreamingResponse(response);
-        } else {
-          return this.handleNonStreamingResponse(response);
-        }
-      } catch (error) {
-        retryCount++;
-
-        if (error.name === 'AbortError') {
-          this.emit('error', {
-            type: 'timeout',
-            error: `Request timed out after ${this.requestTimeout}ms`,
-            model: this.currentModel,
-            retryCount: retryCount,
-            timestamp: Date.now(),
-          });
-        } else if (error.message.includes('HTTP 401')) {
-          this.emit('error', {
-            type: 'invalid-api-key',
-            error: 'Invalid API key provided',
-            model: this.currentModel,
-            timestamp: Date.now(),
-          });
-          throw error; // Don't retry for invalid API key
-        } else if (error.message.includes('HTTP 429')) {
-          this.emit('error', {
-            type: 'rate-limited',
-            error: 'Rate limit exceeded',
-            model: this.currentModel,
-            retryCount: retryCount,
-            timestamp: Date.now(),
-          });
-        } else if (error.message.includes('HTTP 400')) {
-          this.emit('error', {
-            type: 'invalid-request',
-            error: 'Invalid request parameters',
-            model: this.currentModel,
-            timestamp: Date.now(),
-          });
-          throw error; // Don't retry for invalid requests
-        } else {
-          this.emit('error', {
-            type: 'generation-failed',
-            error: error.message,
-            model: this.currentModel,
-            retryCount: retryCount,
-            timestamp: Date.now(),
-          });
-        }
+          response = attempt;
+          this.circuitBreaker.recordSuccess();
+        } catch (error) {
+          // A user cancellation aborts the request; it is not a failure
+          if (generation.cancelled) {
+            throw this.handleCancellation(generation, model);
+          }
 
-        if (retryCount > maxRetries) {
-          throw new Error(
-            `Failed after ${maxRetries} retries: ${error.message}`
-          );
-        }
+          retryCount++;
+
+          if (error.name === 'AbortError') {
+            this.emit('error', {
+              type: 'timeout',
+              error: `Request timed out after ${this.requestTimeout}ms`,
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else if (RetryPolicy.classify(error) === 'unreachable') {
+            this.emit('error', {
+              type: 'service-unreachable',
+              error: `${this.displayName} is not reachable at ${this.baseUrl}`,
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else if (error.message.includes('HTTP 401')) {
+            this.emit('error', {
+              type: 'invalid-api-key',
+              error: 'Invalid API key provided',
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+            throw error; // Don't retry for invalid API key
+          } else if (error.message.includes('HTTP 429')) {
+            this.emit('error', {
+              type: 'rate-limited',
+              error: 'Rate limit exceeded',
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else if (error.message.includes('HTTP 400')) {
+            this.emit('error', {
+              type: 'invalid-request',
+              error: 'Invalid request parameters',
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+            throw error; // Don't retry for invalid requests
+          } else {
+            this.emit('error', {
+              type: 'generation-failed',
+              error: error.message,
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          }
 
-        const delay = this.retryDelay * Math.pow(2, retryCount - 1);
-        await new Promise(resolve => setTimeout(resolve, delay));
+          await this.prepareRetry(generation, error, retryCount, model);
+        }
       }
+
+      return stream
+        ? await this.handleStreamingResponse(response, model, generation)
+        : await this.handleNonStreamingResponse(response, model, generation);
+    } finally {
+      this.endGeneration(generation);
     }
   }
 
-  async handleStreamingResponse(response) {
+  async handleStreamingResponse(response, model, generation) {
+    let fullResponse = '';
+    const toolCalls = [];
+
     try {
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      let fullResponse = '';
+      let usage = this.createUsage();
 
-      while (true) {
-        const { done, value } = await reader.read();
+      // With alt=sse every event carries one GenerateContentResponse
+      for await (const event of readSSE(response.body)) {
+        const data = parseEventData(event);
 
-        if (done) {
-          break;
+        if (data.error) {
+          throw new Error(data.error.message || 'Gemini stream error');
         }
 
-        buffer += decoder.decode(value, { stream: true });
-
-        // Parse multiple JSON objects separated by commas
-        const jsonObjects = this.parseStreamingJSON(buffer);
-
-        for (const data of jsonObjects) {
-          if (
-            data.candidates &&
-            data.candidates[0] &&
-            data.candidates[0].content
-          ) {
-            const content = data.candidates[0].content.parts[0].text;
-            if (content) {
-              fullResponse += content;
-              this.emit('token-received', {
-                token: content,
-                model: this.currentModel,
-                timestamp: Date.now(),
-              });
-            }
-          }
+        // Each chunk carries the running totals so far
+        if (data.usageMetadata) {
+          usage = this.createUsageFromMetadata(data.usageMetadata);
+        }
+
+        const candidate = data.candidates && data.candidates[0];
+        const parts =
+          (candidate && candidate.content && candidate.content.parts) || [];
+        const content = parts
+          .filter(part => part.text)
+          .map(part => part.text)
+          .join('');
+        toolCalls.push(...this.parseToolCalls(parts));
+
+        if (content) {
+          fullResponse += content;
+          this.emit('token-received', {
+            token: content,
+            model: model,
+            requestId: generation.requestId,
+            timestamp: Date.now(),
+          });
+        }
 
-          // Check if generation is complete
-          if (
-            data.candidates &&
-            data.candidates[0] &&
-            data.candidates[0].finishReason
-          ) {
+        // Check if generation is complete; a round that asks for tools
+        // isn't the answer yet
+        if (candidate && candidate.finishReason) {
+          if (toolCalls.length === 0) {
             this.emit('generation-completed', {
               fullResponse: fullResponse,
-              model: this.currentModel,
-              finishReason: data.candidates[0].finishReason,
+              model: model,
+              finishReason: candidate.finishReason,
+              usage: usage,
+              requestId: generation.requestId,
               timestamp: Date.now(),
             });
-            return {
-              response: fullResponse,
-              isComplete: true,
-              model: this.currentModel,
-            };
           }
+          return {
+            response: fullResponse,
+            isComplete: true,
+            model: model,
+            usage: usage,
+            toolCalls: toolCalls,
+          };
         }
       }
 
       return {
         response: fullResponse,
         isComplete: true,
-        model: this.currentModel,
+        model: model,
+        usage: usage,
+        toolCalls: toolCalls,
       };
     } catch (error) {
+      if (generation.cancelled) {
+        throw this.handleCancellation(generation, model, fullResponse);
+      }
+
       this.emit('error', {
-        type: 'streaming-failed',
+        type:
+          error instanceof StreamParseError
+            ? 'malformed-stream'
+            : 'streaming-failed',
         error: error.message,
+        requestId: generation.requestId,
         timestamp: Date.now(),
       });
       throw error;
     }
   }
 
-  parseStreamingJSON(buffer) {
-    const objects = [];
-    let currentObject = '';
-    let braceCount = 0;
-    let inString = false;
-    let escapeNext = false;
-
-    for (let i = 0; i < buffer.length; i++) {
-      const char = buffer[i];
-
-      if (escapeNext) {
-        currentObject += char;
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === '\\') {
-        escapeNext = true;
-        currentObject += char;
-        continue;
-      }
-
-      if (char === '"' && !escapeNext) {
-        inString = !inString;
-      }
-
-      if (!inString) {
-        if (char === '{') {
-          braceCount++;
-        } else if (char === '}') {
-          braceCount--;
-        }
-      }
-
-      currentObject += char;
-
-      if (braceCount === 0 && currentObject.trim()) {
-        try {
-          const parsed = JSON.parse(currentObject.trim());
-          objects.push(parsed);
-        } catch (e) {
-          // Skip malformed JSON
-        }
-        currentObject = '';
-      }
-    }
-
-    return objects;
+  /**
+   * Convert Gemini's usageMetadata into the shared usage shape
+   * @param {Object} [usageMetadata] - usageMetadata from a response
+   * @returns {Object} - {inputTokens, outputTokens}
+   */
+  createUsageFromMetadata(usageMetadata = {}) {
+    return this.createUsage(
+      usageMetadata.promptTokenCount,
+      usageMetadata.candidatesTokenCount
+    );
   }
 
-  async handleNonStreamingResponse(response) {
+  async handleNonStreamingResponse(response, model, generation) {
     try {
       const data = await response.json();
 
       if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-        const fullResponse = data.candidates[0].content.parts[0].text;
-
-        this.emit('generation-completed', {
-          fullResponse: fullResponse,
-          model: this.currentModel,
-          finishReason: data.candidates[0].finishReason,
-          timestamp: Date.now(),
-        });
+        const parts = data.candidates[0].content.parts || [];
+        const fullResponse = parts
+          .filter(part => part.text)
+          .map(part => part.text)
+          .join('');
+        const usage = this.createUsageFromMetadata(data.usageMetadata);
+        const toolCalls = this.parseToolCalls(parts);
+
+        if (toolCalls.length === 0) {
+          this.emit('generation-completed', {
+            fullResponse: fullResponse,
+            model: model,
+            finishReason: data.candidates[0].finishReason,
+            usage: usage,
+            requestId: generation.requestId,
+            timestamp: Date.now(),
+          });
+        }
 
         return {
           response: fullResponse,
           isComplete: true,
-          model: this.currentModel,
+          model: model,
+          usage: usage,
+          toolCalls: toolCalls,
         };
       } else {
         throw new Error('Invalid response format from Gemini API');
@@ -512,15 +733,38 @@ class GeminiService extends EventEmitter {
       this.emit('error', {
         type: 'response-parsing-failed',
         error: error.message,
+        requestId: generation.requestId,
         timestamp: Date.now(),
       });
       throw error;
     }
   }
 
+  /**
+   * Pick the function calls out of a response's parts
+   * @param {Array<Object>} parts - candidate.content.parts
+   * @returns {Array<Object>} - {id, name, arguments, signature} tool calls
+   */
+  parseToolCalls(parts) {
+    return parts
+      .filter(part => part.functionCall)
+      .map(part => ({
+        id: part.functionCall.id || `call_${randomUUID()}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {},
+        signature: part.thoughtSignature,
+      }));
+  }
+
   async validateModel(modelName) {
     try {
-      const response = await fetch(`${this.baseUrl}/models/${modelName}`, {
+      await this.loadAvailableModels();
+      if (this.isModelAvailable(modelName)) {
+        return true;
+      }
+
+      // Models missing from a cached list may have been released since
+      const response = await httpFetch(`${this.baseUrl}/models/${modelName}`, {
         method: 'GET',
         headers: {
           'X-goog-api-key': this.apiKey,
@@ -529,6 +773,9 @@ class GeminiService extends EventEmitter {
         signal: AbortSignal.timeout(this.requestTimeout),
       });
 
+      if (response.ok) {
+        await this.loadAvailableModels({ force: true });
+      }
       return response.ok;
     } catch (error) {
       console.error('Model validation failed:', error);
@@ -542,21 +789,10 @@ class GeminiService extends EventEmitter {
       model: this.currentModel,
       availableModels: this.availableModels,
       apiKeyConfigured: !!this.apiKey,
+      circuit: this.circuitBreaker.getState(),
     };
   }
 
-  getAvailableModels() {
-    return this.availableModels;
-  }
-
-  getCurrentModel() {
-    return this.currentModel;
-  }
-
-  isModelAvailable(modelName) {
-    return this.availableModels.some(model => model.name === modelName);
-  }
-
   async healthCheck() {
     try {
       await this.checkConnection();
@@ -0,0 +1,102 @@
+// Gemini harm categories that accept a blocking threshold
+const SAFETY_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+];
+
+const SAFETY_THRESHOLDS = [
+  'BLOCK_NONE',
+  'BLOCK_ONLY_HIGH',
+  'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_LOW_AND_ABOVE',
+];
+
+// Numeric fields: [min, max, integer]
+const NUMBER_FIELDS = {
+  temperature: [0, 2, false],
+  topP: [0, 1, false],
+  topK: [1, 1000, true],
+  maxTokens: [1, 1000000, true],
+  repeatPenalty: [0, 10, false],
+  numCtx: [256, 1048576, true],
+  seed: [-2147483648, 2147483647, true],
+};
+
+// Narrower ranges enforced by particular backends, by provider id
+const BACKEND_NUMBER_FIELDS = {
+  // Anthropic rejects temperatures above 1 instead of clamping them
+  anthropic: { temperature: [0, 1, false] },
+};
+
+/**
+ * Validate a per-backend generation profile from settings.
+ *
+ * A profile holds the options a user has overridden for one backend:
+ * `systemInstruction`, `stopSequences`, the numbers in NUMBER_FIELDS and
+ * Gemini `safetySettings` ({category: threshold}). Fields that are missing,
+ * empty or out of range for the backend are dropped so its defaults apply.
+ * @param {Object} profile - Profile as saved by the settings window
+ * @param {string} [backend] - Provider id the profile is for
+ * @returns {Object} - The valid fields only
+ */
+function normalizeGenerationProfile(profile, backend) {
+  const normalized = {};
+  const numberFields = { ...NUMBER_FIELDS, ...BACKEND_NUMBER_FIELDS[backend] };
+
+  if (!profile || typeof profile !== 'object') {
+    return normalized;
+  }
+
+  if (
+    typeof profile.systemInstruction === 'string' &&
+    profile.systemInstruction.trim()
+  ) {
+    normalized.systemInstruction = profile.systemInstruction.trim();
+  }
+
+  for (const [field, [min, max, integer]] of Object.entries(numberFields)) {
+    const value = Number(profile[field]);
+    if (
+      profile[field] === '' ||
+      profile[field] === null ||
+      !Number.isFinite(value) ||
+      (integer && !Number.isInteger(value)) ||
+      value < min ||
+      value > max
+    ) {
+      continue;
+    }
+    normalized[field] = value;
+  }
+
+  if (Array.isArray(profile.stopSequences)) {
+    const stops = profile.stopSequences.filter(
+      stop => typeof stop === 'string' && stop.length > 0
+    );
+    if (stops.length > 0) {
+      normalized.stopSequences = stops;
+    }
+  }
+
+  if (profile.safetySettings && typeof profile.safetySettings === 'object') {
+    const safety = {};
+    for (const category of SAFETY_CATEGORIES) {
+      if (SAFETY_THRESHOLDS.includes(profile.safetySettings[category])) {
+        safety[category] = profile.safetySettings[category];
+      }
+    }
+    if (Object.keys(safety).length > 0) {
+      normalized.safetySettings = safety;
+    }
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  SAFETY_CATEGORIES,
+  SAFETY_THRESHOLDS,
+  normalizeGenerationProfile,
+};
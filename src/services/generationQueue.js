@@ -0,0 +1,175 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Schedules generations so a burst of requests doesn't overload a backend.
+ *
+ * Jobs run in arrival order, limited per backend by `concurrency`. A new
+ * clipboard job supersedes older clipboard jobs (latest wins), while
+ * questions and comparison lanes are always kept and run first in, first
+ * out.
+ * 'queue-updated' is emitted whenever the set of waiting or running jobs
+ * changes.
+ */
+class GenerationQueue extends EventEmitter {
+  /**
+   * @param {Object} [options] - Queue options
+   * @param {Object} [options.concurrency] - Map of backend id to parallel jobs
+   * @param {number} [options.defaultConcurrency] - Limit for unlisted backends
+   * @param {Function} [options.cancelRunning] - Cancels a running job by id
+   */
+  constructor(options = {}) {
+    super();
+    this.concurrency = options.concurrency || {};
+    this.defaultConcurrency = options.defaultConcurrency || 2;
+    this.cancelRunning = options.cancelRunning || (() => false);
+    this.pending = [];
+    this.running = new Map();
+  }
+
+  /**
+   * Set per-backend concurrency limits and start anything they now allow
+   * @param {Object} concurrency - Map of backend id to parallel jobs
+   */
+  setConcurrency(concurrency = {}) {
+    this.concurrency = concurrency;
+    this.drain();
+    this.emitUpdate();
+  }
+
+  getLimit(backend) {
+    const limit = parseInt(this.concurrency[backend], 10);
+    return limit > 0 ? limit : this.defaultConcurrency;
+  }
+
+  countRunning(backend) {
+    let count = 0;
+    for (const job of this.running.values()) {
+      if (job.backend === backend) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} job - The job to schedule
+   * @param {string} job.id - Request id of the job
+   * @param {string} job.kind - 'clipboard' (coalesced), or 'question' or
+   * 'compare' (a comparison lane), which run first in, first out
+   * @param {string} job.backend - Backend the job counts against
+   * @param {Function} job.run - Starts the work and returns a promise
+   * @returns {Promise<Object>} - Settles with {dropped} or the job's result
+   */
+  enqueue({ id, kind, backend, run }) {
+    // Latest wins: a newer clipboard job replaces older ones
+    if (kind === 'clipboard') {
+      for (const queued of this.pending.filter(j => j.kind === 'clipboard')) {
+        this.removePending(queued, 'superseded');
+      }
+      for (const active of this.running.values()) {
+        if (active.kind === 'clipboard') {
+          this.cancelRunning(active.id);
+        }
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({
+        id,
+        kind,
+        backend,
+        run,
+        resolve,
+        reject,
+        enqueuedAt: Date.now(),
+      });
+      this.drain();
+      this.emitUpdate();
+    });
+  }
+
+  /**
+   * Start every waiting job whose backend has a free slot, oldest first
+   */
+  drain() {
+    for (const job of [...this.pending]) {
+      if (this.countRunning(job.backend) >= this.getLimit(job.backend)) {
+        continue;
+      }
+
+      this.pending.splice(this.pending.indexOf(job), 1);
+      this.running.set(job.id, job);
+
+      Promise.resolve()
+        .then(() => job.run())
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.running.delete(job.id);
+          this.drain();
+          this.emitUpdate();
+        });
+    }
+  }
+
+  removePending(job, reason) {
+    this.pending.splice(this.pending.indexOf(job), 1);
+    job.resolve({ dropped: true, reason: reason });
+    this.emit('job-dropped', {
+      requestId: job.id,
+      kind: job.kind,
+      reason: reason,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Remove waiting jobs; running jobs are left to cancellation
+   * @param {string} [id] - Only drop this job; all waiting jobs if omitted
+   * @returns {boolean} - Whether anything was dropped
+   */
+  drop(id) {
+    const jobs = this.pending.filter(job => !id || job.id === id);
+    jobs.forEach(job => this.removePending(job, 'dropped'));
+
+    if (jobs.length > 0) {
+      this.emitUpdate();
+    }
+    return jobs.length > 0;
+  }
+
+  /**
+   * Describe waiting and running jobs; `position` counts from 1 per backend
+   * @returns {Object} - {queued, running}
+   */
+  getSnapshot() {
+    const positions = {};
+
+    return {
+      queued: this.pending.map(job => {
+        positions[job.backend] = (positions[job.backend] || 0) + 1;
+        return {
+          requestId: job.id,
+          kind: job.kind,
+          backend: job.backend,
+          position: positions[job.backend],
+          enqueuedAt: job.enqueuedAt,
+        };
+      }),
+      running: Array.from(this.running.values()).map(job => ({
+        requestId: job.id,
+        kind: job.kind,
+        backend: job.backend,
+      })),
+    };
+  }
+
+  emitUpdate() {
+    this.emit('queue-updated', {
+      ...this.getSnapshot(),
+      timestamp: Date.now(),
+    });
+  }
+}
+
+module.exports = GenerationQueue;
@@ -0,0 +1,248 @@
+const { EventEmitter } = require('events');
+const RetryPolicy = require('./retryPolicy');
+
+// Service events after which a backend's published status may be stale
+const STATUS_EVENTS = ['initialized', 'model-changed', 'circuit-state-changed'];
+
+/**
+ * Periodic health checks of every AI backend.
+ *
+ * Each provider is checked on its own timer: every `interval` while it is
+ * reachable, and with jittered exponential backoff while it is not, so a
+ * backend that is down isn't polled every few seconds for hours. A backend
+ * that comes up (e.g. Ollama started after the app) is re-initialized,
+ * which reloads its models; one that goes down is marked disconnected so
+ * requests fail over instead of waiting for a timeout. 'status-changed' is
+ * emitted whenever a backend's connection, model or error changes.
+ */
+class HealthMonitor extends EventEmitter {
+  /**
+   * @param {ProviderRegistry} registry - The AI backend registry
+   * @param {Object} [options] - Monitor options
+   * @param {number} [options.interval] - Time between checks of a reachable
+   * backend in ms
+   * @param {number} [options.retryDelay] - First wait after a failed check
+   * @param {number} [options.maxRetryDelay] - Longest wait between checks of
+   * an unreachable backend
+   */
+  constructor(registry, options = {}) {
+    super();
+    this.registry = registry;
+    this.interval = options.interval || 30000;
+    this.backoff = new RetryPolicy({
+      baseDelay: options.retryDelay || 5000,
+      maxDelay: options.maxRetryDelay || 5 * 60 * 1000,
+    });
+    this.states = new Map(); // provider id -> {failures, timer, checking, ...}
+    this.running = false;
+    this.onProviderCreated = ({ id, service }) =>
+      this.watchService(id, service);
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    this.registry.on('provider-created', this.onProviderCreated);
+
+    // Providers were initialized just before; publish what they found and
+    // check again on the normal schedule
+    for (const id of this.registry.getProviderIds()) {
+      const service = this.registry.getService(id);
+      if (service) {
+        this.watchService(id, service);
+      }
+
+      const state = this.getState(id);
+      this.publish(id);
+      this.schedule(
+        id,
+        service && service.isConnected
+          ? this.interval
+          : this.backoff.getDelay(state.failures + 1)
+      );
+    }
+  }
+
+  stop() {
+    this.running = false;
+    this.registry.off('provider-created', this.onProviderCreated);
+
+    for (const state of this.states.values()) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+  }
+
+  getState(id) {
+    if (!this.states.has(id)) {
+      this.states.set(id, {
+        failures: 0,
+        timer: null,
+        checking: null,
+        nextCheckAt: null,
+        lastCheckedAt: null,
+        published: null,
+        service: null,
+      });
+    }
+    return this.states.get(id);
+  }
+
+  /**
+   * Republish a backend's status when the service reports a change
+   * @param {string} id - Provider id
+   * @param {Object} service - The provider's service
+   */
+  watchService(id, service) {
+    const state = this.getState(id);
+    if (state.service === service) {
+      return;
+    }
+    state.service = service;
+
+    for (const eventName of STATUS_EVENTS) {
+      service.on(eventName, () => this.publish(id));
+    }
+  }
+
+  schedule(id, delay) {
+    const state = this.getState(id);
+    clearTimeout(state.timer);
+
+    if (!this.running) {
+      return;
+    }
+
+    state.nextCheckAt = Date.now() + delay;
+    state.timer = setTimeout(() => this.check(id), delay);
+  }
+
+  /**
+   * Check a backend now and reset its schedule; concurrent calls share the
+   * check in progress
+   * @param {string} id - Provider id
+   * @returns {Promise<Object>} - The backend's status after the check
+   */
+  check(id) {
+    const state = this.getState(id);
+    if (!state.checking) {
+      state.checking = this.runCheck(id).finally(() => {
+        state.checking = null;
+      });
+    }
+    return state.checking;
+  }
+
+  async runCheck(id) {
+    const state = this.getState(id);
+    const service = this.registry.getService(id);
+    let connected = false;
+
+    // Unconfigured providers have nothing to check until they are created
+    if (service) {
+      const wasConnected = service.isConnected;
+
+      try {
+        connected = await service.healthCheck();
+
+        if (connected && !wasConnected) {
+          // Reachable again: reconnect, which also reloads its models
+          connected = await service.initialize();
+          if (connected) {
+            this.emit('backend-reconnected', {
+              backend: id,
+              currentModel: service.getCurrentModel(),
+              timestamp: Date.now(),
+            });
+          }
+        } else if (!connected && wasConnected) {
+          service.isConnected = false;
+          this.emit('backend-disconnected', {
+            backend: id,
+            timestamp: Date.now(),
+          });
+        }
+      } catch (error) {
+        console.error(`Health check of ${id} failed:`, error);
+        connected = false;
+      }
+    }
+
+    state.failures = connected || !service ? 0 : state.failures + 1;
+    state.lastCheckedAt = Date.now();
+    this.schedule(
+      id,
+      connected || !service
+        ? this.interval
+        : this.backoff.getDelay(state.failures)
+    );
+
+    return this.publish(id);
+  }
+
+  /**
+   * Current status of a backend
+   * @param {string} id - Provider id
+   * @returns {Object} - {backend, displayName, connected, currentModel,
+   * error, circuit, failures, lastCheckedAt, nextCheckAt}
+   */
+  getStatus(id) {
+    const definition = this.registry.getDefinition(id);
+    const service = this.registry.getService(id);
+    const state = this.getState(id);
+    const connected = !!(service && service.isConnected);
+
+    let error = null;
+    if (!service) {
+      error = definition.unconfiguredReason;
+    } else if (!connected) {
+      error =
+        `${definition.displayName} is not reachable. ${this.registry.getConnectionHint(id)}`.trim();
+    }
+
+    return {
+      backend: id,
+      displayName: definition.displayName,
+      connected: connected,
+      currentModel: service ? service.getCurrentModel() : null,
+      error: error,
+      circuit: service ? service.circuitBreaker.getState() : null,
+      failures: state.failures,
+      lastCheckedAt: state.lastCheckedAt,
+      nextCheckAt: state.nextCheckAt,
+    };
+  }
+
+  getStatuses() {
+    return this.registry.getProviderIds().map(id => this.getStatus(id));
+  }
+
+  /**
+   * Emit 'status-changed' if the backend's connection, model, error or
+   * circuit changed since it was last published
+   * @param {string} id - Provider id
+   * @returns {Object} - The current status
+   */
+  publish(id) {
+    const state = this.getState(id);
+    const status = this.getStatus(id);
+    const signature = JSON.stringify([
+      status.connected,
+      status.currentModel,
+      status.error,
+      status.circuit && status.circuit.state,
+    ]);
+
+    if (signature !== state.published) {
+      state.published = signature;
+      this.emit('status-changed', { ...status, timestamp: Date.now() });
+    }
+
+    return status;
+  }
+}
+
+module.exports = HealthMonitor;
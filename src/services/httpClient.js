@@ -0,0 +1,229 @@
+const fs = require('fs');
+const tls = require('tls');
+const { Agent, EnvHttpProxyAgent, fetch: undiciFetch } = require('undici');
+
+/**
+ * Outbound HTTP for AI backends.
+ *
+ * Services call httpFetch, or a function returned by createFetch(), instead
+ * of the global fetch so the network settings apply to every request they
+ * make: a proxy taken from HTTPS_PROXY/HTTP_PROXY/NO_PROXY or set explicitly,
+ * and an extra CA bundle trusted alongside the system roots. With no proxy
+ * and no extra CA the global fetch is used as-is.
+ */
+
+const PROXY_MODES = ['environment', 'manual', 'direct'];
+
+let network = {
+  proxyMode: 'environment',
+  proxyUrl: null,
+  noProxy: null,
+  proxyCredentials: null,
+  ca: null,
+};
+
+// Bumped on every configureNetwork() so fetch functions rebuild their agent
+let networkVersion = 0;
+
+/**
+ * Read a PEM bundle of certificates to trust
+ * @param {string} caFile - Path to a PEM file with one or more certificates
+ * @returns {string} - The PEM contents
+ */
+function readCaFile(caFile) {
+  const pem = fs.readFileSync(caFile, 'utf8');
+  if (!pem.includes('-----BEGIN CERTIFICATE-----')) {
+    throw new Error(`${caFile} does not contain a PEM certificate`);
+  }
+  return pem;
+}
+
+/**
+ * Check network settings and resolve them to what the agents use
+ * @param {Object} [config] - Network settings, as for configureNetwork()
+ * @returns {Object} - {proxyMode, proxyUrl, noProxy, proxyCredentials, ca}
+ * @throws {Error} - If the proxy URL or CA file is invalid
+ */
+function resolveNetwork(config = {}) {
+  const proxyMode = PROXY_MODES.includes(config.proxyMode)
+    ? config.proxyMode
+    : 'environment';
+  const proxyUrl = config.proxyUrl ? String(config.proxyUrl).trim() : null;
+
+  if (proxyMode === 'manual') {
+    if (!proxyUrl) {
+      throw new Error('A proxy URL is required for a manual proxy');
+    }
+
+    let protocol;
+    try {
+      protocol = new URL(proxyUrl).protocol;
+    } catch {
+      throw new Error(`Invalid proxy URL: ${proxyUrl}`);
+    }
+    if (!/^https?:$/.test(protocol)) {
+      throw new Error('The proxy URL must start with http:// or https://');
+    }
+  }
+
+  let ca = null;
+  if (config.caFile) {
+    try {
+      ca = readCaFile(config.caFile);
+    } catch (error) {
+      throw error.code
+        ? new Error(`Can't read CA file ${config.caFile}: ${error.message}`)
+        : error;
+    }
+  }
+
+  return {
+    proxyMode: proxyMode,
+    proxyUrl: proxyUrl,
+    noProxy: config.noProxy ? String(config.noProxy).trim() : null,
+    proxyCredentials: config.proxyCredentials || null,
+    ca: ca,
+  };
+}
+
+/**
+ * Check network settings without applying them, e.g. before saving
+ * @param {Object} [config] - Network settings, as for configureNetwork()
+ * @throws {Error} - If the proxy URL or CA file is invalid
+ */
+function validateNetwork(config = {}) {
+  resolveNetwork(config);
+}
+
+/**
+ * Apply the network settings to every request made from now on
+ * @param {Object} [config] - Network settings
+ * @param {string} [config.proxyMode] - 'environment' (HTTPS_PROXY, NO_PROXY),
+ * 'manual' (proxyUrl) or 'direct'
+ * @param {string} [config.proxyUrl] - Proxy for manual mode, e.g.
+ * http://proxy.corp:3128
+ * @param {string} [config.noProxy] - Comma separated hosts that bypass a
+ * manual proxy; NO_PROXY is used when empty
+ * @param {string} [config.proxyCredentials] - user:password for the proxy
+ * @param {string} [config.caFile] - PEM file trusted for every request
+ * @throws {Error} - If the proxy URL or CA file is invalid; the previous
+ * settings stay in effect
+ */
+function configureNetwork(config = {}) {
+  network = resolveNetwork(config);
+  networkVersion++;
+}
+
+/**
+ * The proxy options for EnvHttpProxyAgent, or null when requests go direct
+ * @returns {Object|null} - Proxy options
+ */
+function getProxyOptions() {
+  const options = {};
+
+  if (network.proxyMode === 'direct') {
+    return null;
+  }
+
+  if (network.proxyMode === 'manual') {
+    options.httpProxy = network.proxyUrl;
+    options.httpsProxy = network.proxyUrl;
+    if (network.noProxy) {
+      options.noProxy = network.noProxy;
+    }
+  } else if (
+    !process.env.https_proxy &&
+    !process.env.HTTPS_PROXY &&
+    !process.env.http_proxy &&
+    !process.env.HTTP_PROXY
+  ) {
+    return null;
+  }
+
+  if (network.proxyCredentials) {
+    options.token = `Basic ${Buffer.from(network.proxyCredentials).toString('base64')}`;
+  }
+
+  return options;
+}
+
+/**
+ * Build the agent for the current network settings
+ * @param {string} [extraCa] - PEM trusted only by this agent
+ * @returns {Object|null} - An undici dispatcher, or null to use global fetch
+ */
+function createDispatcher(extraCa) {
+  const ca = [network.ca, extraCa].filter(Boolean);
+  const proxy = getProxyOptions();
+
+  if (!proxy && ca.length === 0) {
+    return null;
+  }
+
+  // `ca` replaces the default roots, so keep them alongside the extra ones
+  const trust = ca.length > 0 ? { ca: [...tls.rootCertificates, ...ca] } : {};
+
+  if (!proxy) {
+    return new Agent({ connect: trust });
+  }
+
+  // Tunnelled requests use requestTls for the server and proxyTls for an
+  // https:// proxy; connect covers hosts that bypass the proxy
+  return new EnvHttpProxyAgent({
+    ...proxy,
+    connect: trust,
+    requestTls: trust,
+    proxyTls: trust,
+  });
+}
+
+/**
+ * Build a fetch function that follows the network settings. Its close()
+ * releases the agent's sockets once requests in flight finish; a later
+ * request builds a new agent.
+ * @param {Object} [options] - Connection options
+ * @param {string} [options.caFile] - PEM file trusted in addition to the
+ * system roots and the network CA, e.g. a server's self-signed certificate
+ * @returns {Function} - fetch-compatible function
+ */
+function createFetch({ caFile } = {}) {
+  const extraCa = caFile ? readCaFile(caFile) : null;
+  let dispatcher = null;
+  let builtFor = -1;
+
+  const fetchWithNetwork = (url, init = {}) => {
+    if (builtFor !== networkVersion) {
+      if (dispatcher) {
+        // Requests in flight finish on the old agent
+        dispatcher.close().catch(() => {});
+      }
+      dispatcher = createDispatcher(extraCa);
+      builtFor = networkVersion;
+    }
+
+    return dispatcher
+      ? undiciFetch(url, { ...init, dispatcher })
+      : fetch(url, init);
+  };
+
+  fetchWithNetwork.close = async () => {
+    const closing = dispatcher;
+    dispatcher = null;
+    builtFor = -1;
+    if (closing) {
+      await closing.close();
+    }
+  };
+
+  return fetchWithNetwork;
+}
+
+const httpFetch = createFetch();
+
+module.exports = {
+  httpFetch,
+  createFetch,
+  configureNetwork,
+  validateNetwork,
+  readCaFile,
+};
@@ -0,0 +1,418 @@
+const Store = require('electron-store').default;
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const { readFileSync, renameSync, writeFileSync } = require('fs');
+const path = require('path');
+
+// Files worth indexing: docs, plain text and source code
+const INDEXED_EXTENSIONS = [
+  '.md',
+  '.markdown',
+  '.txt',
+  '.rst',
+  '.js',
+  '.jsx',
+  '.ts',
+  '.tsx',
+  '.json',
+  '.py',
+  '.go',
+  '.rs',
+  '.java',
+  '.c',
+  '.h',
+  '.cpp',
+  '.cs',
+  '.rb',
+  '.php',
+  '.sh',
+  '.yml',
+  '.yaml',
+  '.toml',
+];
+
+// Directories that hold dependencies or build output rather than docs
+const SKIPPED_DIRECTORIES = ['node_modules', 'dist', 'build', 'vendor'];
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Local retrieval index over a folder of documents.
+ *
+ * Files are split into overlapping chunks of whole lines, embedded with the
+ * `embed` function (Ollama's /api/embed) and stored with their vectors.
+ * Re-indexing only embeds files whose size or modification time changed, or
+ * everything when the embedding model changes. search() embeds the query and
+ * returns the closest chunks by cosine similarity. 'index-progress' and
+ * 'index-completed' are emitted while indexing.
+ *
+ * Chunk text and file metadata live in the store; the vectors are written to
+ * a separate JSON file next to it, since they make up most of the index and
+ * the store is rewritten whole on every change.
+ */
+class KnowledgeBase extends EventEmitter {
+  /**
+   * @param {Object} options - Knowledge base options
+   * @param {Function} options.embed - async (texts, model) => vectors
+   * @param {Object} [options.store] - electron-store compatible store
+   * @param {string} [options.vectorsPath] - File for the embedding vectors,
+   *   next to the store's file by default
+   * @param {number} [options.chunkSize] - Target chunk length in characters
+   * @param {number} [options.chunkOverlap] - Characters repeated between chunks
+   * @param {number} [options.maxFileBytes] - Larger files are skipped
+   * @param {number} [options.batchSize] - Chunks embedded per request
+   */
+  constructor(options) {
+    super();
+    this.embed = options.embed;
+    this.store = options.store || new Store({ name: 'knowledge-base' });
+    this.vectorsPath =
+      options.vectorsPath ||
+      path.join(path.dirname(this.store.path), 'knowledge-base-vectors.json');
+    this.chunkSize = options.chunkSize || 1200;
+    this.chunkOverlap = options.chunkOverlap || 200;
+    this.maxFileBytes = options.maxFileBytes || 1024 * 1024;
+    this.batchSize = options.batchSize || 16;
+
+    this.folder = this.store.get('folder', null);
+    this.model = this.store.get('model', null);
+    this.files = this.loadFiles(); // relative path -> file entry
+    this.indexedAt = this.store.get('indexedAt', null);
+    this.errors = this.store.get('errors', []); // files the last run skipped
+    this.indexing = null;
+  }
+
+  /**
+   * Point the knowledge base at a folder and embedding model. Changing
+   * either drops what was indexed for the old ones.
+   * @param {Object} config - {folder, model}
+   */
+  configure({ folder, model }) {
+    if (folder !== this.folder || model !== this.model) {
+      this.folder = folder || null;
+      this.model = model || null;
+      this.files = {};
+      this.indexedAt = null;
+      this.errors = [];
+      this.save();
+    }
+  }
+
+  /**
+   * Bring the index up to date with the folder. Concurrent calls share the
+   * run already in progress.
+   * @returns {Promise<Object>} - Stats after indexing
+   */
+  index() {
+    if (!this.indexing) {
+      this.indexing = this.runIndex().finally(() => {
+        this.indexing = null;
+      });
+    }
+    return this.indexing;
+  }
+
+  async runIndex() {
+    if (!this.folder || !this.model) {
+      throw new Error('Choose a folder and an embedding model first');
+    }
+
+    const { folder, model } = this;
+    const paths = await this.listFiles(folder);
+    const files = {};
+    const errors = [];
+    let done = 0;
+
+    for (const filePath of paths) {
+      const relativePath = path.relative(folder, filePath);
+      let error = null;
+
+      // One unreadable file or failed embedding shouldn't lose the rest
+      try {
+        const entry = await this.indexFile(filePath, relativePath, model);
+        if (entry) {
+          files[relativePath] = entry;
+        }
+      } catch (fileError) {
+        console.warn(`Skipped ${relativePath}: ${fileError.message}`);
+        error = fileError.message;
+        errors.push({ file: relativePath, error: error });
+      }
+
+      done++;
+      this.emit('index-progress', {
+        file: relativePath,
+        done: done,
+        total: paths.length,
+        error: error,
+        timestamp: Date.now(),
+      });
+    }
+
+    // The folder or model changed while indexing; this index is stale
+    if (folder !== this.folder || model !== this.model) {
+      throw new Error('Knowledge base settings changed while indexing');
+    }
+
+    // Deleted files simply aren't carried over
+    this.files = files;
+    this.indexedAt = Date.now();
+    this.errors = errors;
+    this.save();
+
+    const stats = { ...this.getStats(), indexing: false };
+    this.emit('index-completed', { ...stats, timestamp: Date.now() });
+    return stats;
+  }
+
+  /**
+   * Reuse a file's entry if it hasn't changed, otherwise read and embed it
+   * @param {string} filePath - Absolute file path
+   * @param {string} relativePath - Path relative to the indexed folder
+   * @param {string} model - Embedding model
+   * @returns {Promise<Object|null>} - File entry, or null if it is too large
+   */
+  async indexFile(filePath, relativePath, model) {
+    const stat = await fs.stat(filePath);
+    const existing = this.files[relativePath];
+
+    if (
+      existing &&
+      existing.size === stat.size &&
+      existing.modifiedAt === stat.mtimeMs
+    ) {
+      return existing;
+    }
+
+    if (stat.size > this.maxFileBytes) {
+      return null;
+    }
+
+    const text = await fs.readFile(filePath, 'utf8');
+    return {
+      size: stat.size,
+      modifiedAt: stat.mtimeMs,
+      chunks: await this.embedChunks(this.chunkText(text), model),
+    };
+  }
+
+  /**
+   * Find indexable files under a folder, skipping hidden and dependency
+   * directories
+   * @param {string} folder - Absolute folder path
+   * @returns {Promise<Array<string>>} - Absolute file paths
+   */
+  async listFiles(folder) {
+    const entries = await fs.readdir(folder, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const entryPath = path.join(folder, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+          files.push(...(await this.listFiles(entryPath)));
+        }
+      } else if (
+        entry.isFile() &&
+        INDEXED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+      ) {
+        files.push(entryPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Split text into chunks of whole lines of about `chunkSize` characters,
+   * each starting with the last `chunkOverlap` characters of the previous one
+   * @param {string} text - File contents
+   * @returns {Array<Object>} - {text, startLine, endLine}, lines from 1
+   */
+  chunkText(text) {
+    const lines = text.replace(/\r?\n$/, '').split(/\r?\n/);
+    const chunks = [];
+    let start = 0;
+
+    while (start < lines.length) {
+      let end = start;
+      let length = 0;
+      while (end < lines.length && (end === start || length < this.chunkSize)) {
+        length += lines[end].length + 1;
+        end++;
+      }
+
+      const chunkText = lines.slice(start, end).join('\n');
+      if (chunkText.trim()) {
+        chunks.push({ text: chunkText, startLine: start + 1, endLine: end });
+      }
+
+      if (end >= lines.length) {
+        break;
+      }
+
+      // Step back over whole lines to repeat up to chunkOverlap characters
+      let next = end;
+      let overlap = 0;
+      while (
+        next - 1 > start &&
+        overlap + lines[next - 1].length < this.chunkOverlap
+      ) {
+        overlap += lines[next - 1].length + 1;
+        next--;
+      }
+      start = next;
+    }
+
+    return chunks;
+  }
+
+  async embedChunks(chunks, model) {
+    for (let i = 0; i < chunks.length; i += this.batchSize) {
+      const batch = chunks.slice(i, i + this.batchSize);
+      const vectors = await this.embed(
+        batch.map(chunk => chunk.text),
+        model
+      );
+      batch.forEach((chunk, index) => {
+        chunk.vector = vectors[index];
+      });
+    }
+    return chunks;
+  }
+
+  /**
+   * Find the chunks most similar to a query
+   * @param {string} query - Text to match, e.g. the clipboard content
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Most chunks to return
+   * @param {number} [options.minScore] - Lowest cosine similarity to keep
+   * @returns {Promise<Array<Object>>} - {file, startLine, endLine, text, score}
+   */
+  async search(query, { limit = 4, minScore = 0.3 } = {}) {
+    if (!this.indexedAt || !this.model) {
+      return [];
+    }
+
+    const [queryVector] = await this.embed([query], this.model);
+    const matches = [];
+
+    for (const [file, entry] of Object.entries(this.files)) {
+      for (const chunk of entry.chunks) {
+        const score = cosineSimilarity(queryVector, chunk.vector);
+        if (score >= minScore) {
+          matches.push({
+            file: file,
+            startLine: chunk.startLine,
+            endLine: chunk.endLine,
+            text: chunk.text,
+            score: score,
+          });
+        }
+      }
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  getStats() {
+    const files = Object.values(this.files);
+    return {
+      folder: this.folder,
+      model: this.model,
+      files: files.length,
+      chunks: files.reduce((sum, file) => sum + file.chunks.length, 0),
+      indexedAt: this.indexedAt,
+      indexing: !!this.indexing,
+      errors: this.errors,
+    };
+  }
+
+  clear() {
+    this.files = {};
+    this.indexedAt = null;
+    this.errors = [];
+    this.save();
+  }
+
+  /**
+   * Read the stored file entries and attach their vectors. Entries whose
+   * vectors are missing are dropped so the next index embeds them again.
+   * Indexes saved before vectors had their own file keep them inline.
+   * @returns {Object} - Relative path -> file entry
+   */
+  loadFiles() {
+    const files = this.store.get('files', {});
+    const vectors = this.loadVectors();
+
+    for (const [file, entry] of Object.entries(files)) {
+      const fileVectors = vectors[file];
+      if (fileVectors && fileVectors.length === entry.chunks.length) {
+        entry.chunks.forEach((chunk, index) => {
+          chunk.vector = fileVectors[index];
+        });
+      } else if (!entry.chunks.every(chunk => Array.isArray(chunk.vector))) {
+        delete files[file];
+      }
+    }
+
+    return files;
+  }
+
+  loadVectors() {
+    try {
+      return JSON.parse(readFileSync(this.vectorsPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to read knowledge base vectors:', error.message);
+      }
+      return {};
+    }
+  }
+
+  save() {
+    const files = {};
+    const vectors = {};
+
+    for (const [file, entry] of Object.entries(this.files)) {
+      files[file] = {
+        ...entry,
+        chunks: entry.chunks.map(chunk => ({
+          text: chunk.text,
+          startLine: chunk.startLine,
+          endLine: chunk.endLine,
+        })),
+      };
+      vectors[file] = entry.chunks.map(chunk => chunk.vector);
+    }
+
+    // Write a temporary file first so a crash can't leave half a file
+    const tempPath = `${this.vectorsPath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(vectors));
+    renameSync(tempPath, this.vectorsPath);
+
+    this.store.set('folder', this.folder);
+    this.store.set('model', this.model);
+    this.store.set('files', files);
+    this.store.set('indexedAt', this.indexedAt);
+    this.store.set('errors', this.errors);
+  }
+}
+
+module.exports = KnowledgeBase;
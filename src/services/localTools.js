@@ -0,0 +1,601 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Longest file the read_file tool hands back to a model, and the largest
+// it will open at all
+const MAX_FILE_CHARS = 20000;
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Factor to the dimension's base unit (metre, kilogram, litre, second, byte,
+// metre per second); temperatures are converted separately
+const UNITS = {
+  length: {
+    mm: 0.001,
+    cm: 0.01,
+    m: 1,
+    km: 1000,
+    in: 0.0254,
+    ft: 0.3048,
+    yd: 0.9144,
+    mi: 1609.344,
+    nmi: 1852,
+  },
+  mass: {
+    mg: 0.000001,
+    g: 0.001,
+    kg: 1,
+    t: 1000,
+    oz: 0.028349523125,
+    lb: 0.45359237,
+    st: 6.35029318,
+  },
+  volume: {
+    ml: 0.001,
+    l: 1,
+    tsp: 0.00492892159375,
+    tbsp: 0.01478676478125,
+    floz: 0.0295735295625,
+    cup: 0.2365882365,
+    pt: 0.473176473,
+    qt: 0.946352946,
+    gal: 3.785411784,
+  },
+  time: {
+    ms: 0.001,
+    s: 1,
+    min: 60,
+    h: 3600,
+    d: 86400,
+    wk: 604800,
+  },
+  data: {
+    b: 1,
+    kb: 1000,
+    mb: 1000 ** 2,
+    gb: 1000 ** 3,
+    tb: 1000 ** 4,
+    kib: 1024,
+    mib: 1024 ** 2,
+    gib: 1024 ** 3,
+    tib: 1024 ** 4,
+  },
+  speed: {
+    'm/s': 1,
+    'km/h': 1 / 3.6,
+    mph: 0.44704,
+    kn: 1852 / 3600,
+  },
+};
+
+const UNIT_ALIASES = {
+  meter: 'm',
+  meters: 'm',
+  metre: 'm',
+  metres: 'm',
+  kilometer: 'km',
+  kilometers: 'km',
+  centimeter: 'cm',
+  centimeters: 'cm',
+  millimeter: 'mm',
+  millimeters: 'mm',
+  inch: 'in',
+  inches: 'in',
+  foot: 'ft',
+  feet: 'ft',
+  yard: 'yd',
+  yards: 'yd',
+  mile: 'mi',
+  miles: 'mi',
+  gram: 'g',
+  grams: 'g',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  kgs: 'kg',
+  tonne: 't',
+  tonnes: 't',
+  ounce: 'oz',
+  ounces: 'oz',
+  pound: 'lb',
+  pounds: 'lb',
+  lbs: 'lb',
+  stone: 'st',
+  liter: 'l',
+  liters: 'l',
+  litre: 'l',
+  litres: 'l',
+  milliliter: 'ml',
+  milliliters: 'ml',
+  gallon: 'gal',
+  gallons: 'gal',
+  cups: 'cup',
+  sec: 's',
+  second: 's',
+  seconds: 's',
+  minute: 'min',
+  minutes: 'min',
+  hour: 'h',
+  hours: 'h',
+  hr: 'h',
+  day: 'd',
+  days: 'd',
+  week: 'wk',
+  weeks: 'wk',
+  byte: 'b',
+  bytes: 'b',
+  kph: 'km/h',
+  knots: 'kn',
+  c: 'celsius',
+  f: 'fahrenheit',
+  k: 'kelvin',
+};
+
+const TEMPERATURES = ['celsius', 'fahrenheit', 'kelvin'];
+
+const MATH_FUNCTIONS = {
+  abs: Math.abs,
+  ceil: Math.ceil,
+  cos: Math.cos,
+  exp: Math.exp,
+  floor: Math.floor,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  max: Math.max,
+  min: Math.min,
+  pow: Math.pow,
+  round: Math.round,
+  sin: Math.sin,
+  sqrt: Math.sqrt,
+  tan: Math.tan,
+};
+
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Names come from the model, so inherited properties must not match
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Evaluate an arithmetic expression without eval(): numbers, + - * / % ^,
+ * parentheses and the functions and constants above
+ * @param {string} expression - e.g. "2 * (3 + sqrt(16)) ^ 2"
+ * @returns {number} - The result
+ * @throws {Error} - If the expression is malformed or not finite
+ */
+function evaluateExpression(expression) {
+  const tokens =
+    String(expression).match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z_]\w*|\S/gi) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = token => {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}" in expression`);
+    }
+  };
+
+  // Lowest precedence first: sums, products, unary signs, powers, atoms.
+  // Signs bind looser than powers, so -2 ^ 2 is -4.
+  function parseSum() {
+    let value = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  }
+
+  function parseProduct() {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const operand = parseUnary();
+      if (operator === '*') {
+        value *= operand;
+      } else if (operator === '/') {
+        value /= operand;
+      } else {
+        value %= operand;
+      }
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parseAtom();
+    if (peek() !== '^') {
+      return base;
+    }
+    next();
+    // Right-associative: 2 ^ 3 ^ 2 is 2 ^ 9
+    return Math.pow(base, parseUnary());
+  }
+
+  function parseAtom() {
+    const token = next();
+
+    if (token === undefined) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token === '(') {
+      const value = parseSum();
+      expect(')');
+      return value;
+    }
+
+    if (/^\d*\.?\d/.test(token)) {
+      return parseFloat(token);
+    }
+
+    const name = token.toLowerCase();
+    if (has(MATH_CONSTANTS, name)) {
+      return MATH_CONSTANTS[name];
+    }
+
+    if (has(MATH_FUNCTIONS, name)) {
+      expect('(');
+      const args = [parseSum()];
+      while (peek() === ',') {
+        next();
+        args.push(parseSum());
+      }
+      expect(')');
+      return MATH_FUNCTIONS[name](...args);
+    }
+
+    throw new Error(`Unknown symbol "${token}" in expression`);
+  }
+
+  const result = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek()}" in expression`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('Expression does not have a finite result');
+  }
+  return result;
+}
+
+function normalizeUnit(unit) {
+  const name = String(unit).trim().toLowerCase().replace(/^°/, '');
+  return has(UNIT_ALIASES, name) ? UNIT_ALIASES[name] : name;
+}
+
+function toKelvin(value, unit) {
+  if (unit === 'celsius') return value + 273.15;
+  if (unit === 'fahrenheit') return ((value - 32) * 5) / 9 + 273.15;
+  return value;
+}
+
+function fromKelvin(value, unit) {
+  if (unit === 'celsius') return value - 273.15;
+  if (unit === 'fahrenheit') return ((value - 273.15) * 9) / 5 + 32;
+  return value;
+}
+
+/**
+ * Convert a value between units of the same dimension
+ * @param {number} value - Amount in the `from` unit
+ * @param {string} from - Unit name or symbol, e.g. "mi" or "miles"
+ * @param {string} to - Unit name or symbol
+ * @returns {number} - Amount in the `to` unit
+ * @throws {Error} - For unknown units or units of different dimensions
+ */
+function convertUnits(value, from, to) {
+  const source = normalizeUnit(from);
+  const target = normalizeUnit(to);
+
+  if (!Number.isFinite(value)) {
+    throw new Error('Value to convert must be a number');
+  }
+
+  if (TEMPERATURES.includes(source) && TEMPERATURES.includes(target)) {
+    return fromKelvin(toKelvin(value, source), target);
+  }
+
+  for (const units of Object.values(UNITS)) {
+    if (has(units, source) || has(units, target)) {
+      if (!(has(units, source) && has(units, target))) {
+        throw new Error(`Can't convert ${from} to ${to}`);
+      }
+      return (value * units[source]) / units[target];
+    }
+  }
+
+  throw new Error(`Unknown unit: ${from}`);
+}
+
+/**
+ * Describe a moment in time, optionally shifted and in another time zone
+ * @param {Object} args - {date, addDays, timeZone}
+ * @returns {Object} - ISO string, local time in the zone, weekday and Unix time
+ */
+function convertDate({ date = 'now', addDays = 0, timeZone = 'UTC' }) {
+  const parsed =
+    date === 'now'
+      ? new Date()
+      : /^\d+$/.test(String(date))
+        ? new Date(Number(date) * 1000)
+        : new Date(date);
+
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`Can't read the date "${date}"`);
+  }
+
+  const shifted = new Date(parsed.getTime() + Number(addDays || 0) * 86400000);
+
+  let local;
+  try {
+    local = shifted.toLocaleString('en-US', {
+      timeZone: timeZone,
+      dateStyle: 'full',
+      timeStyle: 'long',
+    });
+  } catch {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+
+  return {
+    iso: shifted.toISOString(),
+    timeZone: timeZone,
+    local: local,
+    weekday: shifted.toLocaleDateString('en-US', {
+      timeZone: timeZone,
+      weekday: 'long',
+    }),
+    unixSeconds: Math.floor(shifted.getTime() / 1000),
+  };
+}
+
+/**
+ * Safe tools a model may call while answering. They only compute, read
+ * files under folders the user allowed, or search the in-memory clipboard
+ * history; nothing runs commands, writes files or reaches the network.
+ *
+ * Definitions are {name, description, parameters} with JSON schema
+ * parameters; each backend wraps them in its own request format.
+ */
+class LocalTools {
+  /**
+   * @param {Object} options - Tool options
+   * @param {Function} options.getAllowedFolders - () => absolute folder paths
+   * read_file may read from
+   * @param {Function} options.getClipboardHistory - () => [{text, copiedAt}],
+   * newest first
+   */
+  constructor(options) {
+    this.getAllowedFolders = options.getAllowedFolders;
+    this.getClipboardHistory = options.getClipboardHistory;
+  }
+
+  /**
+   * @returns {Array<Object>} - {name, description, parameters} per tool
+   */
+  getDefinitions() {
+    const definitions = [
+      {
+        name: 'calculate',
+        description:
+          'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and the functions ' +
+          Object.keys(MATH_FUNCTIONS).join(', ') +
+          '.',
+        parameters: {
+          type: 'object',
+          properties: {
+            expression: {
+              type: 'string',
+              description: 'The expression, e.g. "(17.5 * 3) / 4"',
+            },
+          },
+          required: ['expression'],
+        },
+      },
+      {
+        name: 'convert_units',
+        description:
+          'Convert a value between units of length, mass, volume, time, data size, speed or temperature.',
+        parameters: {
+          type: 'object',
+          properties: {
+            value: { type: 'number', description: 'Amount to convert' },
+            from: { type: 'string', description: 'Unit, e.g. "mi" or "°F"' },
+            to: { type: 'string', description: 'Unit, e.g. "km" or "°C"' },
+          },
+          required: ['value', 'from', 'to'],
+        },
+      },
+      {
+        name: 'convert_date',
+        description:
+          'Show a date and time in a time zone, optionally shifted by a number of days, with its weekday and Unix time.',
+        parameters: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              description: 'ISO 8601 date, Unix timestamp in seconds, or "now"',
+            },
+            addDays: {
+              type: 'number',
+              description: 'Days to add; negative to go back',
+            },
+            timeZone: {
+              type: 'string',
+              description:
+                'IANA time zone such as "Europe/Paris"; UTC by default',
+            },
+          },
+          required: ['date'],
+        },
+      },
+      {
+        name: 'search_clipboard_history',
+        description:
+          'Search text the user copied earlier in this session, newest first.',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Case-insensitive text to look for',
+            },
+            limit: {
+              type: 'integer',
+              description: 'Most entries to return; 5 by default',
+            },
+          },
+          required: ['query'],
+        },
+      },
+    ];
+
+    // Only offered when the user has allowed at least one folder
+    const folders = this.getAllowedFolders();
+    if (folders.length > 0) {
+      definitions.push({
+        name: 'read_file',
+        description:
+          'Read a text file, or list a directory, inside one of these folders: ' +
+          folders.join(', ') +
+          '. Relative paths are resolved against the first folder.',
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Absolute path, or relative to the first folder',
+            },
+          },
+          required: ['path'],
+        },
+      });
+    }
+
+    return definitions;
+  }
+
+  /**
+   * Run a tool call from a model
+   * @param {string} name - Tool name
+   * @param {Object} args - Arguments the model supplied
+   * @returns {Promise<*>} - JSON-serializable result
+   * @throws {Error} - For unknown tools or invalid arguments; the message is
+   * passed back to the model
+   */
+  async execute(name, args = {}) {
+    switch (name) {
+      case 'calculate':
+        return { result: evaluateExpression(args.expression) };
+
+      case 'convert_units':
+        return {
+          result: convertUnits(Number(args.value), args.from, args.to),
+          unit: args.to,
+        };
+
+      case 'convert_date':
+        return convertDate(args);
+
+      case 'search_clipboard_history':
+        return this.searchClipboardHistory(args.query, args.limit);
+
+      case 'read_file':
+        return this.readFile(args.path);
+
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  searchClipboardHistory(query, limit = 5) {
+    const needle = String(query || '').toLowerCase();
+
+    return this.getClipboardHistory()
+      .filter(entry => entry.text.toLowerCase().includes(needle))
+      .slice(0, Math.max(1, Math.min(Number(limit) || 5, 20)))
+      .map(entry => ({
+        copiedAt: new Date(entry.copiedAt).toISOString(),
+        text: entry.text.substring(0, 1000),
+      }));
+  }
+
+  /**
+   * Read a file or list a directory, refusing anything that resolves
+   * (through symlinks too) outside the allowed folders
+   * @param {string} requestedPath - Absolute or relative path
+   * @returns {Promise<Object>} - {path, content, truncated} or {path, entries}
+   */
+  async readFile(requestedPath) {
+    const folders = this.getAllowedFolders();
+    if (folders.length === 0) {
+      throw new Error('No folders are allowed for reading');
+    }
+    if (typeof requestedPath !== 'string' || !requestedPath.trim()) {
+      throw new Error('A path is required');
+    }
+
+    const realPath = await fs
+      .realpath(path.resolve(folders[0], requestedPath))
+      .catch(() => {
+        throw new Error(`No such file: ${requestedPath}`);
+      });
+
+    let allowed = false;
+    for (const folder of folders) {
+      const root = await fs.realpath(folder).catch(() => null);
+      const relative = root && path.relative(root, realPath);
+      if (root && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+        allowed = true;
+        break;
+      }
+    }
+    if (!allowed) {
+      throw new Error(`${requestedPath} is outside the allowed folders`);
+    }
+
+    const stat = await fs.stat(realPath);
+    if (stat.isDirectory()) {
+      const entries = await fs.readdir(realPath, { withFileTypes: true });
+      return {
+        path: realPath,
+        entries: entries.map(entry =>
+          entry.isDirectory() ? `${entry.name}/` : entry.name
+        ),
+      };
+    }
+
+    if (stat.size > MAX_FILE_BYTES) {
+      throw new Error(`${requestedPath} is too large to read`);
+    }
+
+    const content = await fs.readFile(realPath, 'utf8');
+    if (content.includes('\u0000')) {
+      throw new Error(`${requestedPath} is not a text file`);
+    }
+
+    return {
+      path: realPath,
+      content: content.substring(0, MAX_FILE_CHARS),
+      truncated: content.length > MAX_FILE_CHARS,
+    };
+  }
+}
+
+module.exports = {
+  LocalTools,
+  evaluateExpression,
+  convertUnits,
+  convertDate,
+};
@@ -1,28 +1,283 @@
-const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
+const BaseAIService = require('./baseAIService');
+const RetryPolicy = require('./retryPolicy');
+const { readNDJSON, StreamParseError } = require('./streamParser');
+const { createFetch } = require('./httpClient');
 
-class OllamaService extends EventEmitter {
-  constructor() {
-    super();
-    this.baseUrl = 'http://localhost:11434/api';
+// Model families that carry an image encoder, for Ollama versions that
+// don't report capabilities from /api/show
+const VISION_FAMILIES = ['clip', 'mllama'];
+
+const DEFAULT_HOST = 'http://localhost:11434';
+
+// How the optional credential from secure storage is sent
+const AUTH_TYPES = ['none', 'bearer', 'basic'];
+
+// keep_alive durations Ollama accepts as strings, e.g. 30s, 5m, 1h, -1
+const KEEP_ALIVE_PATTERN = /^-?\d+(\.\d+)?(ms|s|m|h)?$/;
+
+// Milliseconds per keep_alive unit; a bare number is seconds
+const KEEP_ALIVE_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// How long Ollama keeps a model loaded when keep_alive isn't sent
+const DEFAULT_KEEP_ALIVE_MS = 5 * 60 * 1000;
+
+class OllamaService extends BaseAIService {
+  /**
+   * @param {Object} [config] - Persisted backend configuration
+   * @param {Object} [secureStorageService] - Holds the host's auth credential
+   */
+  constructor(config = {}, secureStorageService = null) {
+    super('ollama', 'Ollama');
+    this.secureStorage = secureStorageService;
+    this.authToken = null; // Loaded from secure storage
+    this.configureConnection(config);
     this.defaultModel = 'llama3.1:8b';
     this.currentModel = this.defaultModel;
     this.isConnected = false;
     this.availableModels = [];
     this.requestTimeout = 120000; // 2 minutes for large models
-    this.maxRetries = 3;
-    this.retryDelay = 1000;
+    // Ollama's default num_ctx when a Modelfile doesn't set one
+    this.contextWindow = 2048;
+    this.activePulls = new Map(); // model name -> AbortController
+    // Model used for images when the current model can't see them
+    this.visionModel = config.ollamaVisionModel || null;
+    this.visionSupport = new Map(); // model name -> whether it accepts images
+    this.toolSupport = new Map(); // model name -> whether it can call tools
+    // model name -> when Ollama will unload it, in ms; from /api/ps, and
+    // from keep_alive after each request that loads a model
+    this.loadedModels = new Map();
+    this.configureModelLoading(config);
+  }
+
+  /**
+   * Normalize a keep_alive duration: plain numbers are seconds, strings keep
+   * their unit; anything else leaves it to the server's default (5m)
+   * @param {string|number} keepAlive - The configured duration
+   * @returns {string|number|null} - Value for keep_alive, or null
+   */
+  static normalizeKeepAlive(keepAlive) {
+    if (typeof keepAlive === 'number') {
+      return Number.isFinite(keepAlive) ? keepAlive : null;
+    }
+
+    const value = String(keepAlive ?? '').trim();
+    if (!KEEP_ALIVE_PATTERN.test(value)) {
+      return null;
+    }
+    return /^-?\d+$/.test(value) ? Number(value) : value;
+  }
+
+  /**
+   * Take the keep_alive duration and warm-up setting from the configuration
+   * @param {Object} config - Persisted backend configuration
+   */
+  configureModelLoading(config) {
+    this.keepAlive = OllamaService.normalizeKeepAlive(config.ollamaKeepAlive);
+    this.warmUpEnabled = config.ollamaWarmUp !== false;
+  }
+
+  /**
+   * How long Ollama keeps a model loaded after a request
+   * @returns {number} - Milliseconds; Infinity if it is never unloaded
+   */
+  getKeepAliveMs() {
+    if (this.keepAlive === null) {
+      return DEFAULT_KEEP_ALIVE_MS;
+    }
+
+    const [, amount, unit = 's'] = String(this.keepAlive).match(
+      /^(-?[\d.]+)(ms|s|m|h)?$/
+    );
+    const ms = Number(amount) * KEEP_ALIVE_UNITS[unit];
+    return ms < 0 ? Infinity : ms;
+  }
+
+  /**
+   * Normalize a host URL: default to http://, drop trailing slashes and an
+   * /api suffix so endpoint paths can be appended safely
+   * @param {string} host - The configured host, e.g. gpu-box:11434
+   * @returns {string} - The normalized host URL
+   */
+  static normalizeHost(host) {
+    let url = String(host || DEFAULT_HOST).trim();
+    if (!/^https?:\/\//i.test(url)) {
+      url = `http://${url}`;
+    }
+    return url.replace(/\/+$/, '').replace(/\/api$/, '');
+  }
+
+  /**
+   * Take the host, auth type and CA file from the configuration
+   * @param {Object} config - Persisted backend configuration
+   * @returns {boolean} - Whether any of them changed
+   */
+  configureConnection(config) {
+    const host = OllamaService.normalizeHost(config.ollamaHost);
+    const authType = AUTH_TYPES.includes(config.ollamaAuthType)
+      ? config.ollamaAuthType
+      : 'none';
+    const caFile = config.ollamaCaFile || null;
+
+    const changed =
+      host !== this.host ||
+      authType !== this.authType ||
+      caFile !== this.caFile;
+
+    this.host = host;
+    this.baseUrl = `${host}/api`;
+    this.authType = authType;
+    this.caFile = caFile;
+
+    if (changed) {
+      // Requests in flight finish on the old agent before it closes
+      if (this.fetch) {
+        this.close().catch(() => {});
+      }
+
+      try {
+        this.fetch = createFetch({ caFile: caFile });
+      } catch (error) {
+        // Surface an unreadable CA file on the first request
+        this.fetch = () => Promise.reject(error);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Close the connection's agent, e.g. when the service is thrown away
+   * @returns {Promise<void>} - Resolves once its requests have finished
+   */
+  async close() {
+    if (this.fetch.close) {
+      await this.fetch.close();
+    }
+  }
+
+  /**
+   * Apply saved settings: the vision model, model loading, and the host
+   * connection, which reconnects when it changed
+   * @param {Object} config - Persisted backend configuration
+   */
+  async applySettings(config) {
+    this.visionModel = config.ollamaVisionModel || null;
+    this.configureModelLoading(config);
+
+    const connectionChanged = this.configureConnection(config);
+    if (connectionChanged || this.hasAuthTokenChanged()) {
+      await this.initialize();
+    }
+  }
+
+  loadAuthToken() {
+    this.authToken = this.secureStorage
+      ? this.secureStorage.retrieveOllamaAuthToken()
+      : null;
+    return this.authToken;
+  }
+
+  hasAuthTokenChanged() {
+    const previousToken = this.authToken;
+    return this.loadAuthToken() !== previousToken;
+  }
+
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    if (this.authType === 'bearer' && this.authToken) {
+      headers.Authorization = `Bearer ${this.authToken}`;
+    } else if (this.authType === 'basic' && this.authToken) {
+      // Stored as user:password
+      headers.Authorization = `Basic ${Buffer.from(this.authToken).toString('base64')}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Call an Ollama API endpoint on the configured host
+   * @param {string} path - Endpoint path, e.g. '/tags'
+   * @param {Object} [init] - fetch options; auth headers are added
+   * @returns {Promise<Response>} - The response
+   */
+  request(path, init = {}) {
+    return this.fetch(`${this.baseUrl}${path}`, {
+      ...init,
+      headers: { ...this.getHeaders(), ...(init.headers || {}) },
+    });
+  }
+
+  /**
+   * Check the host without touching the connection state, for testing
+   * settings before they are saved
+   * @returns {Promise<Object>} - {success, version, models, latencyMs, error}
+   */
+  async testConnection() {
+    const startedAt = Date.now();
+
+    try {
+      const versionResponse = await this.request('/version', {
+        method: 'GET',
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!versionResponse.ok) {
+        const errorMessage = await this.getErrorMessage(versionResponse);
+        throw new Error(`HTTP ${versionResponse.status}: ${errorMessage}`);
+      }
+      const { version } = await versionResponse.json();
+
+      // /api/version is public; listing models proves the credentials work
+      const tagsResponse = await this.request('/tags', {
+        method: 'GET',
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!tagsResponse.ok) {
+        const errorMessage = await this.getErrorMessage(tagsResponse);
+        throw new Error(`HTTP ${tagsResponse.status}: ${errorMessage}`);
+      }
+      const { models } = await tagsResponse.json();
+
+      return {
+        success: true,
+        host: this.host,
+        version: version,
+        models: models.length,
+        latencyMs: Date.now() - startedAt,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        host: this.host,
+        error: error.cause
+          ? `${error.message}: ${error.cause.message}`
+          : error.message,
+        latencyMs: Date.now() - startedAt,
+      };
+    }
   }
 
   async initialize() {
     try {
+      this.loadAuthToken();
       await this.checkConnection();
       await this.loadAvailableModels();
+      // Learn which models are already loaded; later requests keep it current
+      await this.listRunningModels().catch(() => {});
       this.isConnected = true;
       this.emit('initialized', {
         connected: true,
         models: this.availableModels,
         currentModel: this.currentModel,
       });
+
+      // Load the model in the background so the first answer doesn't wait
+      if (this.warmUpEnabled) {
+        this.warmUpModel(this.currentModel).catch(() => {});
+      }
       return true;
     } catch (error) {
       this.isConnected = false;
@@ -37,11 +292,8 @@ class OllamaService extends EventEmitter {
 
   async checkConnection() {
     try {
-      const response = await fetch(`${this.baseUrl}/tags`, {
+      const response = await this.request('/tags', {
         method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
         signal: AbortSignal.timeout(this.requestTimeout),
       });
 
@@ -49,7 +301,7 @@ class OllamaService extends EventEmitter {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      const data = await response.json();
+      await response.json();
       this.emit('connection-checked', {
         connected: true,
         timestamp: Date.now(),
@@ -67,11 +319,8 @@ class OllamaService extends EventEmitter {
 
   async loadAvailableModels() {
     try {
-      const response = await fetch(`${this.baseUrl}/tags`, {
+      const response = await this.request('/tags', {
         method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
         signal: AbortSignal.timeout(this.requestTimeout),
       });
 
@@ -80,13 +329,20 @@ class OllamaService extends EventEmitter {
       }
 
       const data = await response.json();
-      this.availableModels = data.models.map(model => ({
+      const models = data.models.map(model => ({
         name: model.name,
         size: model.size,
         modified: model.modified_at,
         details: model.details,
       }));
 
+      await this.detectModelCapabilities(models);
+      this.availableModels = models.map(model => ({
+        ...model,
+        vision: this.visionSupport.get(model.name) || false,
+        tools: this.isToolModel(model.name),
+      }));
+
       this.emit('models-loaded', {
         models: this.availableModels,
         count: this.availableModels.length,
@@ -104,6 +360,457 @@ class OllamaService extends EventEmitter {
     }
   }
 
+  async listModels() {
+    return this.loadAvailableModels();
+  }
+
+  /**
+   * Work out which models accept images and which can call tools, asking
+   * /api/show about models that haven't been checked yet
+   * @param {Array<Object>} models - Installed models from /api/tags
+   */
+  async detectModelCapabilities(models) {
+    for (const model of models) {
+      if (this.visionSupport.has(model.name)) {
+        continue;
+      }
+
+      try {
+        const info = await this.showModel(model.name);
+        const families = info.details.families || [];
+        this.visionSupport.set(
+          model.name,
+          info.capabilities.includes('vision') ||
+            families.some(family => VISION_FAMILIES.includes(family))
+        );
+        this.toolSupport.set(model.name, info.capabilities.includes('tools'));
+      } catch (error) {
+        // Leave it unchecked so the next model refresh tries again
+        console.warn(`Could not inspect Ollama model ${model.name}:`, error);
+      }
+    }
+  }
+
+  isVisionModel(modelName) {
+    return this.visionSupport.get(modelName) === true;
+  }
+
+  isToolModel(modelName) {
+    return this.toolSupport.get(modelName) === true;
+  }
+
+  /**
+   * Pick the model that answers image requests: the configured vision model,
+   * else the current model if it can see, else the first installed model
+   * that can
+   * @returns {string|null} - Model name, or null if none accepts images
+   */
+  getVisionModel() {
+    if (this.visionModel && this.isModelAvailable(this.visionModel)) {
+      return this.visionModel;
+    }
+
+    if (this.isVisionModel(this.currentModel)) {
+      return this.currentModel;
+    }
+
+    const model = this.availableModels.find(m => this.isVisionModel(m.name));
+    return model ? model.name : null;
+  }
+
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      multimodal: !!this.getVisionModel(),
+      toolCalling: this.isToolModel(this.currentModel),
+      modelManagement: true,
+      local: true,
+    };
+  }
+
+  /**
+   * Download a model from the Ollama library, emitting 'pull-progress' as
+   * layers arrive
+   * @param {string} modelName - Model to pull (e.g. 'llama3.2:3b')
+   * @returns {Promise<Array>} - The refreshed list of installed models
+   */
+  async pullModel(modelName) {
+    if (!modelName || modelName.trim().length === 0) {
+      throw new Error('Model name is required');
+    }
+
+    if (this.activePulls.has(modelName)) {
+      throw new Error(`Model '${modelName}' is already being pulled`);
+    }
+
+    const controller = new AbortController();
+    this.activePulls.set(modelName, controller);
+
+    try {
+      const response = await this.request('/pull', {
+        method: 'POST',
+        body: JSON.stringify({ model: modelName, stream: true }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const errorMessage = await this.getErrorMessage(response);
+        throw new Error(`HTTP ${response.status}: ${errorMessage}`);
+      }
+
+      let succeeded = false;
+
+      for await (const data of readNDJSON(response.body)) {
+        if (data.error) {
+          throw new Error(data.error);
+        }
+
+        this.emit('pull-progress', {
+          model: modelName,
+          status: data.status,
+          completed: data.completed || 0,
+          total: data.total || 0,
+          percent: data.total
+            ? Math.round(((data.completed || 0) / data.total) * 100)
+            : null,
+          timestamp: Date.now(),
+        });
+
+        if (data.status === 'success') {
+          succeeded = true;
+          break;
+        }
+      }
+
+      if (!succeeded) {
+        throw new Error('Pull ended before the model was downloaded');
+      }
+
+      const models = await this.loadAvailableModels();
+      this.emit('model-pulled', {
+        model: modelName,
+        timestamp: Date.now(),
+      });
+      return models;
+    } catch (error) {
+      const message =
+        error.name === 'AbortError' ? 'Pull cancelled' : error.message;
+      this.emit('error', {
+        type: 'model-pull-failed',
+        model: modelName,
+        error: message,
+        timestamp: Date.now(),
+      });
+      throw new Error(message);
+    } finally {
+      this.activePulls.delete(modelName);
+    }
+  }
+
+  /**
+   * Stop an in-progress pull; layers already downloaded are kept by Ollama
+   * @param {string} modelName - Model being pulled
+   * @returns {boolean} - Whether a pull was cancelled
+   */
+  cancelPull(modelName) {
+    const controller = this.activePulls.get(modelName);
+    if (!controller) {
+      return false;
+    }
+
+    controller.abort();
+    return true;
+  }
+
+  /**
+   * Remove an installed model. Deleting the current model switches to the
+   * default model, or the first one installed if the default isn't.
+   * @param {string} modelName - Model to delete
+   * @returns {Promise<Array>} - The refreshed list of installed models
+   */
+  async deleteModel(modelName) {
+    try {
+      const response = await this.request('/delete', {
+        method: 'DELETE',
+        body: JSON.stringify({ model: modelName }),
+        signal: AbortSignal.timeout(this.requestTimeout),
+      });
+
+      if (!response.ok) {
+        const errorMessage = await this.getErrorMessage(response);
+        throw new Error(`HTTP ${response.status}: ${errorMessage}`);
+      }
+
+      this.loadedModels.delete(modelName);
+      const models = await this.loadAvailableModels();
+      const wasCurrent = modelName === this.currentModel;
+
+      // The next generation would otherwise fail with "model not found"
+      if (wasCurrent) {
+        const fallback =
+          this.isModelAvailable(this.defaultModel) || models.length === 0
+            ? this.defaultModel
+            : models[0].name;
+        this.currentModel = fallback;
+        this.emit('model-changed', {
+          model: fallback,
+          timestamp: Date.now(),
+        });
+      }
+
+      this.emit('model-deleted', {
+        model: modelName,
+        wasCurrent: wasCurrent,
+        timestamp: Date.now(),
+      });
+      return models;
+    } catch (error) {
+      this.emit('error', {
+        type: 'model-delete-failed',
+        model: modelName,
+        error: error.message,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Inspect an installed model
+   * @param {string} modelName - Model to inspect
+   * @returns {Promise<Object>} - Parameters, template, context length and details
+   */
+  async showModel(modelName) {
+    const response = await this.request('/show', {
+      method: 'POST',
+      body: JSON.stringify({ model: modelName }),
+      signal: AbortSignal.timeout(this.requestTimeout),
+    });
+
+    if (!response.ok) {
+      const errorMessage = await this.getErrorMessage(response);
+      throw new Error(`HTTP ${response.status}: ${errorMessage}`);
+    }
+
+    const data = await response.json();
+    const modelInfo = data.model_info || {};
+    const architecture = modelInfo['general.architecture'];
+
+    return {
+      name: modelName,
+      parameters: data.parameters || '',
+      template: data.template || '',
+      contextLength: architecture
+        ? modelInfo[`${architecture}.context_length`] || null
+        : null,
+      details: data.details || {},
+      capabilities: data.capabilities || [],
+      modifiedAt: data.modified_at,
+    };
+  }
+
+  /**
+   * Embed texts with an embedding model such as nomic-embed-text
+   * @param {Array<string>} texts - Texts to embed
+   * @param {string} model - Embedding model name
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  async embed(texts, model) {
+    const response = await this.request('/embed', {
+      method: 'POST',
+      body: JSON.stringify(this.withKeepAlive({ model: model, input: texts })),
+      signal: AbortSignal.timeout(this.requestTimeout),
+    });
+
+    if (!response.ok) {
+      const errorMessage = await this.getErrorMessage(response);
+      throw new Error(`HTTP ${response.status}: ${errorMessage}`);
+    }
+
+    const data = await response.json();
+    return data.embeddings;
+  }
+
+  /**
+   * List the models currently loaded into memory, refreshing what
+   * isModelLoaded() knows
+   * @returns {Promise<Array>} - Running models with their memory use
+   */
+  async listRunningModels() {
+    const response = await this.request('/ps', {
+      method: 'GET',
+      signal: AbortSignal.timeout(this.requestTimeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const running = (data.models || []).map(model => ({
+      name: model.name,
+      size: model.size,
+      sizeVram: model.size_vram,
+      expiresAt: model.expires_at,
+      details: model.details,
+    }));
+
+    this.loadedModels = new Map(
+      running.map(model => [
+        model.name,
+        Date.parse(model.expiresAt) || Infinity,
+      ])
+    );
+    return running;
+  }
+
+  /**
+   * Whether a model is in memory, going by the last /api/ps listing and the
+   * keep_alive of requests since. Ollama may still unload a model early to
+   * make room for another, so this is a best guess.
+   * @param {string} modelName - Model to look for
+   * @returns {boolean} - Whether the model is loaded
+   */
+  isModelLoaded(modelName) {
+    const expiresAt = this.loadedModels.get(modelName);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  /**
+   * Record that a request has loaded a model for the keep_alive duration
+   * @param {string} modelName - Model the request used
+   */
+  markModelLoaded(modelName) {
+    const keepAliveMs = this.getKeepAliveMs();
+    if (keepAliveMs > 0) {
+      this.loadedModels.set(modelName, Date.now() + keepAliveMs);
+    } else {
+      this.loadedModels.delete(modelName);
+    }
+  }
+
+  /**
+   * Add the configured keep_alive to a request body
+   * @param {Object} body - Request body
+   * @returns {Object} - The body
+   */
+  withKeepAlive(body) {
+    if (this.keepAlive !== null) {
+      body.keep_alive = this.keepAlive;
+    }
+    return body;
+  }
+
+  /**
+   * Load a model into memory with an empty chat request, which Ollama
+   * answers once the model is ready without generating anything
+   * @param {string} modelName - Installed model to load
+   * @returns {Promise<Object|null>} - {model, loadMs}, or null if the model
+   * is not installed or already loaded
+   */
+  async warmUpModel(modelName) {
+    if (!this.isModelAvailable(modelName)) {
+      return null;
+    }
+
+    if (this.isModelLoaded(modelName)) {
+      return null;
+    }
+
+    this.emit('model-loading', {
+      model: modelName,
+      timestamp: Date.now(),
+    });
+
+    try {
+      const response = await this.request('/chat', {
+        method: 'POST',
+        body: JSON.stringify(
+          this.withKeepAlive({ model: modelName, messages: [], stream: false })
+        ),
+        signal: AbortSignal.timeout(this.requestTimeout),
+      });
+
+      if (!response.ok) {
+        const errorMessage = await this.getErrorMessage(response);
+        throw new Error(`HTTP ${response.status}: ${errorMessage}`);
+      }
+
+      const data = await response.json();
+      this.markModelLoaded(modelName);
+      const loaded = {
+        model: modelName,
+        loadMs: this.parseTimings(data).loadMs,
+      };
+      this.emit('model-loaded', { ...loaded, timestamp: Date.now() });
+      return loaded;
+    } catch (error) {
+      this.emit('error', {
+        type: 'warm-up-failed',
+        model: modelName,
+        error: error.message,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Free a model's memory now instead of waiting for keep_alive to expire
+   * @param {string} modelName - Loaded model to unload
+   * @returns {Promise<Array>} - The models still loaded
+   */
+  async unloadModel(modelName) {
+    try {
+      const response = await this.request('/chat', {
+        method: 'POST',
+        body: JSON.stringify({
+          model: modelName,
+          messages: [],
+          stream: false,
+          keep_alive: 0,
+        }),
+        signal: AbortSignal.timeout(this.requestTimeout),
+      });
+
+      if (!response.ok) {
+        const errorMessage = await this.getErrorMessage(response);
+        throw new Error(`HTTP ${response.status}: ${errorMessage}`);
+      }
+
+      this.emit('model-unloaded', {
+        model: modelName,
+        timestamp: Date.now(),
+      });
+      return await this.listRunningModels();
+    } catch (error) {
+      this.emit('error', {
+        type: 'model-unload-failed',
+        model: modelName,
+        error: error.message,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Convert Ollama's nanosecond durations to milliseconds
+   * @param {Object} data - A final (done) response from /api/chat
+   * @returns {Object} - {loadMs, promptMs, generationMs, totalMs}
+   */
+  parseTimings(data) {
+    const toMs = nanoseconds =>
+      Number.isFinite(nanoseconds) ? Math.round(nanoseconds / 1e6) : null;
+
+    return {
+      loadMs: toMs(data.load_duration),
+      promptMs: toMs(data.prompt_eval_duration),
+      generationMs: toMs(data.eval_duration),
+      totalMs: toMs(data.total_duration),
+    };
+  }
+
   async setModel(modelName) {
     if (!this.availableModels.find(m => m.name === modelName)) {
       throw new Error(`Model '${modelName}' not found`);
@@ -115,24 +822,40 @@ class OllamaService extends EventEmitter {
       timestamp: Date.now(),
     });
 
+    if (this.warmUpEnabled) {
+      this.warmUpModel(modelName).catch(() => {});
+    }
+
     return modelName;
   }
 
   async generateResponse(prompt, options = {}) {
     const {
-      model = this.currentModel,
       stream = true,
       temperature = 0.7,
       topP = 0.9,
+      topK = 40,
+      repeatPenalty = 1.1,
       maxTokens = 500,
+      numCtx = null,
+      seed = null,
       stopSequences = [],
+      systemInstruction = '',
+      responseSchema = null,
+      history = [],
+      images = [],
+      tools = [],
+      toolMessages = [],
+      requestId = null,
     } = options;
+    let model = options.model || this.currentModel;
 
     if (!this.isConnected) {
       const error = new Error('Ollama service not connected');
       this.emit('error', {
         type: 'service-not-connected',
         error: error.message,
+        requestId: requestId,
         timestamp: Date.now(),
       });
       throw error;
@@ -143,213 +866,343 @@ class OllamaService extends EventEmitter {
       this.emit('error', {
         type: 'invalid-prompt',
         error: error.message,
+        requestId: requestId,
         timestamp: Date.now(),
       });
       throw error;
     }
 
-    const requestBody = {
+    const messages = this.buildMessages(prompt, history);
+
+    // Images go to a vision model, even if the text model is another one
+    if (images.length > 0) {
+      if (!this.isVisionModel(model)) {
+        model = this.getVisionModel();
+      }
+
+      if (!model) {
+        const error = new Error(
+          'No Ollama vision model is installed; pull one such as llava or llama3.2-vision'
+        );
+        this.emit('error', {
+          type: 'no-vision-model',
+          error: error.message,
+          requestId: requestId,
+          timestamp: Date.now(),
+        });
+        throw error;
+      }
+
+      messages[messages.length - 1].images = images.map(image => image.data);
+    }
+
+    if (systemInstruction) {
+      messages.unshift({ role: 'system', content: systemInstruction });
+    }
+
+    // Earlier rounds of a tool-calling loop follow the prompt
+    for (const message of toolMessages) {
+      messages.push(
+        message.role === 'tool'
+          ? { role: 'tool', content: message.content, tool_name: message.name }
+          : {
+              role: 'assistant',
+              content: message.content || '',
+              tool_calls: message.toolCalls.map(call => ({
+                function: { name: call.name, arguments: call.arguments },
+              })),
+            }
+      );
+    }
+
+    const requestBody = this.withKeepAlive({
       model: model,
-      prompt: prompt,
+      messages: messages,
       stream: stream,
       options: {
         temperature: temperature,
         top_p: topP,
+        top_k: topK,
+        repeat_penalty: repeatPenalty,
         num_predict: maxTokens,
       },
-    };
+    });
+
+    // Without these Ollama uses the model's Modelfile values
+    if (numCtx) {
+      requestBody.options.num_ctx = numCtx;
+    }
+
+    if (Number.isInteger(seed)) {
+      requestBody.options.seed = seed;
+    }
 
     if (stopSequences.length > 0) {
       requestBody.options.stop = stopSequences;
     }
 
+    // Ollama constrains the output to the schema
+    if (responseSchema) {
+      requestBody.format = responseSchema;
+    }
+
+    // A vision model picked for images may not support tools
+    if (tools.length > 0 && this.isToolModel(model)) {
+      requestBody.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters,
+        },
+      }));
+    }
+
+    this.checkCircuit(requestId);
+
+    const generation = this.beginGeneration(requestId);
+
     this.emit('generation-started', {
       model: model,
       prompt: prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''),
       options: options,
+      requestId: requestId,
       timestamp: Date.now(),
     });
 
     let retryCount = 0;
-    const maxRetries = this.maxRetries;
+    let response;
 
-    while (retryCount <= maxRetries) {
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(
-          () => controller.abort(),
-          this.requestTimeout
-        );
-
-        const response = await fetch(`${this.baseUrl}/generate`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(requestBody),
-          signal: controller.signal,
-        });
+    // Loading a model can take longer than answering; say so while it lasts
+    if (!this.isModelLoaded(model)) {
+      this.emit('model-loading', {
+        model: model,
+        requestId: requestId,
+        timestamp: Date.now(),
+      });
+    }
 
-        clearTimeout(timeoutId);
+    try {
+      while (!response) {
+        const controller = this.createRequestController(generation);
 
-        if (!response.ok) {
-          const errorMessage = await this.getErrorMessage(response);
-          throw new Error(`HTTP ${response.status}: ${errorMessage}`);
-        }
+        try {
+          const timeoutId = setTimeout(
+            () => controller.abort(),
+            this.requestTimeout
+          );
 
-        if (stream) {
-          return this.handleStreamingResponse(response);
-        } else {
-          return this.handleNonStreamingResponse(response);
-        }
-      } catch (error) {
-        retryCount++;
-
-        if (error.name === 'AbortError') {
-          this.emit('error', {
-            type: 'timeout',
-            error: `Request timed out after ${this.requestTimeout}ms`,
-            model: model,
-            retryCount: retryCount,
-            timestamp: Date.now(),
-          });
-        } else if (error.message.includes('HTTP 404')) {
-          this.emit('error', {
-            type: 'model-not-found',
-            error: `Model '${model}' not found`,
-            model: model,
-            timestamp: Date.now(),
-          });
-          throw error; // Don't retry for model not found
-        } else if (error.message.includes('HTTP 500')) {
-          this.emit('error', {
-            type: 'server-error',
-            error: 'Ollama server internal error',
-            model: model,
-            retryCount: retryCount,
-            timestamp: Date.now(),
-          });
-        } else {
-          this.emit('error', {
-            type: 'generation-failed',
-            error: error.message,
-            model: model,
-            retryCount: retryCount,
-            timestamp: Date.now(),
+          const attempt = await this.request('/chat', {
+            method: 'POST',
+            body: JSON.stringify(requestBody),
+            signal: controller.signal,
           });
-        }
 
-        if (retryCount > maxRetries) {
-          throw new Error(
-            `Failed after ${maxRetries} retries: ${error.message}`
-          );
-        }
+          clearTimeout(timeoutId);
+
+          if (!attempt.ok) {
+            throw await this.createHttpError(attempt);
+          }
+
+          response = attempt;
+          this.markModelLoaded(model);
+          this.circuitBreaker.recordSuccess();
+        } catch (error) {
+          // A user cancellation aborts the request; it is not a failure
+          if (generation.cancelled) {
+            throw this.handleCancellation(generation, model);
+          }
+
+          retryCount++;
 
-        // Wait before retrying with exponential backoff
-        const delay = this.retryDelay * Math.pow(2, retryCount - 1);
-        await new Promise(resolve => setTimeout(resolve, delay));
+          if (error.name === 'AbortError') {
+            this.emit('error', {
+              type: 'timeout',
+              error: `Request timed out after ${this.requestTimeout}ms`,
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else if (RetryPolicy.classify(error) === 'unreachable') {
+            this.emit('error', {
+              type: 'service-unreachable',
+              error: `${this.displayName} is not reachable at ${this.host}`,
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else if (error.message.includes('HTTP 404')) {
+            this.emit('error', {
+              type: 'model-not-found',
+              error: `Model '${model}' not found`,
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+            throw error; // Don't retry for model not found
+          } else if (error.message.includes('HTTP 500')) {
+            this.emit('error', {
+              type: 'server-error',
+              error: 'Ollama server internal error',
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else {
+            this.emit('error', {
+              type: 'generation-failed',
+              error: error.message,
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          }
+
+          await this.prepareRetry(generation, error, retryCount, model);
+        }
       }
+
+      return stream
+        ? await this.handleStreamingResponse(response, model, generation)
+        : await this.handleNonStreamingResponse(response, generation);
+    } finally {
+      this.endGeneration(generation);
     }
   }
 
-  async handleStreamingResponse(response) {
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
+  async handleStreamingResponse(response, model, generation) {
     let fullResponse = '';
-    let isComplete = false;
+    let usage = this.createUsage();
+    let timings = null;
+    const toolCalls = [];
 
     try {
-      while (!isComplete) {
-        const { done, value } = await reader.read();
+      for await (const data of readNDJSON(response.body)) {
+        if (data.error) {
+          throw new Error(data.error);
+        }
 
-        if (done) {
-          isComplete = true;
-          break;
+        if (data.message && data.message.tool_calls) {
+          toolCalls.push(...this.parseToolCalls(data.message.tool_calls));
         }
 
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n').filter(line => line.trim());
-
-        for (const line of lines) {
-          try {
-            const data = JSON.parse(line);
-
-            if (data.response) {
-              fullResponse += data.response;
-              this.emit('token-received', {
-                token: data.response,
-                fullResponse: fullResponse,
-                done: data.done || false,
-                timestamp: Date.now(),
-              });
-            }
+        const token = data.message && data.message.content;
+        if (token) {
+          fullResponse += token;
+          this.emit('token-received', {
+            token: token,
+            fullResponse: fullResponse,
+            done: data.done || false,
+            requestId: generation.requestId,
+            timestamp: Date.now(),
+          });
+        }
 
-            if (data.done) {
-              isComplete = true;
-              this.emit('generation-completed', {
-                fullResponse: fullResponse,
-                model: data.model,
-                usage: data.usage,
-                timestamp: Date.now(),
-              });
-              break;
-            }
-          } catch (parseError) {
-            console.warn('Failed to parse streaming response:', parseError);
+        if (data.done) {
+          usage = this.createUsage(data.prompt_eval_count, data.eval_count);
+          timings = this.parseTimings(data);
+          // A round that asks for tools isn't the answer yet
+          if (toolCalls.length === 0) {
+            this.emit('generation-completed', {
+              fullResponse: fullResponse,
+              model: data.model,
+              usage: usage,
+              timings: timings,
+              requestId: generation.requestId,
+              timestamp: Date.now(),
+            });
           }
+          break;
         }
       }
 
       return {
         response: fullResponse,
         isComplete: true,
-        model: this.currentModel,
+        model: model,
+        usage: usage,
+        timings: timings,
+        toolCalls: toolCalls,
       };
     } catch (error) {
+      if (generation.cancelled) {
+        throw this.handleCancellation(generation, model, fullResponse);
+      }
+
       this.emit('error', {
-        type: 'streaming-failed',
+        type:
+          error instanceof StreamParseError
+            ? 'malformed-stream'
+            : 'streaming-failed',
         error: error.message,
+        requestId: generation.requestId,
         timestamp: Date.now(),
       });
       throw error;
-    } finally {
-      reader.releaseLock();
     }
   }
 
-  async handleNonStreamingResponse(response) {
+  async handleNonStreamingResponse(response, generation) {
     try {
       const data = await response.json();
+      const fullResponse = data.message ? data.message.content : '';
+      const usage = this.createUsage(data.prompt_eval_count, data.eval_count);
+      const timings = this.parseTimings(data);
+      const toolCalls = this.parseToolCalls(
+        (data.message && data.message.tool_calls) || []
+      );
 
-      this.emit('generation-completed', {
-        fullResponse: data.response,
-        model: data.model,
-        usage: data.usage,
-        timestamp: Date.now(),
-      });
+      if (toolCalls.length === 0) {
+        this.emit('generation-completed', {
+          fullResponse: fullResponse,
+          model: data.model,
+          usage: usage,
+          timings: timings,
+          requestId: generation.requestId,
+          timestamp: Date.now(),
+        });
+      }
 
       return {
-        response: data.response,
+        response: fullResponse,
         isComplete: true,
         model: data.model,
+        usage: usage,
+        timings: timings,
+        toolCalls: toolCalls,
       };
     } catch (error) {
       this.emit('error', {
         type: 'response-parsing-failed',
         error: error.message,
+        requestId: generation.requestId,
         timestamp: Date.now(),
       });
       throw error;
     }
   }
 
+  /**
+   * Convert Ollama's tool_calls to the shared {id, name, arguments} shape.
+   * Ollama doesn't number its calls, so ids are made up here.
+   * @param {Array<Object>} toolCalls - message.tool_calls from a response
+   * @returns {Array<Object>} - Tool calls
+   */
+  parseToolCalls(toolCalls) {
+    return toolCalls.map(call => ({
+      id: `call_${randomUUID()}`,
+      name: call.function.name,
+      arguments: call.function.arguments || {},
+    }));
+  }
+
   async validateModel(modelName) {
     try {
-      const response = await fetch(`${this.baseUrl}/show`, {
+      const response = await this.request('/show', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({ name: modelName }),
         signal: AbortSignal.timeout(this.requestTimeout),
       });
@@ -360,7 +1213,7 @@ class OllamaService extends EventEmitter {
 
       const data = await response.json();
       return !!data.model;
-    } catch (error) {
+    } catch {
       return false;
     }
   }
@@ -368,31 +1221,25 @@ class OllamaService extends EventEmitter {
   getStatus() {
     return {
       connected: this.isConnected,
+      host: this.host,
+      authType: this.authType,
+      keepAlive: this.keepAlive,
+      warmUp: this.warmUpEnabled,
       currentModel: this.currentModel,
+      visionModel: this.getVisionModel(),
       availableModels: this.availableModels,
       defaultModel: this.defaultModel,
       requestTimeout: this.requestTimeout,
-      maxRetries: this.maxRetries,
+      maxRetries: this.retryPolicy.maxRetries,
+      circuit: this.circuitBreaker.getState(),
     };
   }
 
-  getAvailableModels() {
-    return this.availableModels;
-  }
-
-  getCurrentModel() {
-    return this.currentModel;
-  }
-
-  isModelAvailable(modelName) {
-    return this.availableModels.some(model => model.name === modelName);
-  }
-
   async healthCheck() {
     try {
       await this.checkConnection();
       return true;
-    } catch (error) {
+    } catch {
       return false;
     }
   }
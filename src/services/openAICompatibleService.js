@@ -0,0 +1,548 @@
+const BaseAIService = require('./baseAIService');
+const RetryPolicy = require('./retryPolicy');
+const { readSSE, parseEventData, StreamParseError } = require('./streamParser');
+const { httpFetch } = require('./httpClient');
+
+/**
+ * Backend for any server that speaks the OpenAI chat completions protocol
+ * (vLLM, llama.cpp server, LM Studio, hosted OpenAI-compatible APIs, ...).
+ */
+class OpenAICompatibleService extends BaseAIService {
+  constructor(secureStorageService = null, config = {}) {
+    super('openai-compatible', 'OpenAI-compatible');
+
+    this.secureStorage = secureStorageService;
+    this.baseUrl = OpenAICompatibleService.normalizeBaseUrl(
+      config.openAICompatibleBaseUrl || 'http://localhost:8000/v1'
+    );
+    this.currentModel = config.openAICompatibleModel || null;
+    this.apiKey = null; // Optional, loaded from secure storage
+    this.requestTimeout = 120000; // 2 minutes for slow self-hosted servers
+  }
+
+  /**
+   * Strip trailing slashes so endpoint paths can be appended safely
+   * @param {string} baseUrl - The configured base URL
+   * @returns {string} - The normalized base URL
+   */
+  static normalizeBaseUrl(baseUrl) {
+    return String(baseUrl).trim().replace(/\/+$/, '');
+  }
+
+  async initialize() {
+    try {
+      this.loadApiKey();
+      await this.checkConnection();
+      await this.loadAvailableModels();
+
+      // Default to the first served model if none was configured
+      if (!this.currentModel && this.availableModels.length > 0) {
+        this.currentModel = this.availableModels[0].name;
+      }
+
+      this.isConnected = true;
+      this.emit('initialized', {
+        connected: true,
+        baseUrl: this.baseUrl,
+        models: this.availableModels,
+        currentModel: this.currentModel,
+        timestamp: Date.now(),
+      });
+      return true;
+    } catch (error) {
+      this.isConnected = false;
+      this.emit('error', {
+        type: 'initialization-failed',
+        error: error.message,
+        timestamp: Date.now(),
+      });
+      return false;
+    }
+  }
+
+  async applySettings(config) {
+    const baseUrl = config.openAICompatibleBaseUrl
+      ? OpenAICompatibleService.normalizeBaseUrl(config.openAICompatibleBaseUrl)
+      : this.baseUrl;
+    const model = config.openAICompatibleModel || this.currentModel;
+
+    const baseUrlChanged = baseUrl !== this.baseUrl;
+    this.baseUrl = baseUrl;
+    this.currentModel = model;
+
+    // Reconnect so a new URL or key takes effect immediately
+    if (baseUrlChanged || !this.isConnected || this.hasApiKeyChanged()) {
+      await this.initialize();
+    }
+  }
+
+  loadApiKey() {
+    this.apiKey = this.secureStorage
+      ? this.secureStorage.retrieveOpenAICompatibleApiKey()
+      : process.env.OPENAI_API_KEY || null;
+    return this.apiKey;
+  }
+
+  hasApiKeyChanged() {
+    const previousKey = this.apiKey;
+    return this.loadApiKey() !== previousKey;
+  }
+
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  async checkConnection() {
+    try {
+      const response = await httpFetch(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(this.requestTimeout),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      this.emit('connection-checked', {
+        connected: true,
+        baseUrl: this.baseUrl,
+        timestamp: Date.now(),
+      });
+      return true;
+    } catch (error) {
+      this.emit('connection-checked', {
+        connected: false,
+        baseUrl: this.baseUrl,
+        error: error.message,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  async loadAvailableModels() {
+    try {
+      const response = await httpFetch(`${this.baseUrl}/models`, {
+        method: 'GET',
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(this.requestTimeout),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      this.availableModels = (data.data || []).map(model => ({
+        name: model.id,
+        ownedBy: model.owned_by,
+        created: model.created,
+      }));
+
+      this.emit('models-loaded', {
+        models: this.availableModels,
+        count: this.availableModels.length,
+        timestamp: Date.now(),
+      });
+
+      return this.availableModels;
+    } catch (error) {
+      this.emit('error', {
+        type: 'models-load-failed',
+        error: error.message,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  async listModels() {
+    return this.loadAvailableModels();
+  }
+
+  setModel(modelName) {
+    if (!modelName || typeof modelName !== 'string') {
+      throw new Error('Invalid model name');
+    }
+
+    // Some servers do not list every model they can serve, so only warn
+    if (this.availableModels.length > 0 && !this.isModelAvailable(modelName)) {
+      console.warn(`Model '${modelName}' is not listed by ${this.baseUrl}`);
+    }
+
+    this.currentModel = modelName;
+    this.emit('model-changed', {
+      model: modelName,
+      timestamp: Date.now(),
+    });
+
+    return true;
+  }
+
+  async generateResponse(prompt, options = {}) {
+    const {
+      model = this.currentModel,
+      stream = true,
+      temperature = 0.7,
+      topP = 0.9,
+      maxTokens = 500,
+      stopSequences = [],
+      systemInstruction = '',
+      responseSchema = null,
+      history = [],
+      requestId = null,
+    } = options;
+
+    if (!this.isConnected) {
+      const error = new Error('OpenAI-compatible service not connected');
+      this.emit('error', {
+        type: 'service-not-connected',
+        error: error.message,
+        requestId: requestId,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+
+    if (!prompt || prompt.trim().length === 0) {
+      const error = new Error('Empty prompt provided');
+      this.emit('error', {
+        type: 'invalid-prompt',
+        error: error.message,
+        requestId: requestId,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+
+    const messages = this.buildMessages(prompt, history);
+    if (systemInstruction) {
+      messages.unshift({ role: 'system', content: systemInstruction });
+    }
+
+    const requestBody = {
+      model: model,
+      messages: messages,
+      stream: stream,
+      temperature: temperature,
+      top_p: topP,
+      max_tokens: maxTokens,
+    };
+
+    // Streamed replies only end with a usage chunk when asked for one
+    if (stream) {
+      requestBody.stream_options = { include_usage: true };
+    }
+
+    if (stopSequences.length > 0) {
+      requestBody.stop = stopSequences;
+    }
+
+    if (responseSchema) {
+      requestBody.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: responseSchema },
+      };
+    }
+
+    this.checkCircuit(requestId);
+
+    const generation = this.beginGeneration(requestId);
+
+    this.emit('generation-started', {
+      model: model,
+      prompt: prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''),
+      options: options,
+      requestId: requestId,
+      timestamp: Date.now(),
+    });
+
+    let retryCount = 0;
+    let response;
+
+    try {
+      while (!response) {
+        const controller = this.createRequestController(generation);
+
+        try {
+          const timeoutId = setTimeout(
+            () => controller.abort(),
+            this.requestTimeout
+          );
+
+          const attempt = await httpFetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(requestBody),
+            signal: controller.signal,
+          });
+
+          clearTimeout(timeoutId);
+
+          if (!attempt.ok) {
+            throw await this.createHttpError(attempt);
+          }
+
+          response = attempt;
+          this.circuitBreaker.recordSuccess();
+        } catch (error) {
+          // A user cancellation aborts the request; it is not a failure
+          if (generation.cancelled) {
+            throw this.handleCancellation(generation, model);
+          }
+
+          retryCount++;
+
+          if (error.name === 'AbortError') {
+            this.emit('error', {
+              type: 'timeout',
+              error: `Request timed out after ${this.requestTimeout}ms`,
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else if (RetryPolicy.classify(error) === 'unreachable') {
+            this.emit('error', {
+              type: 'service-unreachable',
+              error: `${this.displayName} is not reachable at ${this.baseUrl}`,
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else if (
+            error.message.includes('HTTP 401') ||
+            error.message.includes('HTTP 403')
+          ) {
+            this.emit('error', {
+              type: 'invalid-api-key',
+              error: 'API key was rejected by the server',
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+            throw error; // Don't retry for invalid API key
+          } else if (error.message.includes('HTTP 404')) {
+            this.emit('error', {
+              type: 'model-not-found',
+              error: `Model '${model}' not found`,
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+            throw error; // Don't retry for model not found
+          } else if (error.message.includes('HTTP 400')) {
+            this.emit('error', {
+              type: 'invalid-request',
+              error: 'Invalid request parameters',
+              model: model,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+            throw error; // Don't retry for invalid requests
+          } else if (error.message.includes('HTTP 429')) {
+            this.emit('error', {
+              type: 'rate-limited',
+              error: 'Rate limit exceeded',
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          } else {
+            this.emit('error', {
+              type: 'generation-failed',
+              error: error.message,
+              model: model,
+              retryCount: retryCount,
+              requestId: requestId,
+              timestamp: Date.now(),
+            });
+          }
+
+          await this.prepareRetry(generation, error, retryCount, model);
+        }
+      }
+
+      return stream
+        ? await this.handleStreamingResponse(response, model, generation)
+        : await this.handleNonStreamingResponse(response, model, generation);
+    } finally {
+      this.endGeneration(generation);
+    }
+  }
+
+  async handleStreamingResponse(response, model, generation) {
+    let fullResponse = '';
+    let finishReason = null;
+    let usage;
+
+    try {
+      for await (const event of readSSE(response.body)) {
+        if (event.data === '[DONE]') {
+          return this.completeGeneration(
+            fullResponse,
+            model,
+            finishReason,
+            usage,
+            generation
+          );
+        }
+
+        const data = parseEventData(event);
+        if (data.error) {
+          throw new Error(data.error.message || 'Stream error');
+        }
+
+        const choice = data.choices && data.choices[0];
+        const token = choice && choice.delta && choice.delta.content;
+
+        if (token) {
+          fullResponse += token;
+          this.emit('token-received', {
+            token: token,
+            fullResponse: fullResponse,
+            done: false,
+            model: data.model || model,
+            requestId: generation.requestId,
+            timestamp: Date.now(),
+          });
+        }
+
+        if (choice && choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+
+        if (data.usage) {
+          usage = data.usage;
+        }
+      }
+
+      // Some servers close the stream without sending [DONE]
+      return this.completeGeneration(
+        fullResponse,
+        model,
+        finishReason,
+        usage,
+        generation
+      );
+    } catch (error) {
+      if (generation.cancelled) {
+        throw this.handleCancellation(generation, model, fullResponse);
+      }
+
+      this.emit('error', {
+        type:
+          error instanceof StreamParseError
+            ? 'malformed-stream'
+            : 'streaming-failed',
+        error: error.message,
+        requestId: generation.requestId,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  completeGeneration(fullResponse, model, finishReason, usage, generation) {
+    // Servers that ignore stream_options send no usage with streamed replies
+    const tokens = usage
+      ? this.createUsage(usage.prompt_tokens, usage.completion_tokens)
+      : this.createUsage();
+
+    this.emit('generation-completed', {
+      fullResponse: fullResponse,
+      model: model,
+      finishReason: finishReason,
+      usage: tokens,
+      requestId: generation.requestId,
+      timestamp: Date.now(),
+    });
+
+    return {
+      response: fullResponse,
+      isComplete: true,
+      model: model,
+      usage: tokens,
+    };
+  }
+
+  async handleNonStreamingResponse(response, model, generation) {
+    try {
+      const data = await response.json();
+      const choice = data.choices && data.choices[0];
+
+      if (!choice || !choice.message) {
+        throw new Error('Invalid response format from OpenAI-compatible API');
+      }
+
+      return this.completeGeneration(
+        choice.message.content || '',
+        data.model || model,
+        choice.finish_reason,
+        data.usage,
+        generation
+      );
+    } catch (error) {
+      this.emit('error', {
+        type: 'response-parsing-failed',
+        error: error.message,
+        requestId: generation.requestId,
+        timestamp: Date.now(),
+      });
+      throw error;
+    }
+  }
+
+  getStatus() {
+    return {
+      connected: this.isConnected,
+      model: this.currentModel,
+      baseUrl: this.baseUrl,
+      availableModels: this.availableModels,
+      apiKeyConfigured: !!this.apiKey,
+      requestTimeout: this.requestTimeout,
+      maxRetries: this.retryPolicy.maxRetries,
+      circuit: this.circuitBreaker.getState(),
+    };
+  }
+
+  async healthCheck() {
+    try {
+      await this.checkConnection();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getErrorMessage(response) {
+    try {
+      const errorText = await response.text();
+      try {
+        const errorJson = JSON.parse(errorText);
+        return (
+          errorJson.error?.message ||
+          errorJson.error ||
+          errorJson.message ||
+          response.statusText
+        );
+      } catch {
+        return errorText || response.statusText;
+      }
+    } catch {
+      return response.statusText;
+    }
+  }
+}
+
+module.exports = OpenAICompatibleService;
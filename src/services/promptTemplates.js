@@ -0,0 +1,154 @@
+/**
+ * Prompt templates run on demand against the last clipboard content.
+ *
+ * A template has a `name`, a `prompt` in which `{content}` is replaced by
+ * the clipboard text (the text is appended when the placeholder is missing)
+ * and optionally a JSON `schema`. Templates with a schema ask the backend
+ * for JSON and their answers are validated against it.
+ */
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'extract-todos',
+    name: 'Extract TODOs',
+    prompt:
+      'List every task, TODO or action item in the following text, with its owner and due date where the text gives them.\n\n{content}',
+    schema: {
+      type: 'object',
+      properties: {
+        todos: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              task: { type: 'string' },
+              owner: { type: ['string', 'null'] },
+              due: { type: ['string', 'null'] },
+            },
+            required: ['task'],
+          },
+        },
+      },
+      required: ['todos'],
+    },
+  },
+  {
+    id: 'parse-address',
+    name: 'Parse address',
+    prompt:
+      'Split the following postal address into its parts. Use null for parts that are missing.\n\n{content}',
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: ['string', 'null'] },
+        street: { type: ['string', 'null'] },
+        city: { type: ['string', 'null'] },
+        region: { type: ['string', 'null'] },
+        postalCode: { type: ['string', 'null'] },
+        country: { type: ['string', 'null'] },
+      },
+      required: ['street', 'city', 'postalCode', 'country'],
+    },
+  },
+  {
+    id: 'classify-log-line',
+    name: 'Classify log line',
+    prompt:
+      'Classify the following log output: its severity, the component that logged it and a one-sentence summary of what happened.\n\n{content}',
+    schema: {
+      type: 'object',
+      properties: {
+        severity: {
+          type: 'string',
+          enum: ['debug', 'info', 'warning', 'error', 'critical'],
+        },
+        component: { type: ['string', 'null'] },
+        summary: { type: 'string' },
+      },
+      required: ['severity', 'summary'],
+    },
+  },
+];
+
+function toTemplateId(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Validate templates saved from the settings window
+ * @param {Array<Object>} templates - {name, prompt, schema?} entries
+ * @returns {Array<Object>} - Valid templates with an `id` derived from the name
+ */
+function normalizePromptTemplates(templates) {
+  if (!Array.isArray(templates)) {
+    return [];
+  }
+
+  return templates
+    .filter(
+      template =>
+        template &&
+        typeof template.name === 'string' &&
+        template.name.trim() &&
+        typeof template.prompt === 'string' &&
+        template.prompt.trim()
+    )
+    .map(template => {
+      const normalized = {
+        id: toTemplateId(template.name),
+        name: template.name.trim(),
+        prompt: template.prompt,
+      };
+      if (template.schema && typeof template.schema === 'object') {
+        normalized.schema = template.schema;
+      }
+      return normalized;
+    });
+}
+
+/**
+ * Built-in templates followed by the user's; a user template with the same
+ * name replaces the built-in one
+ * @param {Array<Object>} userTemplates - Normalized user templates
+ * @returns {Array<Object>} - Every available template
+ */
+function getPromptTemplates(userTemplates = []) {
+  const templates = new Map(
+    BUILT_IN_TEMPLATES.map(template => [template.id, template])
+  );
+  for (const template of userTemplates) {
+    templates.set(template.id, template);
+  }
+  return Array.from(templates.values());
+}
+
+/**
+ * Build the prompt for running a template on some content
+ * @param {Object} template - The template
+ * @param {string} content - Clipboard text; empty for images
+ * @returns {string} - The prompt to send
+ */
+function renderTemplatePrompt(template, content) {
+  let prompt = template.prompt.includes('{content}')
+    ? template.prompt.split('{content}').join(content)
+    : `${template.prompt}\n\n${content}`;
+
+  // Spelled out for backends without native JSON output
+  if (template.schema) {
+    prompt +=
+      '\n\nReply with JSON only, without Markdown, matching this JSON schema:\n' +
+      JSON.stringify(template.schema);
+  }
+
+  return prompt.trim();
+}
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  normalizePromptTemplates,
+  getPromptTemplates,
+  renderTemplatePrompt,
+};
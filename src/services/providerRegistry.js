@@ -0,0 +1,264 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Registry of AI backends keyed by provider id.
+ *
+ * Each provider is registered with a definition describing how to build its
+ * service. The main process only talks to the registry, so adding a backend
+ * means registering it here instead of branching on its name elsewhere.
+ */
+class ProviderRegistry extends EventEmitter {
+  /**
+   * @param {Object} context - Shared dependencies handed to provider factories
+   */
+  constructor(context = {}) {
+    super();
+    this.context = context;
+    this.definitions = new Map();
+    this.services = new Map();
+    this.defaultProviderId = null;
+  }
+
+  /**
+   * Register a provider definition
+   * @param {string} id - Unique provider id (e.g. 'ollama')
+   * @param {Object} definition - Provider definition
+   * @param {string} definition.displayName - Human readable name
+   * @param {Function} definition.create - Factory receiving the registry context
+   * @param {Function} [definition.isConfigured] - Whether the provider can be created
+   * @param {boolean} [definition.isDefault] - Use as fallback when others are unavailable
+   * @param {string|Function} [definition.connectionHint] - Advice shown when
+   * not connected, or a function building it from the service
+   * @param {string} [definition.unconfiguredReason] - Why the provider is unavailable
+   * @param {Array<string>} [definition.settingsKeys] - Backend config keys it owns
+   */
+  register(id, definition) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('Provider id must be a non-empty string');
+    }
+
+    if (!definition || typeof definition.create !== 'function') {
+      throw new Error(`Provider '${id}' must define a create() factory`);
+    }
+
+    if (this.definitions.has(id)) {
+      throw new Error(`Provider '${id}' is already registered`);
+    }
+
+    this.definitions.set(id, {
+      displayName: id,
+      settingsKeys: [],
+      connectionHint: '',
+      unconfiguredReason: `${definition.displayName || id} is not configured`,
+      ...definition,
+      id,
+    });
+
+    if (!this.defaultProviderId || definition.isDefault) {
+      this.defaultProviderId = id;
+    }
+
+    this.emit('provider-registered', { id, timestamp: Date.now() });
+  }
+
+  has(id) {
+    return this.definitions.has(id);
+  }
+
+  getDefinition(id) {
+    return this.definitions.get(id) || null;
+  }
+
+  /**
+   * Advice for a provider whose service is not connected
+   * @param {string} id - Provider id
+   * @returns {string} - The hint, empty if the provider has none
+   */
+  getConnectionHint(id) {
+    const definition = this.getDefinition(id);
+    const service = this.getService(id);
+    if (!definition) {
+      return '';
+    }
+
+    return typeof definition.connectionHint === 'function'
+      ? definition.connectionHint(service)
+      : definition.connectionHint;
+  }
+
+  getDefaultProviderId() {
+    return this.defaultProviderId;
+  }
+
+  getProviderIds() {
+    return Array.from(this.definitions.keys());
+  }
+
+  getService(id) {
+    return this.services.get(id) || null;
+  }
+
+  /**
+   * Collect the backend configuration keys owned by registered providers
+   * @returns {Array<string>} - Settings keys
+   */
+  getSettingsKeys() {
+    return Array.from(this.definitions.values()).flatMap(
+      definition => definition.settingsKeys
+    );
+  }
+
+  /**
+   * Check whether a provider has everything it needs to be created
+   * @param {string} id - Provider id
+   * @returns {boolean} - Whether the provider is configured
+   */
+  isConfigured(id) {
+    const definition = this.getDefinition(id);
+    if (!definition) {
+      return false;
+    }
+
+    if (typeof definition.isConfigured !== 'function') {
+      return true;
+    }
+
+    try {
+      return !!definition.isConfigured(this.context);
+    } catch (error) {
+      console.error(`Failed to check configuration for ${id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Create and initialize a provider's service if it is configured
+   * @param {string} id - Provider id
+   * @returns {Promise<Object|null>} - The service, or null if unavailable
+   */
+  async initializeProvider(id) {
+    const definition = this.getDefinition(id);
+    if (!definition) {
+      throw new Error(`Unknown provider '${id}'`);
+    }
+
+    if (!this.isConfigured(id)) {
+      console.log(
+        `${definition.displayName}: ${definition.unconfiguredReason}`
+      );
+      return null;
+    }
+
+    let service = this.getService(id);
+    if (!service) {
+      service = definition.create(this.context);
+      this.services.set(id, service);
+      this.emit('provider-created', { id, service, timestamp: Date.now() });
+    }
+
+    const initialized = await service.initialize();
+    this.emit('provider-initialized', {
+      id,
+      initialized,
+      timestamp: Date.now(),
+    });
+
+    return service;
+  }
+
+  /**
+   * Initialize every registered provider in registration order
+   * @returns {Promise<Object>} - Map of provider id to initialization result
+   */
+  async initializeAll() {
+    const results = {};
+
+    for (const id of this.getProviderIds()) {
+      try {
+        const service = await this.initializeProvider(id);
+        results[id] = !!(service && service.isConnected);
+      } catch (error) {
+        console.error(`Error initializing ${id} provider:`, error);
+        results[id] = false;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Push saved settings to every provider, creating providers that became
+   * configured since startup (e.g. after an API key was saved)
+   * @param {Object} config - The persisted backend configuration
+   */
+  async applySettings(config) {
+    for (const id of this.getProviderIds()) {
+      try {
+        const service = this.getService(id);
+        if (service) {
+          await service.applySettings(config);
+        } else if (this.isConfigured(id)) {
+          await this.initializeProvider(id);
+        }
+      } catch (error) {
+        console.error(`Failed to apply settings to ${id} provider:`, error);
+      }
+    }
+  }
+
+  /**
+   * Summarize every registered provider for the settings UI
+   * @returns {Array<Object>} - Provider summaries
+   */
+  listProviders() {
+    return this.getProviderIds().map(id => {
+      const definition = this.getDefinition(id);
+      const service = this.getService(id);
+
+      return {
+        id,
+        displayName: definition.displayName,
+        isDefault: id === this.defaultProviderId,
+        configured: this.isConfigured(id),
+        initialized: !!service,
+        connected: !!(service && service.isConnected),
+        currentModel: service ? service.getCurrentModel() : null,
+        capabilities: service ? service.getCapabilities() : null,
+      };
+    });
+  }
+
+  /**
+   * Cancel in-flight generations on every created service
+   * @param {string} [requestId] - Only cancel this request; all if omitted
+   * @returns {boolean} - Whether any generation was cancelled
+   */
+  cancelAll(requestId) {
+    let cancelled = false;
+
+    for (const service of this.services.values()) {
+      cancelled = service.cancel(requestId) || cancelled;
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Remove listeners from every created service
+   */
+  dispose() {
+    for (const [id, service] of this.services) {
+      try {
+        service.cancel();
+        service.removeAllListeners();
+      } catch (error) {
+        console.error(`Error cleaning up ${id} provider:`, error);
+      }
+    }
+
+    this.services.clear();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = ProviderRegistry;
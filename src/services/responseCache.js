@@ -0,0 +1,203 @@
+const Store = require('electron-store').default;
+const { EventEmitter } = require('events');
+const { createHash } = require('crypto');
+
+// Generation options that change what a backend answers
+const CACHE_KEY_OPTIONS = [
+  'temperature',
+  'maxTokens',
+  'topP',
+  'topK',
+  'repeatPenalty',
+  'numCtx',
+  'seed',
+  'stopSequences',
+  'systemInstruction',
+  'safetySettings',
+];
+
+/**
+ * On-disk LRU cache of generated responses.
+ *
+ * Entries are keyed by a hash of everything that shapes a response, so the
+ * same clipboard content analysed with the same prompt, backend, model and
+ * options is answered from disk. Entries expire after `ttlMs` and the least
+ * recently used ones are evicted once the cache grows past `maxBytes`.
+ */
+class ResponseCache extends EventEmitter {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {Object} [options.store] - electron-store compatible store
+   * @param {number} [options.ttlMs] - How long an entry stays valid
+   * @param {number} [options.maxBytes] - Size cap for stored responses
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || new Store({ name: 'response-cache' });
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+    this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+
+    // Map iteration order doubles as LRU order: oldest first
+    this.entries = new Map(this.store.get('entries', []));
+    this.totalBytes = 0;
+    for (const entry of this.entries.values()) {
+      this.totalBytes += entry.size;
+    }
+  }
+
+  /**
+   * Build the cache key for a generation
+   * @param {Object} request - What the response depends on
+   * @param {string} request.content - Sanitized clipboard content
+   * @param {string} request.prompt - The rendered prompt
+   * @param {string} request.backend - Provider id
+   * @param {string} request.model - Model name
+   * @param {Object} [request.options] - Generation options
+   * @returns {string} - Hex SHA-256 digest
+   */
+  static createKey({ content, prompt, backend, model, options = {} }) {
+    const keyOptions = {};
+    for (const name of CACHE_KEY_OPTIONS) {
+      if (options[name] !== undefined) {
+        keyOptions[name] = options[name];
+      }
+    }
+
+    return createHash('sha256')
+      .update(
+        JSON.stringify([content, prompt, backend, model || null, keyOptions])
+      )
+      .digest('hex');
+  }
+
+  /**
+   * Update the expiry and size limits, evicting entries that no longer fit
+   * @param {Object} limits - {ttlMs, maxBytes}
+   */
+  configure({ ttlMs, maxBytes } = {}) {
+    if (ttlMs > 0) {
+      this.ttlMs = ttlMs;
+    }
+    if (maxBytes > 0) {
+      this.maxBytes = maxBytes;
+    }
+
+    if (this.evict()) {
+      this.save();
+    }
+  }
+
+  /**
+   * Look up a cached response and mark it as recently used
+   * @param {string} key - Key from createKey()
+   * @returns {Object|null} - The cached entry, or null on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() - entry.createdAt > this.ttlMs) {
+      this.delete(key);
+      this.save();
+      return null;
+    }
+
+    // Re-insert to move the entry to the most recently used end
+    this.entries.delete(key);
+    entry.lastUsedAt = Date.now();
+    this.entries.set(key, entry);
+    this.save();
+
+    this.emit('cache-hit', { key, timestamp: Date.now() });
+    return entry;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Key from createKey()
+   * @param {Object} value - {response, backend, model, contentType}
+   */
+  set(key, { response, backend, model, contentType }) {
+    if (this.entries.has(key)) {
+      this.delete(key);
+    }
+
+    const now = Date.now();
+    const entry = {
+      response: response,
+      backend: backend,
+      model: model || null,
+      contentType: contentType || null,
+      createdAt: now,
+      lastUsedAt: now,
+      size: Buffer.byteLength(response || '', 'utf8'),
+    };
+
+    // A response bigger than the whole cache would only evict everything
+    if (entry.size > this.maxBytes) {
+      return;
+    }
+
+    this.entries.set(key, entry);
+    this.totalBytes += entry.size;
+    this.evict();
+    this.save();
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.totalBytes -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Drop expired entries, then least recently used ones until under maxBytes
+   * @returns {boolean} - Whether anything was removed
+   */
+  evict() {
+    const now = Date.now();
+    const before = this.entries.size;
+
+    for (const [key, entry] of this.entries) {
+      if (now - entry.createdAt > this.ttlMs) {
+        this.delete(key);
+      }
+    }
+
+    while (this.totalBytes > this.maxBytes && this.entries.size > 0) {
+      this.delete(this.entries.keys().next().value);
+    }
+
+    return this.entries.size !== before;
+  }
+
+  save() {
+    try {
+      this.store.set('entries', Array.from(this.entries));
+    } catch (error) {
+      console.error('Failed to persist response cache:', error);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+    this.save();
+    this.emit('cache-cleared', { timestamp: Date.now() });
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs,
+    };
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,123 @@
+// Statuses that mean "try again later" rather than "this request is wrong"
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+
+// Connection errors where nothing is listening; retrying within seconds
+// won't help (e.g. the Ollama daemon isn't running)
+const UNREACHABLE_CODES = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+];
+
+/**
+ * Decides whether a failed request is retried and how long to wait.
+ *
+ * Errors are classified as 'retryable' (timeouts, rate limits, server
+ * errors, dropped connections), 'unreachable' (nothing listening at the
+ * address) or 'fatal' (the request itself was rejected). Waits grow
+ * exponentially with jitter so parallel requests don't retry in lockstep,
+ * and a server's Retry-After takes precedence when present.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options] - Policy options
+   * @param {number} [options.maxRetries] - Retries after the first attempt
+   * @param {number} [options.baseDelay] - Delay before the first retry in ms
+   * @param {number} [options.maxDelay] - Cap on the exponential delay in ms
+   * @param {number} [options.maxRetryAfter] - Longest Retry-After to wait for
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelay = options.baseDelay || 1000;
+    this.maxDelay = options.maxDelay || 30000;
+    this.maxRetryAfter = options.maxRetryAfter || 60000;
+  }
+
+  /**
+   * Parse a Retry-After header, which is either seconds or an HTTP date
+   * @param {string|null} value - The header value
+   * @returns {number|null} - Milliseconds to wait, or null if absent/invalid
+   */
+  static parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const trimmed = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+      return Math.round(parseFloat(trimmed) * 1000);
+    }
+
+    const date = Date.parse(trimmed);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Classify a failed attempt
+   * @param {Error} error - The error thrown by the attempt
+   * @returns {string} - 'retryable', 'unreachable' or 'fatal'
+   */
+  static classify(error) {
+    if (error.status) {
+      return RETRYABLE_STATUSES.includes(error.status) ? 'retryable' : 'fatal';
+    }
+
+    // fetch reports socket errors as a TypeError with the code on `cause`
+    const code = error.code || (error.cause && error.cause.code);
+    if (UNREACHABLE_CODES.includes(code)) {
+      return 'unreachable';
+    }
+
+    return 'retryable';
+  }
+
+  /**
+   * Whether a failure says something about the backend's health, as opposed
+   * to a request the backend rightly rejected
+   * @param {Error} error - The error thrown by the attempt
+   * @returns {boolean} - Whether a circuit breaker should count it
+   */
+  static isBackendFailure(error) {
+    return RetryPolicy.classify(error) !== 'fatal';
+  }
+
+  /**
+   * @param {Error} error - The error thrown by the attempt
+   * @param {number} attempt - How many attempts have failed so far
+   * @returns {boolean} - Whether another attempt should be made
+   */
+  shouldRetry(error, attempt) {
+    if (attempt > this.maxRetries) {
+      return false;
+    }
+
+    if (RetryPolicy.classify(error) !== 'retryable') {
+      return false;
+    }
+
+    // Waiting minutes for a rate limit is worse than failing over
+    return !(error.retryAfterMs > this.maxRetryAfter);
+  }
+
+  /**
+   * How long to wait before the next attempt
+   * @param {number} attempt - How many attempts have failed so far
+   * @param {Error} [error] - The last error, for its Retry-After
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(attempt, error) {
+    if (error && Number.isFinite(error.retryAfterMs)) {
+      return error.retryAfterMs;
+    }
+
+    // "Equal jitter": half the exponential step, plus up to half again
+    const step = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(2, attempt - 1)
+    );
+    return Math.round(step / 2 + Math.random() * (step / 2));
+  }
+}
+
+module.exports = RetryPolicy;
@@ -1,6 +1,7 @@
 const { safeStorage } = require('electron');
 const Store = require('electron-store').default;
 const { EventEmitter } = require('events');
+const { httpFetch } = require('./httpClient');
 
 class SecureStorageService extends EventEmitter {
   constructor() {
@@ -15,6 +16,10 @@ class SecureStorageService extends EventEmitter {
     // Storage keys
     this.KEYS = {
       GEMINI_API_KEY: 'gemini_api_key',
+      OPENAI_COMPATIBLE_API_KEY: 'openai_compatible_api_key',
+      ANTHROPIC_API_KEY: 'anthropic_api_key',
+      OLLAMA_AUTH_TOKEN: 'ollama_auth_token',
+      PROXY_CREDENTIALS: 'proxy_credentials',
       BACKEND_CONFIG: 'backend_config',
     };
 
@@ -174,6 +179,7 @@ class SecureStorageService extends EventEmitter {
    * @param {string} keyName - The name/key identifier
    * @param {string} apiKey - The API key to store
    * @param {Object} options - Additional options
+   * @param {string} [options.provider] - Provider whose key format rules apply
    * @returns {Object} - Result with success status and details
    */
   async storeApiKey(keyName, apiKey, options = {}) {
@@ -190,7 +196,7 @@ class SecureStorageService extends EventEmitter {
       }
 
       // Enhanced format validation
-      const validation = this.validateApiKeyFormat(apiKey);
+      const validation = this.validateApiKeyFormat(apiKey, options.provider);
       if (!validation.isValid) {
         throw new Error(
           `API key format validation failed: ${validation.errors.join(', ')}`
@@ -381,6 +387,154 @@ class SecureStorageService extends EventEmitter {
     return this.hasApiKey(this.KEYS.GEMINI_API_KEY);
   }
 
+  /**
+   * Store the API key for an OpenAI-compatible server
+   * @param {string} apiKey - The API key
+   * @param {Object} options - Additional options
+   * @returns {Object} - Result with success status and details
+   */
+  async storeOpenAICompatibleApiKey(apiKey, options = {}) {
+    return await this.storeApiKey(this.KEYS.OPENAI_COMPATIBLE_API_KEY, apiKey, {
+      ...options,
+      provider: 'openai-compatible',
+    });
+  }
+
+  /**
+   * Retrieve the OpenAI-compatible API key
+   * @returns {string|null} - The API key or null if not found
+   */
+  retrieveOpenAICompatibleApiKey() {
+    return this.retrieveApiKey(this.KEYS.OPENAI_COMPATIBLE_API_KEY);
+  }
+
+  /**
+   * Delete the OpenAI-compatible API key
+   * @returns {boolean} - Success status
+   */
+  deleteOpenAICompatibleApiKey() {
+    return this.deleteApiKey(this.KEYS.OPENAI_COMPATIBLE_API_KEY);
+  }
+
+  /**
+   * Check if an OpenAI-compatible API key exists
+   * @returns {boolean} - Whether the API key exists
+   */
+  hasOpenAICompatibleApiKey() {
+    return this.hasApiKey(this.KEYS.OPENAI_COMPATIBLE_API_KEY);
+  }
+
+  /**
+   * Store the Anthropic API key
+   * @param {string} apiKey - The API key
+   * @param {Object} options - Additional options
+   * @returns {Object} - Result with success status and details
+   */
+  async storeAnthropicApiKey(apiKey, options = {}) {
+    return await this.storeApiKey(this.KEYS.ANTHROPIC_API_KEY, apiKey, {
+      ...options,
+      provider: 'anthropic',
+    });
+  }
+
+  /**
+   * Retrieve the Anthropic API key
+   * @returns {string|null} - The API key or null if not found
+   */
+  retrieveAnthropicApiKey() {
+    return this.retrieveApiKey(this.KEYS.ANTHROPIC_API_KEY);
+  }
+
+  /**
+   * Delete the Anthropic API key
+   * @returns {boolean} - Success status
+   */
+  deleteAnthropicApiKey() {
+    return this.deleteApiKey(this.KEYS.ANTHROPIC_API_KEY);
+  }
+
+  /**
+   * Check if an Anthropic API key exists
+   * @returns {boolean} - Whether the API key exists
+   */
+  hasAnthropicApiKey() {
+    return this.hasApiKey(this.KEYS.ANTHROPIC_API_KEY);
+  }
+
+  /**
+   * Store the credential sent to a remote Ollama host
+   * @param {string} token - Bearer token, or user:password for basic auth
+   * @param {Object} options - Additional options
+   * @returns {Object} - Result with success status and details
+   */
+  async storeOllamaAuthToken(token, options = {}) {
+    return await this.storeApiKey(this.KEYS.OLLAMA_AUTH_TOKEN, token, {
+      ...options,
+      provider: 'ollama',
+    });
+  }
+
+  /**
+   * Retrieve the Ollama host credential
+   * @returns {string|null} - The credential or null if not found
+   */
+  retrieveOllamaAuthToken() {
+    return this.retrieveApiKey(this.KEYS.OLLAMA_AUTH_TOKEN);
+  }
+
+  /**
+   * Delete the Ollama host credential
+   * @returns {boolean} - Success status
+   */
+  deleteOllamaAuthToken() {
+    return this.deleteApiKey(this.KEYS.OLLAMA_AUTH_TOKEN);
+  }
+
+  /**
+   * Check if an Ollama host credential exists
+   * @returns {boolean} - Whether the credential exists
+   */
+  hasOllamaAuthToken() {
+    return this.hasApiKey(this.KEYS.OLLAMA_AUTH_TOKEN);
+  }
+
+  /**
+   * Store the credentials for the network proxy
+   * @param {string} credentials - user:password
+   * @param {Object} options - Additional options
+   * @returns {Object} - Result with success status and details
+   */
+  async storeProxyCredentials(credentials, options = {}) {
+    return await this.storeApiKey(this.KEYS.PROXY_CREDENTIALS, credentials, {
+      ...options,
+      provider: 'proxy',
+    });
+  }
+
+  /**
+   * Retrieve the proxy credentials
+   * @returns {string|null} - user:password or null if not found
+   */
+  retrieveProxyCredentials() {
+    return this.retrieveApiKey(this.KEYS.PROXY_CREDENTIALS);
+  }
+
+  /**
+   * Delete the proxy credentials
+   * @returns {boolean} - Success status
+   */
+  deleteProxyCredentials() {
+    return this.deleteApiKey(this.KEYS.PROXY_CREDENTIALS);
+  }
+
+  /**
+   * Check if proxy credentials exist
+   * @returns {boolean} - Whether the credentials exist
+   */
+  hasProxyCredentials() {
+    return this.hasApiKey(this.KEYS.PROXY_CREDENTIALS);
+  }
+
   /**
    * Store backend configuration securely
    * @param {Object} config - The backend configuration object
@@ -465,6 +619,10 @@ class SecureStorageService extends EventEmitter {
       storageBackend: this.storageBackend,
       isSecure: this.storageBackend !== 'basic_text',
       hasGeminiApiKey: this.hasGeminiApiKey(),
+      hasOpenAICompatibleApiKey: this.hasOpenAICompatibleApiKey(),
+      hasAnthropicApiKey: this.hasAnthropicApiKey(),
+      hasOllamaAuthToken: this.hasOllamaAuthToken(),
+      hasProxyCredentials: this.hasProxyCredentials(),
       hasBackendConfig: this.store.has(this.KEYS.BACKEND_CONFIG),
       timestamp: Date.now(),
     };
@@ -473,9 +631,10 @@ class SecureStorageService extends EventEmitter {
   /**
    * Validate API key format (enhanced validation)
    * @param {string} apiKey - The API key to validate
+   * @param {string} provider - Provider whose key format rules apply
    * @returns {Object} - Validation result with status and details
    */
-  validateApiKeyFormat(apiKey) {
+  validateApiKeyFormat(apiKey, provider = 'gemini') {
     const result = {
       isValid: false,
       errors: [],
@@ -490,6 +649,23 @@ class SecureStorageService extends EventEmitter {
 
     const trimmedKey = apiKey.trim();
 
+    if (provider === 'anthropic' && !trimmedKey.startsWith('sk-ant-')) {
+      result.errors.push('Anthropic API key should start with "sk-ant-"');
+      return result;
+    }
+
+    // Other providers issue keys in many formats (self-hosted servers often
+    // accept any token), so only reject keys that cannot be sent in a header
+    if (provider !== 'gemini') {
+      if (/\s/.test(trimmedKey)) {
+        result.errors.push('API key should not contain spaces');
+        return result;
+      }
+
+      result.isValid = true;
+      return result;
+    }
+
     // Length validation
     if (trimmedKey.length < 20) {
       result.errors.push('API key is too short (minimum 20 characters)');
@@ -547,7 +723,7 @@ class SecureStorageService extends EventEmitter {
 
     try {
       // Make a simple request to the Gemini API to test the key
-      const response = await fetch(
+      const response = await httpFetch(
         'https://generativelanguage.googleapis.com/v1beta/models',
         {
           method: 'GET',
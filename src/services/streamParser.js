@@ -0,0 +1,277 @@
+/**
+ * Incremental parsers for the streaming formats the backends speak.
+ *
+ * Network reads split the body at arbitrary byte offsets, so a JSON line or
+ * an SSE frame can arrive in several pieces. The parsers keep the unfinished
+ * tail between pushes and only hand back complete items. Ollama streams
+ * newline-delimited JSON; OpenAI-compatible servers, Anthropic and Gemini
+ * (with `alt=sse`) stream Server-Sent Events.
+ */
+
+/**
+ * Raised when a complete frame arrives but its payload can't be parsed.
+ * Carries the raw frame so the failure can be logged or reported.
+ */
+class StreamParseError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} details - Error details
+   * @param {string} details.format - 'ndjson' or 'sse'
+   * @param {string} details.frame - The raw line or event data
+   * @param {Error} [details.cause] - The underlying parse error
+   */
+  constructor(message, { format, frame, cause }) {
+    super(message);
+    this.name = 'StreamParseError';
+    this.format = format;
+    this.frame = frame;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Parse one JSON frame, raising a StreamParseError if it is malformed
+ * @param {string} text - The frame payload
+ * @param {string} format - Format the frame came from, for the error
+ * @returns {*} - The parsed value
+ */
+function parseJSONFrame(text, format) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const preview = text.length > 80 ? `${text.slice(0, 80)}...` : text;
+    throw new StreamParseError(
+      `Malformed ${format} frame: ${error.message} (${preview})`,
+      { format, frame: text, cause: error }
+    );
+  }
+}
+
+/**
+ * Splits text into lines, holding back the last one until it is terminated.
+ * Accepts \n, \r\n and \r line endings, including a \r\n split across pushes.
+ */
+class LineBuffer {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * Add decoded text
+   * @param {string} text - The next piece of the stream
+   * @returns {Array<string>} - Lines completed by this piece
+   */
+  push(text) {
+    this.buffer += text;
+
+    // A trailing \r may be the first half of a \r\n split across pushes
+    const held = this.buffer.endsWith('\r') ? 1 : 0;
+    const lines = this.buffer
+      .slice(0, this.buffer.length - held)
+      .split(/\r\n|\r|\n/);
+    this.buffer = lines.pop() + (held ? '\r' : '');
+
+    return lines;
+  }
+
+  /**
+   * Return whatever is left once the stream has ended
+   * @returns {string|null} - The unterminated last line, if any
+   */
+  end() {
+    const rest = this.buffer.replace(/\r$/, '');
+    this.buffer = '';
+    return rest ? rest : null;
+  }
+}
+
+/**
+ * Newline-delimited JSON: one value per line, blank lines ignored.
+ */
+class NDJSONParser {
+  constructor() {
+    this.lines = new LineBuffer();
+  }
+
+  /**
+   * @param {string} text - The next piece of the stream
+   * @returns {Array<*>} - Values completed by this piece
+   * @throws {StreamParseError} - If a completed line is not valid JSON
+   */
+  push(text) {
+    return this.parseLines(this.lines.push(text));
+  }
+
+  /**
+   * @returns {Array<*>} - A final value the server left unterminated
+   * @throws {StreamParseError} - If the remaining text is not valid JSON
+   */
+  end() {
+    const rest = this.lines.end();
+    return rest === null ? [] : this.parseLines([rest]);
+  }
+
+  parseLines(lines) {
+    return lines
+      .filter(line => line.trim())
+      .map(line => parseJSONFrame(line, 'ndjson'));
+  }
+}
+
+/**
+ * Server-Sent Events as described by the HTML living standard: `field: value`
+ * lines, `:` comments, multi-line `data`, dispatched on a blank line.
+ */
+class SSEParser {
+  constructor() {
+    this.lines = new LineBuffer();
+    this.eventType = '';
+    this.dataLines = [];
+    this.lastEventId = null;
+  }
+
+  /**
+   * @param {string} text - The next piece of the stream
+   * @returns {Array<Object>} - {event, data, id} for each completed event
+   */
+  push(text) {
+    const events = [];
+
+    for (const line of this.lines.push(text)) {
+      const event = this.processLine(line);
+      if (event) {
+        events.push(event);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Dispatch an event the server didn't terminate with a blank line
+   * @returns {Array<Object>} - The final event, if any
+   */
+  end() {
+    const rest = this.lines.end();
+    if (rest !== null) {
+      this.processLine(rest);
+    }
+
+    const event = this.dispatch();
+    return event ? [event] : [];
+  }
+
+  processLine(line) {
+    if (line === '') {
+      return this.dispatch();
+    }
+
+    if (line.startsWith(':')) {
+      return null;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'data':
+        this.dataLines.push(value);
+        break;
+      case 'id':
+        this.lastEventId = value;
+        break;
+      default:
+        // `retry` and unknown fields don't affect a one-shot request
+        break;
+    }
+
+    return null;
+  }
+
+  dispatch() {
+    if (this.dataLines.length === 0) {
+      this.eventType = '';
+      return null;
+    }
+
+    const event = {
+      event: this.eventType || 'message',
+      data: this.dataLines.join('\n'),
+      id: this.lastEventId,
+    };
+    this.eventType = '';
+    this.dataLines = [];
+    return event;
+  }
+}
+
+/**
+ * Read a fetch response body through a parser, yielding each parsed item.
+ * The reader lock is released when the caller stops iterating.
+ * @param {Object} body - response.body of a fetch response
+ * @param {Object} parser - An NDJSONParser or SSEParser
+ */
+async function* readStream(body, parser) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+
+      if (done) {
+        break;
+      }
+
+      yield* parser.push(decoder.decode(value, { stream: true }));
+    }
+
+    yield* parser.push(decoder.decode());
+    yield* parser.end();
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Yield each JSON value of a newline-delimited JSON body
+ * @param {Object} body - response.body of a fetch response
+ */
+function readNDJSON(body) {
+  return readStream(body, new NDJSONParser());
+}
+
+/**
+ * Yield each {event, data, id} of a Server-Sent Events body
+ * @param {Object} body - response.body of a fetch response
+ */
+function readSSE(body) {
+  return readStream(body, new SSEParser());
+}
+
+/**
+ * Parse the JSON payload of an SSE event
+ * @param {Object} event - Event from readSSE()
+ * @returns {*} - The parsed payload
+ * @throws {StreamParseError} - If the payload is not valid JSON
+ */
+function parseEventData(event) {
+  return parseJSONFrame(event.data, 'sse');
+}
+
+module.exports = {
+  StreamParseError,
+  LineBuffer,
+  NDJSONParser,
+  SSEParser,
+  readNDJSON,
+  readSSE,
+  parseEventData,
+};
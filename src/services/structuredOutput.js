@@ -0,0 +1,233 @@
+/**
+ * JSON answers for prompt templates that declare a schema.
+ *
+ * Backends are asked for JSON natively where they can (Gemini
+ * `responseSchema`, Ollama `format`), but a model can still return text
+ * that doesn't parse or doesn't match, so every answer is validated here.
+ * The validator covers the JSON Schema keywords templates need: type, enum,
+ * const, properties, required, additionalProperties, items, min/maxItems,
+ * min/maxLength, minimum/maximum and pattern.
+ */
+
+/**
+ * Raised when a structured answer is not valid JSON or doesn't match the
+ * template's schema
+ */
+class SchemaValidationError extends Error {
+  /**
+   * @param {Array<string>} errors - What is wrong, one entry per problem
+   */
+  constructor(errors) {
+    super(`Response does not match the template's schema: ${errors[0]}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against a JSON schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON schema
+ * @param {string} [path] - Location of the value, for messages
+ * @returns {Array<string>} - Problems found; empty when the value is valid
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  switch (typeOf(value)) {
+    case 'string':
+      if (value.length < (schema.minLength || 0)) {
+        errors.push(`${path} is shorter than ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} is longer than ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path} does not match ${schema.pattern}`);
+      }
+      break;
+
+    case 'integer':
+    case 'number':
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} is less than ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} is greater than ${schema.maximum}`);
+      }
+      break;
+
+    case 'array':
+      if (value.length < (schema.minItems || 0)) {
+        errors.push(`${path} has fewer than ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} has more than ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(
+            ...validateSchema(item, schema.items, `${path}[${index}]`)
+          );
+        });
+      }
+      break;
+
+    case 'object': {
+      const properties = schema.properties || {};
+
+      for (const name of schema.required || []) {
+        if (!(name in value)) {
+          errors.push(`${path}.${name} is required`);
+        }
+      }
+
+      for (const [name, item] of Object.entries(value)) {
+        if (properties[name]) {
+          errors.push(
+            ...validateSchema(item, properties[name], `${path}.${name}`)
+          );
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${name} is not allowed`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(
+            ...validateSchema(
+              item,
+              schema.additionalProperties,
+              `${path}.${name}`
+            )
+          );
+        }
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a structured answer. Models sometimes wrap JSON in a
+ * Markdown code fence even when asked not to, so a single fence is removed.
+ * @param {string} text - The backend's reply
+ * @param {Object} schema - The template's JSON schema
+ * @returns {*} - The parsed value
+ * @throws {SchemaValidationError} - If the reply is not valid JSON or
+ * doesn't match the schema
+ */
+function parseStructuredResponse(text, schema) {
+  const fenced = /^\s*```(?:json)?\s*\n([\s\S]*?)\n?```\s*$/i.exec(text);
+  const json = fenced ? fenced[1] : text;
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    throw new SchemaValidationError([`not valid JSON (${error.message})`]);
+  }
+
+  const errors = validateSchema(value, schema);
+  if (errors.length > 0) {
+    throw new SchemaValidationError(errors);
+  }
+
+  return value;
+}
+
+// Keywords Gemini's responseSchema (an OpenAPI subset) understands
+const GEMINI_SCHEMA_KEYWORDS = [
+  'description',
+  'enum',
+  'format',
+  'maxItems',
+  'minItems',
+  'maximum',
+  'minimum',
+  'required',
+];
+
+/**
+ * Convert a JSON schema to the form Gemini accepts as `responseSchema`:
+ * upper-case types, `nullable` instead of a "null" type and no keywords it
+ * rejects such as additionalProperties. Validation still uses the original.
+ * @param {Object} schema - JSON schema
+ * @returns {Object} - Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const converted = {};
+  const types = [].concat(schema.type || []);
+  const type = types.find(t => t !== 'null');
+
+  if (type) {
+    converted.type = type.toUpperCase();
+  }
+  if (types.includes('null')) {
+    converted.nullable = true;
+  }
+
+  for (const keyword of GEMINI_SCHEMA_KEYWORDS) {
+    if (schema[keyword] !== undefined) {
+      converted[keyword] = schema[keyword];
+    }
+  }
+
+  if (schema.properties) {
+    converted.properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      converted.properties[name] = toGeminiSchema(property);
+    }
+  }
+
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+
+  return converted;
+}
+
+module.exports = {
+  SchemaValidationError,
+  validateSchema,
+  parseStructuredResponse,
+  toGeminiSchema,
+};
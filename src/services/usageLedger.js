@@ -0,0 +1,201 @@
+const Store = require('electron-store').default;
+const { EventEmitter } = require('events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Persistent record of the tokens, latency and cost of every generation.
+ *
+ * Entries are kept for `retentionDays` and summarised per backend for the
+ * usage section of the settings window. Costs are computed when an entry is
+ * recorded from a per-model price table in USD per million tokens, so
+ * changing prices later does not rewrite history.
+ */
+class UsageLedger extends EventEmitter {
+  /**
+   * @param {Object} [options] - Ledger options
+   * @param {Object} [options.store] - electron-store compatible store
+   * @param {number} [options.retentionDays] - Days of entries to keep
+   * @param {number} [options.maxEntries] - Upper bound on stored entries
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || new Store({ name: 'usage-ledger' });
+    this.retentionDays = options.retentionDays || 90;
+    this.maxEntries = options.maxEntries || 20000;
+    this.prices = {};
+    this.entries = this.store.get('entries', []);
+  }
+
+  /**
+   * Replace the price table
+   * @param {Object} prices - Map of model name to {input, output} USD per 1M tokens
+   */
+  setPrices(prices = {}) {
+    this.prices = prices;
+  }
+
+  /**
+   * Compute the cost of a generation, if the model has a price
+   * @param {string} model - Model name
+   * @param {Object} usage - {inputTokens, outputTokens}
+   * @returns {number|null} - Cost in USD, or null when the model is unpriced
+   */
+  getCost(model, usage) {
+    const price = this.prices[model];
+    if (!price) {
+      return null;
+    }
+
+    return (
+      ((usage.inputTokens || 0) * (price.input || 0) +
+        (usage.outputTokens || 0) * (price.output || 0)) /
+      1000000
+    );
+  }
+
+  /**
+   * Record a completed generation
+   * @param {Object} generation - What was generated
+   * @param {string} generation.requestId - Id of the originating request
+   * @param {string} generation.backend - Provider id that answered
+   * @param {string} generation.model - Model that answered
+   * @param {Object} [generation.usage] - {inputTokens, outputTokens}
+   * @param {number} generation.latencyMs - Time from request to last token
+   * @returns {Object} - The stored entry
+   */
+  record({ requestId, backend, model, usage, latencyMs }) {
+    const tokens = usage || {};
+    const entry = {
+      timestamp: Date.now(),
+      requestId: requestId || null,
+      backend: backend,
+      model: model || null,
+      inputTokens: tokens.inputTokens ?? null,
+      outputTokens: tokens.outputTokens ?? null,
+      latencyMs: latencyMs,
+      cost: this.getCost(model, tokens),
+    };
+
+    this.entries.push(entry);
+    this.prune();
+    this.save();
+
+    this.emit('usage-recorded', entry);
+    return entry;
+  }
+
+  /**
+   * Drop entries past the retention period or over the size cap
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+    const firstKept = this.entries.findIndex(
+      entry => entry.timestamp >= cutoff
+    );
+
+    if (firstKept === -1) {
+      this.entries = [];
+    } else if (firstKept > 0) {
+      this.entries = this.entries.slice(firstKept);
+    }
+
+    if (this.entries.length > this.maxEntries) {
+      this.entries = this.entries.slice(-this.maxEntries);
+    }
+  }
+
+  save() {
+    try {
+      this.store.set('entries', this.entries);
+    } catch (error) {
+      console.error('Failed to persist usage ledger:', error);
+    }
+  }
+
+  clear() {
+    this.entries = [];
+    this.save();
+    this.emit('usage-cleared', { timestamp: Date.now() });
+  }
+
+  /**
+   * Local calendar date of a timestamp, used as the daily bucket key
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {string} - YYYY-MM-DD
+   */
+  static getDateKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Add up a set of entries per backend
+   * @param {Array<Object>} entries - Ledger entries
+   * @returns {Object} - Map of backend to totals
+   */
+  static totalsByBackend(entries) {
+    const totals = {};
+
+    for (const entry of entries) {
+      const total = totals[entry.backend] || {
+        requests: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        totalLatencyMs: 0,
+        averageLatencyMs: 0,
+      };
+
+      total.requests += 1;
+      total.inputTokens += entry.inputTokens || 0;
+      total.outputTokens += entry.outputTokens || 0;
+      total.cost += entry.cost || 0;
+      total.totalLatencyMs += entry.latencyMs || 0;
+      total.averageLatencyMs = Math.round(
+        total.totalLatencyMs / total.requests
+      );
+
+      totals[entry.backend] = total;
+    }
+
+    return totals;
+  }
+
+  /**
+   * Summarise usage for today, the last seven days and each of those days
+   * @returns {Object} - {today, week, days}
+   */
+  getSummary() {
+    const now = Date.now();
+    const dayKeys = [];
+    for (let i = 6; i >= 0; i--) {
+      dayKeys.push(UsageLedger.getDateKey(now - i * DAY_MS));
+    }
+
+    const byDay = new Map(dayKeys.map(key => [key, []]));
+    for (const entry of this.entries) {
+      const key = UsageLedger.getDateKey(entry.timestamp);
+      if (byDay.has(key)) {
+        byDay.get(key).push(entry);
+      }
+    }
+
+    const weekEntries = Array.from(byDay.values()).flat();
+
+    return {
+      today: UsageLedger.totalsByBackend(byDay.get(dayKeys[6])),
+      week: UsageLedger.totalsByBackend(weekEntries),
+      days: dayKeys.map(key => ({
+        date: key,
+        backends: UsageLedger.totalsByBackend(byDay.get(key)),
+      })),
+      entryCount: this.entries.length,
+      timestamp: now,
+    };
+  }
+}
+
+module.exports = UsageLedger;
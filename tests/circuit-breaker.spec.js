@@ -0,0 +1,187 @@
+/**
+ * Circuit breaker tests for AI Overlay Assistant
+ *
+ * These run in Node without a page. Date.now is replaced so the cooldown
+ * can pass without waiting.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  CircuitBreaker,
+  CircuitOpenError,
+} = require('../src/services/circuitBreaker');
+
+const realNow = Date.now;
+let now;
+
+test.beforeEach(() => {
+  now = 1000000;
+  Date.now = () => now;
+});
+
+test.afterEach(() => {
+  Date.now = realNow;
+});
+
+// A breaker that records the states it moves through
+function createBreaker(options) {
+  const breaker = new CircuitBreaker(options);
+  const transitions = [];
+  breaker.on('state-changed', state => transitions.push(state.state));
+  return { breaker, transitions };
+}
+
+function failTimes(breaker, count) {
+  for (let i = 0; i < count; i++) {
+    breaker.recordFailure(new Error(`failure ${i + 1}`));
+  }
+}
+
+test.describe('Circuit breaker', () => {
+  test('should stay closed below the failure threshold', () => {
+    const { breaker, transitions } = createBreaker({ failureThreshold: 3 });
+
+    failTimes(breaker, 2);
+
+    expect(breaker.allowsRequests()).toBe(true);
+    expect(breaker.getState()).toMatchObject({
+      state: 'closed',
+      failures: 2,
+      lastError: 'failure 2',
+    });
+    expect(transitions).toEqual([]);
+  });
+
+  test('should reset the count after a success', () => {
+    const { breaker } = createBreaker({ failureThreshold: 3 });
+
+    failTimes(breaker, 2);
+    breaker.recordSuccess();
+    failTimes(breaker, 2);
+
+    expect(breaker.getState().state).toBe('closed');
+    expect(breaker.getState().failures).toBe(2);
+  });
+
+  test('should open at the threshold and refuse requests', () => {
+    const { breaker, transitions } = createBreaker({
+      failureThreshold: 3,
+      cooldownMs: 30000,
+    });
+
+    failTimes(breaker, 3);
+
+    expect(transitions).toEqual(['open']);
+    expect(breaker.allowsRequests()).toBe(false);
+    expect(breaker.getState()).toMatchObject({
+      state: 'open',
+      openedAt: now,
+      retryAt: now + 30000,
+    });
+  });
+
+  test('should go half-open after the cooldown and close on success', () => {
+    const { breaker, transitions } = createBreaker({
+      failureThreshold: 2,
+      cooldownMs: 30000,
+    });
+
+    failTimes(breaker, 2);
+    now += 29999;
+    expect(breaker.allowsRequests()).toBe(false);
+
+    now += 1;
+    expect(breaker.allowsRequests()).toBe(true);
+    expect(breaker.getState().state).toBe('half-open');
+
+    breaker.recordSuccess();
+
+    expect(transitions).toEqual(['open', 'half-open', 'closed']);
+    expect(breaker.getState()).toMatchObject({
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      lastError: null,
+    });
+  });
+
+  test('should reopen when the half-open trial fails', () => {
+    const { breaker, transitions } = createBreaker({
+      failureThreshold: 5,
+      cooldownMs: 30000,
+    });
+
+    failTimes(breaker, 5);
+    now += 30000;
+    expect(breaker.allowsRequests()).toBe(true);
+
+    // One failed trial is enough; the threshold only applies when closed
+    failTimes(breaker, 1);
+
+    expect(transitions).toEqual(['open', 'half-open', 'open']);
+    expect(breaker.allowsRequests()).toBe(false);
+    expect(breaker.getState().retryAt).toBe(now + 30000);
+  });
+
+  test('should let a single trial through while half-open', () => {
+    const { breaker } = createBreaker({
+      failureThreshold: 1,
+      cooldownMs: 30000,
+    });
+
+    failTimes(breaker, 1);
+    now += 30000;
+    expect(breaker.allowsRequests()).toBe(true);
+    expect(breaker.allowsRequests()).toBe(false);
+    expect(breaker.getState().state).toBe('half-open');
+
+    breaker.recordSuccess();
+    expect(breaker.allowsRequests()).toBe(true);
+    expect(breaker.allowsRequests()).toBe(true);
+  });
+
+  test('should allow another trial when one never reports back', () => {
+    const { breaker } = createBreaker({
+      failureThreshold: 1,
+      cooldownMs: 30000,
+    });
+
+    failTimes(breaker, 1);
+    now += 30000;
+    expect(breaker.allowsRequests()).toBe(true);
+
+    now += 29999;
+    expect(breaker.allowsRequests()).toBe(false);
+    now += 1;
+    expect(breaker.allowsRequests()).toBe(true);
+    expect(breaker.allowsRequests()).toBe(false);
+  });
+
+  test('should close when reset', () => {
+    const { breaker, transitions } = createBreaker({ failureThreshold: 1 });
+
+    failTimes(breaker, 1);
+    breaker.reset();
+
+    expect(transitions).toEqual(['open', 'closed']);
+    expect(breaker.allowsRequests()).toBe(true);
+    expect(breaker.getState().failures).toBe(0);
+  });
+
+  test('should describe an open circuit in CircuitOpenError', () => {
+    const { breaker } = createBreaker({
+      failureThreshold: 1,
+      cooldownMs: 30000,
+    });
+
+    breaker.recordFailure(new Error('HTTP 503'));
+    now += 10000;
+    const error = new CircuitOpenError('Gemini', breaker.getState());
+
+    expect(error.name).toBe('CircuitOpenError');
+    expect(error.retryAt).toBe(breaker.getState().retryAt);
+    expect(error.message).toBe(
+      'Gemini is paused after 1 failed attempts (HTTP 503); trying again in 20s'
+    );
+  });
+});
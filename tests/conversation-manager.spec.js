@@ -0,0 +1,178 @@
+/**
+ * Conversation manager tests for AI Overlay Assistant
+ *
+ * These run in Node without a page. Message sizes are multiples of four
+ * characters so token estimates come out exact.
+ */
+
+const { test, expect } = require('@playwright/test');
+const ConversationManager = require('../src/services/conversationManager');
+
+// Text that estimates to exactly `tokens` tokens
+const text = (tokens, fill = 'x') => fill.repeat(tokens * 4);
+
+// A thread with one exchange per entry of `sizes`: [promptTokens, replyTokens]
+function createThread(manager, sizes) {
+  const thread = manager.startThread('clipboard');
+  sizes.forEach(([promptTokens, replyTokens], i) => {
+    manager.addExchange(
+      thread.id,
+      text(promptTokens, String(i)),
+      text(replyTokens, String(i))
+    );
+  });
+  return thread;
+}
+
+// Which exchanges, by index, a history contains
+const exchangesIn = history =>
+  history
+    .filter(message => message.role === 'user')
+    .map(message => Number(message.content[0]));
+
+test.describe('Token estimates', () => {
+  test('should round up to whole tokens', () => {
+    expect(ConversationManager.estimateTokens('')).toBe(0);
+    expect(ConversationManager.estimateTokens(null)).toBe(0);
+    expect(ConversationManager.estimateTokens('abcd')).toBe(1);
+    expect(ConversationManager.estimateTokens('abcde')).toBe(2);
+  });
+});
+
+test.describe('History trimming', () => {
+  test('should return the whole history when it fits', () => {
+    const manager = new ConversationManager();
+    const thread = createThread(manager, [
+      [5, 5],
+      [5, 5],
+    ]);
+
+    const history = manager.getHistory(thread.id, 20);
+
+    expect(history).toEqual([
+      { role: 'user', content: text(5, '0') },
+      { role: 'assistant', content: text(5, '0') },
+      { role: 'user', content: text(5, '1') },
+      { role: 'assistant', content: text(5, '1') },
+    ]);
+  });
+
+  test('should keep the opening exchange and drop the oldest follow-ups', () => {
+    const manager = new ConversationManager();
+    const trimmed = [];
+    manager.on('history-trimmed', event => trimmed.push(event));
+    const thread = createThread(manager, [
+      [5, 5],
+      [5, 5],
+      [5, 5],
+      [5, 5],
+    ]);
+
+    expect(exchangesIn(manager.getHistory(thread.id, 30))).toEqual([0, 2, 3]);
+    expect(exchangesIn(manager.getHistory(thread.id, 29))).toEqual([0, 3]);
+    expect(trimmed.map(event => event.dropped)).toEqual([1, 2]);
+    expect(trimmed[0].threadId).toBe(thread.id);
+  });
+
+  test('should drop the opening exchange when it alone is over budget', () => {
+    const manager = new ConversationManager();
+    const thread = createThread(manager, [
+      [40, 20],
+      [5, 5],
+      [5, 5],
+    ]);
+
+    expect(exchangesIn(manager.getHistory(thread.id, 25))).toEqual([1, 2]);
+  });
+
+  test('should not skip over a follow-up that does not fit', () => {
+    const manager = new ConversationManager();
+    const thread = createThread(manager, [
+      [5, 5],
+      [1, 1],
+      [10, 10],
+      [5, 5],
+    ]);
+
+    // Exchange 1 would fit, but keeping it without exchange 2 would leave a
+    // gap in the conversation
+    expect(exchangesIn(manager.getHistory(thread.id, 25))).toEqual([0, 3]);
+  });
+
+  test('should count prompt and reply against the budget', () => {
+    const manager = new ConversationManager();
+    const thread = createThread(manager, [
+      [2, 8],
+      [8, 2],
+    ]);
+
+    expect(exchangesIn(manager.getHistory(thread.id, 20))).toEqual([0, 1]);
+    expect(exchangesIn(manager.getHistory(thread.id, 19))).toEqual([0]);
+    expect(manager.getHistory(thread.id, 9)).toEqual([]);
+  });
+
+  test('should return nothing for unknown or empty threads', () => {
+    const manager = new ConversationManager();
+    const thread = manager.startThread('question');
+
+    expect(manager.getHistory(thread.id, 100)).toEqual([]);
+    expect(manager.getHistory('missing', 100)).toEqual([]);
+  });
+
+  test('should not change the stored history', () => {
+    const manager = new ConversationManager();
+    const thread = createThread(manager, [
+      [5, 5],
+      [5, 5],
+      [5, 5],
+    ]);
+
+    manager.getHistory(thread.id, 10);
+
+    expect(manager.getThread(thread.id).messages).toHaveLength(6);
+    expect(exchangesIn(manager.getHistory(thread.id, 100))).toEqual([0, 1, 2]);
+  });
+});
+
+test.describe('Threads', () => {
+  test('should make a new thread current', () => {
+    const manager = new ConversationManager();
+    const first = manager.startThread('clipboard');
+    const second = manager.startThread('question');
+
+    expect(manager.getCurrentThread()).toBe(second);
+    expect(manager.getThread(first.id)).toBe(first);
+  });
+
+  test('should drop the oldest thread past maxThreads', () => {
+    const manager = new ConversationManager({ maxThreads: 2 });
+    const first = manager.startThread('clipboard');
+    const second = manager.startThread('clipboard');
+    const third = manager.startThread('clipboard');
+
+    expect(manager.getThread(first.id)).toBeNull();
+    expect(manager.getThread(second.id)).toBe(second);
+    expect(manager.getThread(third.id)).toBe(third);
+  });
+
+  test('should ignore exchanges for a thread that was dropped', () => {
+    const manager = new ConversationManager({ maxThreads: 1 });
+    const first = manager.startThread('clipboard');
+    manager.startThread('clipboard');
+
+    expect(() =>
+      manager.addExchange(first.id, 'prompt', 'reply')
+    ).not.toThrow();
+    expect(manager.getHistory(first.id, 100)).toEqual([]);
+  });
+
+  test('should forget the current thread when cleared', () => {
+    const manager = new ConversationManager();
+    const thread = createThread(manager, [[5, 5]]);
+
+    manager.clearCurrentThread();
+
+    expect(manager.getCurrentThread()).toBeNull();
+    expect(manager.getThread(thread.id)).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Generation queue tests for AI Overlay Assistant
+ *
+ * These run in Node without a page. Jobs are deferred promises the test
+ * settles by hand, so it controls exactly when each one finishes.
+ */
+
+const { test, expect } = require('@playwright/test');
+const GenerationQueue = require('../src/services/generationQueue');
+
+// A job whose run() returns a promise settled by finish()/fail()
+function createJob(id, kind, backend) {
+  const job = { id, kind, backend, started: false };
+  let settle;
+
+  job.run = () => {
+    job.started = true;
+    return new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+  };
+  job.finish = value => settle.resolve(value);
+  job.fail = error => settle.reject(error);
+
+  return job;
+}
+
+// Let the queue's promise chains run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test.describe('Generation queue', () => {
+  test('should limit running jobs per backend', async () => {
+    const queue = new GenerationQueue({ concurrency: { ollama: 1 } });
+    const first = createJob('q1', 'question', 'ollama');
+    const second = createJob('q2', 'question', 'ollama');
+    const other = createJob('q3', 'question', 'gemini');
+
+    const firstResult = queue.enqueue(first);
+    const secondResult = queue.enqueue(second);
+    queue.enqueue(other);
+    await flush();
+
+    expect(first.started).toBe(true);
+    expect(second.started).toBe(false);
+    // Another backend has its own slots
+    expect(other.started).toBe(true);
+    expect(queue.getSnapshot().queued).toEqual([
+      expect.objectContaining({ requestId: 'q2', position: 1 }),
+    ]);
+
+    first.finish('first answer');
+    expect(await firstResult).toBe('first answer');
+    await flush();
+
+    expect(second.started).toBe(true);
+    second.finish('second answer');
+    expect(await secondResult).toBe('second answer');
+  });
+
+  test('should start the next job when one fails', async () => {
+    const queue = new GenerationQueue({ concurrency: { ollama: 1 } });
+    const first = createJob('q1', 'question', 'ollama');
+    const second = createJob('q2', 'question', 'ollama');
+
+    const firstResult = queue.enqueue(first);
+    queue.enqueue(second);
+    await flush();
+
+    first.fail(new Error('backend down'));
+    await expect(firstResult).rejects.toThrow('backend down');
+    await flush();
+
+    expect(second.started).toBe(true);
+  });
+
+  test('should apply new concurrency limits to waiting jobs', async () => {
+    const queue = new GenerationQueue({ concurrency: { ollama: 1 } });
+    const first = createJob('q1', 'question', 'ollama');
+    const second = createJob('q2', 'question', 'ollama');
+
+    queue.enqueue(first);
+    queue.enqueue(second);
+    await flush();
+    expect(second.started).toBe(false);
+
+    queue.setConcurrency({ ollama: 2 });
+    await flush();
+    expect(second.started).toBe(true);
+  });
+
+  test('should let the latest clipboard job supersede waiting ones', async () => {
+    const queue = new GenerationQueue({ concurrency: { ollama: 1 } });
+    const dropped = [];
+    queue.on('job-dropped', event => dropped.push(event));
+
+    const question = createJob('q1', 'question', 'ollama');
+    const older = createJob('c1', 'clipboard', 'ollama');
+    const newer = createJob('c2', 'clipboard', 'ollama');
+
+    queue.enqueue(question);
+    const olderResult = queue.enqueue(older);
+    queue.enqueue(newer);
+    await flush();
+
+    expect(await olderResult).toEqual({ dropped: true, reason: 'superseded' });
+    expect(older.started).toBe(false);
+    expect(dropped).toEqual([
+      expect.objectContaining({ requestId: 'c1', reason: 'superseded' }),
+    ]);
+    expect(queue.getSnapshot().queued.map(job => job.requestId)).toEqual([
+      'c2',
+    ]);
+
+    question.finish();
+    await flush();
+    expect(newer.started).toBe(true);
+  });
+
+  test('should cancel a running clipboard job but keep questions', async () => {
+    const cancelled = [];
+    const queue = new GenerationQueue({
+      concurrency: { ollama: 2 },
+      cancelRunning: id => cancelled.push(id),
+    });
+    const question = createJob('q1', 'question', 'ollama');
+    const running = createJob('c1', 'clipboard', 'ollama');
+    const otherQuestion = createJob('q2', 'question', 'gemini');
+
+    queue.enqueue(question);
+    queue.enqueue(running);
+    queue.enqueue(otherQuestion);
+    await flush();
+
+    queue.enqueue(createJob('c2', 'clipboard', 'ollama'));
+
+    expect(cancelled).toEqual(['c1']);
+    expect(otherQuestion.started).toBe(true);
+  });
+
+  test('should never coalesce questions', async () => {
+    const queue = new GenerationQueue({ concurrency: { ollama: 1 } });
+    const jobs = ['q1', 'q2', 'q3'].map(id =>
+      createJob(id, 'question', 'ollama')
+    );
+
+    jobs.forEach(job => queue.enqueue(job));
+    await flush();
+
+    expect(queue.getSnapshot().queued.map(job => job.requestId)).toEqual([
+      'q2',
+      'q3',
+    ]);
+  });
+
+  test('should drop one queued job by id, or all of them', async () => {
+    const queue = new GenerationQueue({ concurrency: { ollama: 1 } });
+    const running = createJob('q1', 'question', 'ollama');
+    const second = createJob('q2', 'question', 'ollama');
+    const third = createJob('q3', 'question', 'ollama');
+
+    queue.enqueue(running);
+    const secondResult = queue.enqueue(second);
+    const thirdResult = queue.enqueue(third);
+    await flush();
+
+    expect(queue.drop('q2')).toBe(true);
+    expect(await secondResult).toEqual({ dropped: true, reason: 'dropped' });
+    expect(queue.drop('q2')).toBe(false);
+    // Running jobs are left to cancellation
+    expect(queue.drop('q1')).toBe(false);
+
+    expect(queue.drop()).toBe(true);
+    expect(await thirdResult).toEqual({ dropped: true, reason: 'dropped' });
+    expect(queue.getSnapshot().queued).toEqual([]);
+
+    running.finish();
+    await flush();
+    expect(second.started).toBe(false);
+    expect(third.started).toBe(false);
+  });
+
+  test('should emit queue-updated as jobs wait and finish', async () => {
+    const queue = new GenerationQueue({ concurrency: { ollama: 1 } });
+    const updates = [];
+    queue.on('queue-updated', snapshot =>
+      updates.push({
+        queued: snapshot.queued.length,
+        running: snapshot.running.length,
+      })
+    );
+    const job = createJob('q1', 'question', 'ollama');
+
+    queue.enqueue(job);
+    await flush();
+    job.finish();
+    await flush();
+
+    expect(updates[0]).toEqual({ queued: 0, running: 1 });
+    expect(updates[updates.length - 1]).toEqual({ queued: 0, running: 0 });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Knowledge base tests for AI Overlay Assistant
+ *
+ * These run in Node without a page, over a temporary folder. Embeddings
+ * come from a fake that counts a few keywords, so similar text gets
+ * similar vectors without a model.
+ */
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('./utils/memory-store');
+const KnowledgeBase = require('../src/services/knowledgeBase');
+
+const KEYWORDS = ['proxy', 'cache', 'queue'];
+
+test.describe('Knowledge base', () => {
+  let root;
+  let docs;
+  let vectorsPath;
+  let store;
+  let embedded;
+
+  // Texts containing "unembeddable" make the fake embedding fail
+  const embed = async texts => {
+    embedded.push(...texts);
+    if (texts.some(text => text.includes('unembeddable'))) {
+      throw new Error('HTTP 500');
+    }
+    return texts.map(text =>
+      KEYWORDS.map(word => text.split(word).length - 1 + 0.01)
+    );
+  };
+
+  const createKnowledgeBase = () =>
+    new KnowledgeBase({ embed, store, vectorsPath });
+
+  test.beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-base-'));
+    docs = path.join(root, 'docs');
+    vectorsPath = path.join(root, 'vectors.json');
+    fs.mkdirSync(docs);
+    fs.writeFileSync(path.join(docs, 'proxy.md'), 'How to set a proxy\n');
+    fs.writeFileSync(path.join(docs, 'cache.md'), 'The cache and the cache\n');
+    store = createStore();
+    embedded = [];
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should keep vectors out of the store', async () => {
+    const knowledgeBase = createKnowledgeBase();
+    knowledgeBase.configure({ folder: docs, model: 'embed' });
+
+    await knowledgeBase.index();
+
+    const files = store.get('files');
+    expect(Object.keys(files).sort()).toEqual(['cache.md', 'proxy.md']);
+    expect(files['proxy.md'].chunks[0]).toEqual({
+      text: 'How to set a proxy',
+      startLine: 1,
+      endLine: 1,
+    });
+
+    const vectors = JSON.parse(fs.readFileSync(vectorsPath, 'utf8'));
+    expect(vectors['proxy.md']).toEqual([[1.01, 0.01, 0.01]]);
+  });
+
+  test('should search a reloaded index without embedding files again', async () => {
+    const knowledgeBase = createKnowledgeBase();
+    knowledgeBase.configure({ folder: docs, model: 'embed' });
+    await knowledgeBase.index();
+
+    embedded = [];
+    const reloaded = createKnowledgeBase();
+    const [match] = await reloaded.search('proxy settings');
+
+    expect(match).toMatchObject({ file: 'proxy.md', startLine: 1 });
+    expect(embedded).toEqual(['proxy settings']);
+
+    await reloaded.index();
+    expect(embedded).toEqual(['proxy settings']);
+  });
+
+  test('should re-embed files whose vectors are missing', async () => {
+    const knowledgeBase = createKnowledgeBase();
+    knowledgeBase.configure({ folder: docs, model: 'embed' });
+    await knowledgeBase.index();
+    fs.rmSync(vectorsPath);
+
+    embedded = [];
+    const reloaded = createKnowledgeBase();
+    expect(reloaded.getStats().files).toBe(0);
+
+    await reloaded.index();
+    expect(embedded.sort()).toEqual([
+      'How to set a proxy',
+      'The cache and the cache',
+    ]);
+  });
+
+  test('should move vectors stored inline by older versions', () => {
+    store.set('folder', docs);
+    store.set('model', 'embed');
+    store.set('indexedAt', 1);
+    store.set('files', {
+      'proxy.md': {
+        size: 19,
+        modifiedAt: 1,
+        chunks: [
+          { text: 'proxy', startLine: 1, endLine: 1, vector: [1, 0, 0] },
+        ],
+      },
+    });
+
+    const knowledgeBase = createKnowledgeBase();
+    expect(knowledgeBase.getStats().chunks).toBe(1);
+
+    knowledgeBase.save();
+    expect(store.get('files')['proxy.md'].chunks[0].vector).toBeUndefined();
+    expect(createKnowledgeBase().files['proxy.md'].chunks[0].vector).toEqual([
+      1, 0, 0,
+    ]);
+  });
+
+  test('should skip files that fail and index the rest', async () => {
+    fs.writeFileSync(path.join(docs, 'broken.md'), 'unembeddable\n');
+    const knowledgeBase = createKnowledgeBase();
+    const progress = [];
+    knowledgeBase.on('index-progress', event => progress.push(event));
+    knowledgeBase.configure({ folder: docs, model: 'embed' });
+
+    const stats = await knowledgeBase.index();
+
+    expect(stats.files).toBe(2);
+    expect(stats.errors).toEqual([{ file: 'broken.md', error: 'HTTP 500' }]);
+    expect(progress).toHaveLength(3);
+    expect(progress.filter(event => event.error)).toEqual([
+      expect.objectContaining({ file: 'broken.md', error: 'HTTP 500' }),
+    ]);
+    expect(createKnowledgeBase().getStats().errors).toEqual(stats.errors);
+
+    // Fixing the file clears the error on the next run
+    fs.writeFileSync(path.join(docs, 'broken.md'), 'queue\n');
+    expect((await knowledgeBase.index()).errors).toEqual([]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Local tool tests for AI Overlay Assistant
+ *
+ * These run in Node without a page. Tool arguments come from a model, so
+ * besides the results they check that bad input is refused: identifiers in
+ * expressions and paths outside the allowed folders.
+ */
+
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  LocalTools,
+  evaluateExpression,
+  convertUnits,
+} = require('../src/services/localTools');
+
+test.describe('evaluateExpression', () => {
+  test('should follow operator precedence and associativity', () => {
+    expect(evaluateExpression('2 + 3 * 4')).toBe(14);
+    expect(evaluateExpression('(2 + 3) * 4')).toBe(20);
+    expect(evaluateExpression('10 - 4 - 3')).toBe(3);
+    expect(evaluateExpression('2 ^ 3 ^ 2')).toBe(512);
+    expect(evaluateExpression('-2 ^ 2')).toBe(-4);
+    expect(evaluateExpression('7 % 4 * 2')).toBe(6);
+    expect(evaluateExpression('2 * (3 + sqrt(16)) ^ 2')).toBe(98);
+  });
+
+  test('should support constants and functions', () => {
+    expect(evaluateExpression('pi')).toBeCloseTo(Math.PI);
+    expect(evaluateExpression('max(1, 5, 3)')).toBe(5);
+    expect(evaluateExpression('1.5e3 / 3')).toBe(500);
+  });
+
+  test('should reject division by zero', () => {
+    expect(() => evaluateExpression('1 / 0')).toThrow(/finite/);
+    expect(() => evaluateExpression('0 / 0')).toThrow(/finite/);
+  });
+
+  test('should reject identifiers that are not math functions', () => {
+    for (const expression of [
+      'process',
+      'constructor',
+      'toString(1)',
+      'require("fs")',
+      'x + 1',
+    ]) {
+      expect(() => evaluateExpression(expression)).toThrow();
+    }
+  });
+
+  test('should reject malformed expressions', () => {
+    expect(() => evaluateExpression('2 +')).toThrow(/end of expression/);
+    expect(() => evaluateExpression('(2 + 3')).toThrow(/Expected "\)"/);
+    expect(() => evaluateExpression('2 3')).toThrow(/Unexpected "3"/);
+    expect(() => evaluateExpression('')).toThrow();
+  });
+});
+
+test.describe('convertUnits', () => {
+  test('should convert within a dimension using symbols or names', () => {
+    expect(convertUnits(1, 'mi', 'km')).toBeCloseTo(1.609344);
+    expect(convertUnits(2, 'kilometers', 'm')).toBe(2000);
+    expect(convertUnits(1, 'GiB', 'MiB')).toBe(1024);
+  });
+
+  test('should convert temperatures', () => {
+    expect(convertUnits(100, '°C', '°F')).toBeCloseTo(212);
+    expect(convertUnits(32, 'fahrenheit', 'celsius')).toBeCloseTo(0);
+    expect(convertUnits(0, 'celsius', 'kelvin')).toBeCloseTo(273.15);
+  });
+
+  test('should reject unknown units and mixed dimensions', () => {
+    expect(() => convertUnits(1, 'km', 'kg')).toThrow(/Can't convert/);
+    expect(() => convertUnits(1, 'furlong', 'km')).toThrow();
+    expect(() => convertUnits(NaN, 'km', 'm')).toThrow(/number/);
+  });
+});
+
+test.describe('read_file allow-list', () => {
+  let root;
+  let allowed;
+  let outside;
+  let tools;
+
+  test.beforeEach(() => {
+    root = fs.realpathSync(
+      fs.mkdtempSync(path.join(os.tmpdir(), 'local-tools-'))
+    );
+    allowed = path.join(root, 'allowed');
+    outside = path.join(root, 'outside');
+    fs.mkdirSync(path.join(allowed, 'docs'), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(allowed, 'docs', 'notes.txt'), 'inside');
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+
+    tools = new LocalTools({
+      getAllowedFolders: () => [allowed],
+      getClipboardHistory: () => [],
+    });
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should read files and list folders inside the allowed folders', async () => {
+    const file = await tools.execute('read_file', { path: 'docs/notes.txt' });
+    expect(file.content).toBe('inside');
+    expect(file.truncated).toBe(false);
+
+    const listing = await tools.execute('read_file', { path: allowed });
+    expect(listing.entries).toEqual(['docs/']);
+  });
+
+  test('should refuse paths that escape with ..', async () => {
+    await expect(
+      tools.execute('read_file', { path: '../outside/secret.txt' })
+    ).rejects.toThrow(/outside the allowed folders/);
+    await expect(
+      tools.execute('read_file', { path: 'docs/../../outside' })
+    ).rejects.toThrow(/outside the allowed folders/);
+  });
+
+  test('should refuse symlinks that point outside', async () => {
+    fs.symlinkSync(
+      path.join(outside, 'secret.txt'),
+      path.join(allowed, 'link.txt')
+    );
+    fs.symlinkSync(outside, path.join(allowed, 'linked-dir'));
+
+    await expect(
+      tools.execute('read_file', { path: 'link.txt' })
+    ).rejects.toThrow(/outside the allowed folders/);
+    await expect(
+      tools.execute('read_file', { path: 'linked-dir/secret.txt' })
+    ).rejects.toThrow(/outside the allowed folders/);
+  });
+
+  test('should follow symlinks that stay inside', async () => {
+    fs.symlinkSync(
+      path.join(allowed, 'docs', 'notes.txt'),
+      path.join(allowed, 'shortcut.txt')
+    );
+
+    const file = await tools.execute('read_file', { path: 'shortcut.txt' });
+    expect(file.content).toBe('inside');
+  });
+
+  test('should refuse sibling folders that share the prefix', async () => {
+    fs.mkdirSync(`${allowed}-other`);
+    fs.writeFileSync(path.join(`${allowed}-other`, 'data.txt'), 'nope');
+
+    await expect(
+      tools.execute('read_file', {
+        path: path.join(`${allowed}-other`, 'data.txt'),
+      })
+    ).rejects.toThrow(/outside the allowed folders/);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Response cache tests for AI Overlay Assistant
+ *
+ * These run in Node without a page. Each cache gets an in-memory store in
+ * place of electron-store, and Date.now is replaced so entries can expire
+ * without waiting.
+ */
+
+const { test, expect } = require('@playwright/test');
+const { createStore } = require('./utils/memory-store');
+const ResponseCache = require('../src/services/responseCache');
+
+const HOUR = 60 * 60 * 1000;
+const realNow = Date.now;
+let now;
+
+test.beforeEach(() => {
+  now = 1000000;
+  Date.now = () => now;
+});
+
+test.afterEach(() => {
+  Date.now = realNow;
+});
+
+// Responses of `size` ASCII characters, so each entry is `size` bytes
+function entry(text, size = 4) {
+  return { response: text.padEnd(size, '.'), backend: 'ollama' };
+}
+
+const keysOf = cache => Array.from(cache.entries.keys());
+
+test.describe('Response cache keys', () => {
+  const request = {
+    content: 'const x = 1;',
+    prompt: 'Explain this code',
+    backend: 'ollama',
+    model: 'llama3',
+    options: { temperature: 0.2, maxTokens: 500 },
+  };
+
+  test('should be a stable SHA-256 digest', () => {
+    const key = ResponseCache.createKey(request);
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(ResponseCache.createKey({ ...request })).toBe(key);
+  });
+
+  test('should ignore option order and options that do not shape the answer', () => {
+    const key = ResponseCache.createKey(request);
+
+    expect(
+      ResponseCache.createKey({
+        ...request,
+        options: { maxTokens: 500, temperature: 0.2 },
+      })
+    ).toBe(key);
+    expect(
+      ResponseCache.createKey({
+        ...request,
+        options: {
+          ...request.options,
+          requestId: 'abc',
+          stream: true,
+          seed: undefined,
+        },
+      })
+    ).toBe(key);
+  });
+
+  test('should treat a missing model and missing options as empty', () => {
+    const bare = { content: 'a', prompt: 'b', backend: 'gemini' };
+
+    expect(ResponseCache.createKey({ ...bare, model: null })).toBe(
+      ResponseCache.createKey(bare)
+    );
+    expect(ResponseCache.createKey({ ...bare, options: {} })).toBe(
+      ResponseCache.createKey(bare)
+    );
+  });
+
+  test('should change with anything that shapes the answer', () => {
+    const key = ResponseCache.createKey(request);
+
+    for (const change of [
+      { content: 'const x = 2;' },
+      { prompt: 'Summarize this' },
+      { backend: 'gemini' },
+      { model: 'mistral' },
+      { options: { ...request.options, temperature: 0.3 } },
+      { options: { ...request.options, systemInstruction: 'Be brief' } },
+    ]) {
+      expect(ResponseCache.createKey({ ...request, ...change })).not.toBe(key);
+    }
+  });
+});
+
+test.describe('Response cache eviction', () => {
+  test('should evict the least recently used entries past maxBytes', () => {
+    const cache = new ResponseCache({ store: createStore(), maxBytes: 12 });
+
+    cache.set('a', entry('a'));
+    cache.set('b', entry('b'));
+    cache.set('c', entry('c'));
+    // Reading 'a' makes 'b' the least recently used
+    expect(cache.get('a').response).toBe('a...');
+
+    cache.set('d', entry('d'));
+
+    expect(keysOf(cache)).toEqual(['c', 'a', 'd']);
+    expect(cache.get('b')).toBeNull();
+    expect(cache.getStats().bytes).toBe(12);
+  });
+
+  test('should evict as many entries as a large response needs', () => {
+    const cache = new ResponseCache({ store: createStore(), maxBytes: 12 });
+
+    cache.set('a', entry('a'));
+    cache.set('b', entry('b'));
+    cache.set('c', entry('c'));
+    cache.set('big', entry('big', 10));
+
+    expect(keysOf(cache)).toEqual(['big']);
+    expect(cache.getStats().bytes).toBe(10);
+  });
+
+  test('should not store a response bigger than the whole cache', () => {
+    const cache = new ResponseCache({ store: createStore(), maxBytes: 12 });
+
+    cache.set('a', entry('a'));
+    cache.set('huge', entry('huge', 13));
+
+    expect(keysOf(cache)).toEqual(['a']);
+  });
+
+  test('should replace an entry stored again under the same key', () => {
+    const cache = new ResponseCache({ store: createStore(), maxBytes: 12 });
+
+    cache.set('a', entry('a'));
+    cache.set('b', entry('b'));
+    cache.set('a', entry('A', 6));
+
+    expect(keysOf(cache)).toEqual(['b', 'a']);
+    expect(cache.get('a').response).toBe('A.....');
+    expect(cache.getStats().bytes).toBe(10);
+  });
+
+  test('should evict when maxBytes is lowered', () => {
+    const store = createStore();
+    const cache = new ResponseCache({ store, maxBytes: 12 });
+
+    cache.set('a', entry('a'));
+    cache.set('b', entry('b'));
+    cache.configure({ maxBytes: 4 });
+
+    expect(keysOf(cache)).toEqual(['b']);
+    expect(store.get('entries').map(([key]) => key)).toEqual(['b']);
+  });
+});
+
+test.describe('Response cache expiry', () => {
+  test('should miss and forget entries older than the TTL', () => {
+    const store = createStore();
+    const cache = new ResponseCache({ store, ttlMs: HOUR });
+
+    cache.set('a', entry('a'));
+    now += HOUR;
+    expect(cache.get('a')).not.toBeNull();
+
+    now += 1;
+    expect(cache.get('a')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ entries: 0, bytes: 0 });
+    expect(store.get('entries')).toEqual([]);
+  });
+
+  test('should count the TTL from creation, not last use', () => {
+    const cache = new ResponseCache({ store: createStore(), ttlMs: HOUR });
+
+    cache.set('a', entry('a'));
+    now += HOUR / 2;
+    cache.get('a');
+    now += HOUR / 2 + 1;
+
+    expect(cache.get('a')).toBeNull();
+  });
+
+  test('should drop expired entries when storing new ones', () => {
+    const cache = new ResponseCache({ store: createStore(), ttlMs: HOUR });
+
+    cache.set('a', entry('a'));
+    now += HOUR / 2;
+    cache.set('b', entry('b'));
+    now += HOUR / 2 + 1;
+    cache.set('c', entry('c'));
+
+    expect(keysOf(cache)).toEqual(['b', 'c']);
+  });
+
+  test('should expire entries when the TTL is shortened', () => {
+    const cache = new ResponseCache({ store: createStore(), ttlMs: HOUR });
+
+    cache.set('a', entry('a'));
+    now += HOUR / 2;
+    cache.set('b', entry('b'));
+    now += 1;
+    cache.configure({ ttlMs: HOUR / 2 });
+
+    expect(keysOf(cache)).toEqual(['b']);
+  });
+});
+
+test.describe('Response cache persistence', () => {
+  test('should restore entries, LRU order and size from the store', () => {
+    const store = createStore();
+    const cache = new ResponseCache({ store, maxBytes: 12 });
+
+    cache.set('a', entry('a'));
+    cache.set('b', entry('b'));
+    cache.get('a');
+
+    const reloaded = new ResponseCache({ store, maxBytes: 12 });
+
+    expect(keysOf(reloaded)).toEqual(['b', 'a']);
+    expect(reloaded.getStats().bytes).toBe(8);
+
+    reloaded.set('c', entry('c'));
+    reloaded.set('d', entry('d'));
+    expect(keysOf(reloaded)).toEqual(['a', 'c', 'd']);
+  });
+
+  test('should empty the store on clear', () => {
+    const store = createStore();
+    const cache = new ResponseCache({ store });
+
+    cache.set('a', entry('a'));
+    cache.clear();
+
+    expect(cache.getStats()).toMatchObject({ entries: 0, bytes: 0 });
+    expect(store.get('entries')).toEqual([]);
+  });
+
+  test('should keep serving entries when the store cannot be written', () => {
+    const store = createStore();
+    store.set = () => {
+      throw new Error('ENOSPC: no space left on device');
+    };
+    const cache = new ResponseCache({ store });
+    const consoleError = console.error;
+    console.error = () => {};
+
+    try {
+      expect(() => cache.set('a', entry('a'))).not.toThrow();
+    } finally {
+      console.error = consoleError;
+    }
+    expect(cache.get('a').response).toBe('a...');
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Retry policy tests for AI Overlay Assistant
+ *
+ * These run in Node without a page. Math.random and Date.now are replaced
+ * where a case depends on jitter or the current time.
+ */
+
+const { test, expect } = require('@playwright/test');
+const RetryPolicy = require('../src/services/retryPolicy');
+
+const realRandom = Math.random;
+const realNow = Date.now;
+
+test.afterEach(() => {
+  Math.random = realRandom;
+  Date.now = realNow;
+});
+
+// An error as thrown for an HTTP response
+function httpError(status, retryAfterMs) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  if (retryAfterMs !== undefined) {
+    error.retryAfterMs = retryAfterMs;
+  }
+  return error;
+}
+
+// fetch's error for a socket failure, with the code on `cause`
+function socketError(code) {
+  const error = new TypeError('fetch failed');
+  error.cause = Object.assign(new Error(code), { code });
+  return error;
+}
+
+test.describe('Retry-After parsing', () => {
+  test('should read delays in seconds', () => {
+    expect(RetryPolicy.parseRetryAfter('120')).toBe(120000);
+    expect(RetryPolicy.parseRetryAfter(' 1.5 ')).toBe(1500);
+    expect(RetryPolicy.parseRetryAfter('0')).toBe(0);
+  });
+
+  test('should read HTTP dates relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    Date.now = () => now;
+
+    expect(RetryPolicy.parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT')).toBe(
+      30000
+    );
+    // A date that has already passed means "now"
+    expect(RetryPolicy.parseRetryAfter('Wed, 21 Oct 2026 07:00:00 GMT')).toBe(
+      0
+    );
+  });
+
+  test('should ignore missing and invalid values', () => {
+    expect(RetryPolicy.parseRetryAfter(null)).toBeNull();
+    expect(RetryPolicy.parseRetryAfter('')).toBeNull();
+    expect(RetryPolicy.parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+test.describe('Error classification', () => {
+  test('should retry rate limits, timeouts and server errors', () => {
+    for (const status of [408, 429, 500, 502, 503, 504, 529]) {
+      expect(RetryPolicy.classify(httpError(status))).toBe('retryable');
+    }
+  });
+
+  test('should not retry requests the backend rejected', () => {
+    for (const status of [400, 401, 403, 404, 422]) {
+      expect(RetryPolicy.classify(httpError(status))).toBe('fatal');
+      expect(RetryPolicy.isBackendFailure(httpError(status))).toBe(false);
+    }
+  });
+
+  test('should tell unreachable hosts from dropped connections', () => {
+    expect(RetryPolicy.classify(socketError('ECONNREFUSED'))).toBe(
+      'unreachable'
+    );
+    expect(RetryPolicy.classify(socketError('ENOTFOUND'))).toBe('unreachable');
+    expect(RetryPolicy.classify(socketError('ECONNRESET'))).toBe('retryable');
+    expect(RetryPolicy.isBackendFailure(socketError('ECONNREFUSED'))).toBe(
+      true
+    );
+  });
+});
+
+test.describe('Retry decisions', () => {
+  test('should stop after maxRetries', () => {
+    const policy = new RetryPolicy({ maxRetries: 2 });
+    const error = httpError(503);
+
+    expect(policy.shouldRetry(error, 1)).toBe(true);
+    expect(policy.shouldRetry(error, 2)).toBe(true);
+    expect(policy.shouldRetry(error, 3)).toBe(false);
+  });
+
+  test('should not retry fatal or unreachable errors', () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.shouldRetry(httpError(401), 1)).toBe(false);
+    expect(policy.shouldRetry(socketError('ECONNREFUSED'), 1)).toBe(false);
+  });
+
+  test('should give up rather than wait out a long Retry-After', () => {
+    const policy = new RetryPolicy({ maxRetryAfter: 60000 });
+
+    expect(policy.shouldRetry(httpError(429, 30000), 1)).toBe(true);
+    expect(policy.shouldRetry(httpError(429, 120000), 1)).toBe(false);
+  });
+});
+
+test.describe('Retry delays', () => {
+  test('should grow exponentially up to maxDelay', () => {
+    const policy = new RetryPolicy({ baseDelay: 1000, maxDelay: 5000 });
+    Math.random = () => 1;
+
+    expect(policy.getDelay(1)).toBe(1000);
+    expect(policy.getDelay(2)).toBe(2000);
+    expect(policy.getDelay(3)).toBe(4000);
+    expect(policy.getDelay(4)).toBe(5000);
+    expect(policy.getDelay(10)).toBe(5000);
+  });
+
+  test('should add jitter between half and all of the step', () => {
+    const policy = new RetryPolicy({ baseDelay: 1000 });
+
+    Math.random = () => 0;
+    expect(policy.getDelay(3)).toBe(2000);
+    Math.random = () => 0.5;
+    expect(policy.getDelay(3)).toBe(3000);
+
+    Math.random = realRandom;
+    for (let i = 0; i < 100; i++) {
+      const delay = policy.getDelay(3);
+      expect(delay).toBeGreaterThanOrEqual(2000);
+      expect(delay).toBeLessThanOrEqual(4000);
+    }
+  });
+
+  test("should use the server's Retry-After when given", () => {
+    const policy = new RetryPolicy({ baseDelay: 1000 });
+
+    expect(policy.getDelay(3, httpError(429, 7000))).toBe(7000);
+    expect(policy.getDelay(1, httpError(429, 0))).toBe(0);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Stream parser tests for AI Overlay Assistant
+ *
+ * These run in Node without a page: every case feeds the same stream through
+ * the parsers split at arbitrary points and expects the same result.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  StreamParseError,
+  NDJSONParser,
+  SSEParser,
+  readNDJSON,
+  readSSE,
+  parseEventData,
+} = require('../src/services/streamParser');
+
+// Push each piece through a parser and collect everything it produces
+function feed(parser, pieces) {
+  const items = [];
+  for (const piece of pieces) {
+    items.push(...parser.push(piece));
+  }
+  items.push(...parser.end());
+  return items;
+}
+
+// Deterministic pseudo-random cuts so failures can be reproduced
+function randomChunks(bytes, seed) {
+  const chunks = [];
+  let state = seed;
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const size = 1 + (state % 7);
+    chunks.push(bytes.slice(offset, offset + size));
+    offset += size;
+  }
+
+  return chunks;
+}
+
+// A cut at every position, then a fixed set of many-piece random cuts
+function* splitsOf(text) {
+  for (let i = 0; i <= text.length; i++) {
+    yield [text.slice(0, i), text.slice(i)];
+  }
+  for (let seed = 1; seed <= 50; seed++) {
+    yield randomChunks(text, seed);
+  }
+}
+
+// A fetch-style body that delivers the given byte chunks
+function bodyOf(chunks) {
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk));
+      controller.close();
+    },
+  });
+}
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+}
+
+test.describe('NDJSON parser', () => {
+  const lines = [
+    { message: { content: 'Hello' }, done: false },
+    { message: { content: ' {"nested": "json"}\n' }, done: false },
+    { done: true, eval_count: 12 },
+  ];
+  const stream = lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+
+  test('should return the same values however the stream is split', () => {
+    for (const pieces of splitsOf(stream)) {
+      expect(feed(new NDJSONParser(), pieces)).toEqual(lines);
+    }
+  });
+
+  test('should accept CRLF endings, blank lines and a missing final newline', () => {
+    const text = '{"a":1}\r\n\r\n{"b":2}\r\n{"c":3}';
+
+    for (const pieces of splitsOf(text)) {
+      expect(feed(new NDJSONParser(), pieces)).toEqual([
+        { a: 1 },
+        { b: 2 },
+        { c: 3 },
+      ]);
+    }
+  });
+
+  test('should raise a typed error for a malformed line', () => {
+    const parser = new NDJSONParser();
+    expect(parser.push('{"ok":true}\n')).toEqual([{ ok: true }]);
+
+    let error;
+    try {
+      parser.push('{"broken": \n');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(StreamParseError);
+    expect(error.format).toBe('ndjson');
+    expect(error.frame).toBe('{"broken": ');
+  });
+
+  test('should decode multi-byte characters split across reads', async () => {
+    const text = '{"token":"héllo 👋"}\n{"token":"日本語"}\n';
+    const bytes = new TextEncoder().encode(text);
+
+    for (let seed = 1; seed <= 25; seed++) {
+      const values = await collect(
+        readNDJSON(bodyOf(randomChunks(bytes, seed)))
+      );
+      expect(values).toEqual([{ token: 'héllo 👋' }, { token: '日本語' }]);
+    }
+  });
+});
+
+test.describe('SSE parser', () => {
+  const stream = [
+    ': keep-alive comment',
+    'event: message_start',
+    'data: {"type":"message_start"}',
+    '',
+    'id: 7',
+    'data: first line',
+    'data: second line',
+    '',
+    'data:{"no":"space"}',
+    '',
+    'data: [DONE]',
+    '',
+    '',
+  ].join('\n');
+
+  const expected = [
+    { event: 'message_start', data: '{"type":"message_start"}', id: null },
+    { event: 'message', data: 'first line\nsecond line', id: '7' },
+    { event: 'message', data: '{"no":"space"}', id: '7' },
+    { event: 'message', data: '[DONE]', id: '7' },
+  ];
+
+  test('should return the same events however the stream is split', () => {
+    for (const pieces of splitsOf(stream)) {
+      expect(feed(new SSEParser(), pieces)).toEqual(expected);
+    }
+  });
+
+  test('should treat CRLF and CR line endings like LF', () => {
+    for (const ending of ['\r\n', '\r']) {
+      const text = stream.split('\n').join(ending);
+
+      for (const pieces of splitsOf(text)) {
+        expect(feed(new SSEParser(), pieces)).toEqual(expected);
+      }
+    }
+  });
+
+  test('should dispatch a final event without a trailing blank line', () => {
+    expect(feed(new SSEParser(), ['data: {"a":', '1}'])).toEqual([
+      { event: 'message', data: '{"a":1}', id: null },
+    ]);
+  });
+
+  test('should read Gemini alt=sse responses from a body', async () => {
+    const chunks = ['Hel', 'lo', ' wörld'].map(text => ({
+      candidates: [{ content: { parts: [{ text }] } }],
+    }));
+    const text = chunks
+      .map(chunk => `data: ${JSON.stringify(chunk)}\r\n\r\n`)
+      .join('');
+    const bytes = new TextEncoder().encode(text);
+
+    for (let seed = 1; seed <= 25; seed++) {
+      const events = await collect(readSSE(bodyOf(randomChunks(bytes, seed))));
+      const tokens = events.map(
+        event => parseEventData(event).candidates[0].content.parts[0].text
+      );
+      expect(tokens.join('')).toBe('Hello wörld');
+    }
+  });
+
+  test('should raise a typed error for a malformed data payload', () => {
+    const [event] = feed(new SSEParser(), ['data: {"type":\n\n']);
+
+    expect(() => parseEventData(event)).toThrow(StreamParseError);
+    try {
+      parseEventData(event);
+    } catch (error) {
+      expect(error.format).toBe('sse');
+      expect(error.frame).toBe('{"type":');
+    }
+  });
+});
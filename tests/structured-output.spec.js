@@ -0,0 +1,217 @@
+/**
+ * Structured output tests for AI Overlay Assistant
+ *
+ * These run in Node without a page and check how template answers are
+ * validated against their JSON schema, including the malformed replies
+ * models actually produce.
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  SchemaValidationError,
+  validateSchema,
+  parseStructuredResponse,
+  toGeminiSchema,
+} = require('../src/services/structuredOutput');
+
+// A bug report template's schema, with nesting, enums and arrays
+const reportSchema = {
+  type: 'object',
+  required: ['summary', 'severity', 'steps'],
+  additionalProperties: false,
+  properties: {
+    summary: { type: 'string', minLength: 1, maxLength: 80 },
+    severity: { enum: ['low', 'medium', 'high'] },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 3,
+      items: { type: 'string' },
+    },
+    location: {
+      type: 'object',
+      required: ['file'],
+      properties: {
+        file: { type: 'string', pattern: '\\.js$' },
+        line: { type: 'integer', minimum: 1 },
+      },
+    },
+    owner: { type: ['string', 'null'] },
+  },
+};
+
+const validReport = {
+  summary: 'Crash on save',
+  severity: 'high',
+  steps: ['Open settings', 'Click save'],
+  location: { file: 'src/main.js', line: 42 },
+  owner: null,
+};
+
+test.describe('validateSchema', () => {
+  test('should accept a value that matches', () => {
+    expect(validateSchema(validReport, reportSchema)).toEqual([]);
+  });
+
+  test('should report missing required fields', () => {
+    const { severity, ...report } = validReport;
+    expect(severity).toBe('high');
+
+    expect(validateSchema(report, reportSchema)).toEqual([
+      '$.severity is required',
+    ]);
+  });
+
+  test('should report problems inside nested objects with their path', () => {
+    const report = {
+      ...validReport,
+      location: { line: 0 },
+    };
+
+    expect(validateSchema(report, reportSchema)).toEqual([
+      '$.location.file is required',
+      '$.location.line is less than 1',
+    ]);
+
+    expect(
+      validateSchema(
+        { ...validReport, location: { file: 'notes.txt', line: 1.5 } },
+        reportSchema
+      )
+    ).toEqual([
+      '$.location.file does not match \\.js$',
+      '$.location.line should be integer, got number',
+    ]);
+  });
+
+  test('should check enums and const', () => {
+    expect(
+      validateSchema({ ...validReport, severity: 'urgent' }, reportSchema)
+    ).toEqual(['$.severity should be one of ["low","medium","high"]']);
+    expect(validateSchema('v2', { const: 'v1' })).toEqual(['$ should be "v1"']);
+  });
+
+  test('should check array length and every item', () => {
+    expect(validateSchema({ ...validReport, steps: [] }, reportSchema)).toEqual(
+      ['$.steps has fewer than 1 items']
+    );
+    expect(
+      validateSchema(
+        { ...validReport, steps: ['a', 'b', 'c', 'd'] },
+        reportSchema
+      )
+    ).toEqual(['$.steps has more than 3 items']);
+    expect(
+      validateSchema({ ...validReport, steps: ['a', 2, null] }, reportSchema)
+    ).toEqual([
+      '$.steps[1] should be string, got integer',
+      '$.steps[2] should be string, got null',
+    ]);
+  });
+
+  test('should check types, including unions and integers as numbers', () => {
+    expect(
+      validateSchema({ ...validReport, owner: 'sam' }, reportSchema)
+    ).toEqual([]);
+    expect(validateSchema({ ...validReport, owner: 7 }, reportSchema)).toEqual([
+      '$.owner should be string or null, got integer',
+    ]);
+    expect(validateSchema(3, { type: 'number' })).toEqual([]);
+    expect(validateSchema([], { type: 'object' })).toEqual([
+      '$ should be object, got array',
+    ]);
+  });
+
+  test('should reject or validate additional properties', () => {
+    expect(
+      validateSchema({ ...validReport, extra: true }, reportSchema)
+    ).toEqual(['$.extra is not allowed']);
+    expect(
+      validateSchema(
+        { a: 1, b: 'two' },
+        { type: 'object', additionalProperties: { type: 'integer' } }
+      )
+    ).toEqual(['$.b should be integer, got string']);
+  });
+
+  test('should check string lengths', () => {
+    expect(
+      validateSchema({ ...validReport, summary: '' }, reportSchema)
+    ).toEqual(['$.summary is shorter than 1 characters']);
+    expect(
+      validateSchema({ ...validReport, summary: 'x'.repeat(81) }, reportSchema)
+    ).toEqual(['$.summary is longer than 80 characters']);
+  });
+});
+
+test.describe('parseStructuredResponse', () => {
+  test('should parse a valid reply', () => {
+    expect(
+      parseStructuredResponse(JSON.stringify(validReport), reportSchema)
+    ).toEqual(validReport);
+  });
+
+  test('should unwrap a single Markdown code fence', () => {
+    const reply = '```json\n' + JSON.stringify(validReport, null, 2) + '\n```';
+    expect(parseStructuredResponse(reply, reportSchema)).toEqual(validReport);
+    expect(
+      parseStructuredResponse('```\n[1, 2]\n```', { type: 'array' })
+    ).toEqual([1, 2]);
+  });
+
+  test('should raise SchemaValidationError for malformed JSON', () => {
+    for (const reply of [
+      'Sure! Here is the JSON: {"summary": "x"}',
+      '{"summary": "Crash on save",}',
+      '{"summary": "Crash on save"',
+      '',
+    ]) {
+      let error;
+      try {
+        parseStructuredResponse(reply, reportSchema);
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(SchemaValidationError);
+      expect(error.errors).toHaveLength(1);
+      expect(error.errors[0]).toMatch(/^not valid JSON/);
+    }
+  });
+
+  test('should list every schema problem in the error', () => {
+    let error;
+    try {
+      parseStructuredResponse(
+        '{"summary": "Crash", "severity": "urgent", "steps": []}',
+        reportSchema
+      );
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.errors).toEqual([
+      '$.severity should be one of ["low","medium","high"]',
+      '$.steps has fewer than 1 items',
+    ]);
+    expect(error.message).toContain(error.errors[0]);
+  });
+});
+
+test.describe('toGeminiSchema', () => {
+  test('should convert types and drop unsupported keywords', () => {
+    expect(toGeminiSchema(reportSchema.properties.location)).toEqual({
+      type: 'OBJECT',
+      required: ['file'],
+      properties: {
+        file: { type: 'STRING' },
+        line: { type: 'INTEGER', minimum: 1 },
+      },
+    });
+    expect(toGeminiSchema(reportSchema.properties.owner)).toEqual({
+      type: 'STRING',
+      nullable: true,
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * In-memory store for testing services that persist through electron-store
+ *
+ * electron-store needs Electron's app at load time, so requiring this file
+ * puts a placeholder in its place. Require it before the service under test;
+ * services given a store from createStore() never touch the placeholder.
+ */
+
+const storePath = require.resolve('electron-store');
+require.cache[storePath] = {
+  id: storePath,
+  filename: storePath,
+  children: [],
+  loaded: true,
+  exports: { default: class {} },
+};
+
+/**
+ * A store that round-trips values through JSON like the file on disk
+ * @returns {Object} - An object with electron-store's get and set
+ */
+function createStore() {
+  const data = {};
+  return {
+    get: (key, fallback) => (key in data ? JSON.parse(data[key]) : fallback),
+    set: (key, value) => {
+      data[key] = JSON.stringify(value);
+    },
+  };
+}
+
+module.exports = { createStore };